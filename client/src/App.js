@@ -15,7 +15,7 @@ import React, {
   useEffect,
   useLayoutEffect,
   useRef,
-  // useCallback
+  useCallback,
 } from "react";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
@@ -31,6 +31,57 @@ const API_BASE_URL = window.location.hostname === "localhost"
 const SESSION_PERSIST_KEY = "avneesh_active_session";
 const TOKEN_KEY = "avneesh_auth_token";
 const USERNAME_KEY = "avneesh_user_profile";
+const MODEL_PREF_KEY = "avneesh_model_pin";
+const GUEST_TOKEN_KEY = "avneesh_guest_token"; // This browser's anonymous identity, kept until merged
+const REFRESH_TOKEN_KEY = "avneesh_refresh_token";
+const TOKEN_RENEW_MARGIN = 60 * 1000; // Renew access tokens a minute before they expire
+
+// Emailed account links land on /?verify=<token> or /?reset=<token>
+const readAuthLink = () => {
+  const params = new URLSearchParams(window.location.search);
+  const link = { verify: params.get("verify"), reset: params.get("reset") };
+  return link.verify || link.reset ? link : null;
+};
+
+// "in 42s" / "in 5 min" / "in 3 h" for Retry-After style waits
+const formatWait = (seconds) => {
+  if (seconds < 90) return `${seconds}s`;
+  if (seconds < 90 * 60) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)} h`;
+};
+
+// Reads the `exp` claim (ms) of a JWT without verifying it; 0 if unreadable
+const readTokenExpiry = (jwtToken) => {
+  try {
+    const payload = JSON.parse(atob(jwtToken.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp * 1000;
+  } catch (err) {
+    return 0;
+  }
+};
+
+const EXPORT_OPTIONS = [
+  { format: "md", label: "Markdown", icon: "📝" },
+  { format: "json", label: "JSON", icon: "🧾" },
+  { format: "html", label: "HTML", icon: "🌐" },
+  { format: "pdf", label: "PDF", icon: "📄" },
+];
+
+const EMPTY_SEARCH_FILTERS = { mode: "", role: "", model: "", from: "", to: "" };
+
+// Mirrors IMAGE_MAX_PER_MESSAGE / IMAGE_MAX_BYTES in server.js
+const MAX_IMAGES_PER_MESSAGE = 4;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Built-in personas, shown until /api/personas answers
+const DEFAULT_PERSONAS = [
+  { key: "casual", name: "Casual", emoji: "😎", builtin: true },
+  { key: "roast", name: "Savage", emoji: "🔥", builtin: true },
+  { key: "flirt", name: "Charming", emoji: "💖", builtin: true },
+  { key: "depressed", name: "Burnout", emoji: "🌧️", builtin: true },
+  { key: "angry", name: "Furious", emoji: "😡", builtin: true },
+  { key: "positive", name: "Goggins", emoji: "✨", builtin: true },
+];
 
 /* ----------------------------------------------------------------------
    🎭 AUTHENTICATION MODULE: HIGH-FIDELITY
@@ -38,8 +89,13 @@ const USERNAME_KEY = "avneesh_user_profile";
    This component handles the secure gateway to the bot. It uses 
    asynchronous fetch calls to the Node.js backend to verify JWTs.
 */
-const AuthView = ({ onLoginSuccess, onGuestLogin }) => {
+const AuthView = ({ onLoginSuccess, onGuestLogin, authLink, onAuthLinkDone }) => {
   const [isRegistering, setIsRegistering] = useState(false);
+  // null = sign in / register form; "forgot" | "reset" | "verify" = account recovery screens
+  const [recoveryScreen, setRecoveryScreen] = useState(
+    authLink && authLink.reset ? "reset" : authLink && authLink.verify ? "verify" : null
+  );
+  const [noticeMessage, setNoticeMessage] = useState("");
   const [credentials, setCredentials] = useState({
     username: "",
     email: "",
@@ -97,12 +153,19 @@ const AuthView = ({ onLoginSuccess, onGuestLogin }) => {
       console.log("Debug Payload:", payload);
 
       if (response.ok) {
-        if (isRegistering) {
+        if (isRegistering && payload.verification_required) {
+          setIsRegistering(false);
+          setRecoveryScreen("verify");
+          setNoticeMessage(`Account Initialized! We sent a verification link to ${credentials.email}.`);
+        } else if (isRegistering) {
           setIsRegistering(false);
           setErrorMessage("Account Initialized! Proceeding to Login.");
         } else {
-          onLoginSuccess(payload.token, payload.username);
+          onLoginSuccess(payload.token, payload.username, payload.refresh_token);
         }
+      } else if (payload.code === "EMAIL_UNVERIFIED") {
+        setRecoveryScreen("verify");
+        setErrorMessage(payload.message);
       } else {
         setErrorMessage(
           payload.message || "Auth Error: Database rejected request."
@@ -116,6 +179,180 @@ const AuthView = ({ onLoginSuccess, onGuestLogin }) => {
     }
   };
 
+  // CSE Logic: Shared POST for the recovery screens; returns the payload or null
+  const postRecoveryRequest = useCallback(async (endpoint, body) => {
+    setErrorMessage("");
+    setNoticeMessage("");
+    setIsProcessing(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/${endpoint}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setErrorMessage(payload.message || "Auth Error: Request rejected.");
+        return null;
+      }
+      setNoticeMessage(payload.message);
+      return payload;
+    } catch (err) {
+      setErrorMessage("Network Failure: Backend server is unreachable.");
+      return null;
+    } finally {
+      setIsProcessing(false);
+    }
+  }, []);
+
+  // Effect: A verification link verifies as soon as it opens
+  const verifyLinkToken = authLink && authLink.verify;
+  useEffect(() => {
+    if (verifyLinkToken) {
+      postRecoveryRequest("verify-email", { token: verifyLinkToken });
+    }
+  }, [verifyLinkToken, postRecoveryRequest]);
+
+  const handleForgotRequest = (event) => {
+    event.preventDefault();
+    if (!credentials.email.includes("@")) {
+      setErrorMessage("System Error: Invalid email format detected.");
+      return;
+    }
+    postRecoveryRequest("password/forgot", { email: credentials.email });
+  };
+
+  const handleResendVerification = () => {
+    if (!credentials.email.includes("@")) {
+      setErrorMessage("System Error: Enter the email you registered with.");
+      return;
+    }
+    postRecoveryRequest("verify-email/resend", { email: credentials.email });
+  };
+
+  const handlePasswordReset = async (event) => {
+    event.preventDefault();
+    if (credentials.password.length < 6) {
+      setErrorMessage("Security Error: Password must exceed 6 characters.");
+      return;
+    }
+    if (credentials.password !== credentials.confirmPassword) {
+      setErrorMessage("Validation Error: Passwords do not match.");
+      return;
+    }
+    const payload = await postRecoveryRequest("password/reset", {
+      token: authLink.reset,
+      password: credentials.password,
+    });
+    if (payload) {
+      setCredentials({ ...credentials, password: "", confirmPassword: "" });
+      leaveRecovery(payload.message);
+    }
+  };
+
+  // Back to the sign-in form; drops a consumed ?verify= / ?reset= from the URL
+  const leaveRecovery = (message = "") => {
+    setRecoveryScreen(null);
+    setErrorMessage("");
+    setNoticeMessage(message);
+    if (authLink) {
+      window.history.replaceState(null, "", window.location.pathname);
+      onAuthLinkDone();
+    }
+  };
+
+  const renderRecoveryScreen = () => (
+    <>
+      {recoveryScreen === "forgot" && (
+        <form className="auth-form-container" onSubmit={handleForgotRequest}>
+          <div className="auth-input-group">
+            <label className="auth-label">System Email</label>
+            <input
+              className="auth-field"
+              type="email"
+              placeholder="user@kanpur.edu"
+              value={credentials.email}
+              onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
+              required
+            />
+          </div>
+          <button type="submit" className="auth-action-btn" disabled={isProcessing}>
+            {isProcessing ? <div className="auth-loader-dots"></div> : "SEND RESET LINK"}
+          </button>
+        </form>
+      )}
+
+      {recoveryScreen === "reset" && (
+        <form className="auth-form-container" onSubmit={handlePasswordReset}>
+          <div className="auth-input-group">
+            <label className="auth-label">New Password</label>
+            <input
+              className="auth-field"
+              type="password"
+              placeholder="••••••••"
+              value={credentials.password}
+              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+              required
+            />
+          </div>
+          <div className="auth-input-group">
+            <label className="auth-label">Confirm Sequence</label>
+            <input
+              className="auth-field"
+              type="password"
+              placeholder="••••••••"
+              value={credentials.confirmPassword}
+              onChange={(e) => setCredentials({ ...credentials, confirmPassword: e.target.value })}
+              required
+            />
+          </div>
+          <button type="submit" className="auth-action-btn" disabled={isProcessing}>
+            {isProcessing ? <div className="auth-loader-dots"></div> : "SET NEW PASSWORD"}
+          </button>
+        </form>
+      )}
+
+      {recoveryScreen === "verify" && (
+        <div className="auth-form-container">
+          <p className="auth-recovery-note">
+            Open the link we emailed you to activate the account. Didn't get it?
+            Check spam, or send a fresh one.
+          </p>
+          <div className="auth-input-group">
+            <label className="auth-label">System Email</label>
+            <input
+              className="auth-field"
+              type="email"
+              placeholder="user@kanpur.edu"
+              value={credentials.email}
+              onChange={(e) => setCredentials({ ...credentials, email: e.target.value })}
+            />
+          </div>
+          <button
+            type="button"
+            className="auth-action-btn"
+            disabled={isProcessing}
+            onClick={handleResendVerification}
+          >
+            {isProcessing ? <div className="auth-loader-dots"></div> : "RESEND VERIFICATION"}
+          </button>
+        </div>
+      )}
+
+      <div className="auth-footer-navigation">
+        <button className="auth-mode-switch" onClick={() => leaveRecovery()}>
+          Back to Sign In
+        </button>
+      </div>
+    </>
+  );
+
+  const RECOVERY_HELPER_TEXT = {
+    forgot: "Forgot your password? We'll email you a single-use reset link.",
+    reset: "Choose a new password. Every signed-in device will be logged out.",
+    verify: "Verify your email to activate this account.",
+  };
+
   return (
     <div className="auth-screen">
       <div className="auth-background-glow"></div>
@@ -128,7 +365,9 @@ const AuthView = ({ onLoginSuccess, onGuestLogin }) => {
             Avneesh AI <span className="auth-v-badge">PRO</span>
           </h1>
           <p className="auth-helper-text">
-            {isRegistering
+            {recoveryScreen
+              ? RECOVERY_HELPER_TEXT[recoveryScreen]
+              : isRegistering
               ? "Initialize your Computer Science developer account."
               : "Authentication Required. Establish connection to CockroachDB."}
           </p>
@@ -145,118 +384,1288 @@ const AuthView = ({ onLoginSuccess, onGuestLogin }) => {
           </div>
         )}
 
-        <form className="auth-form-container" onSubmit={handleAuthAction}>
-          {isRegistering && (
-            <div className="auth-input-group">
-              <label className="auth-label">Developer Username</label>
+        {noticeMessage && (
+          <div className="auth-alert-box status-ok">
+            <span className="alert-icon">✅</span>
+            {noticeMessage}
+          </div>
+        )}
+
+        {recoveryScreen ? (
+          renderRecoveryScreen()
+        ) : (
+          <>
+            <form className="auth-form-container" onSubmit={handleAuthAction}>
+              {isRegistering && (
+                <div className="auth-input-group">
+                  <label className="auth-label">Developer Username</label>
+                  <input
+                    className="auth-field"
+                    type="text"
+                    placeholder="e.g., Avneesh_Tripathi"
+                    value={credentials.username}
+                    onChange={(e) =>
+                      setCredentials({ ...credentials, username: e.target.value })
+                    }
+                    required
+                  />
+                </div>
+              )}
+
+              <div className="auth-input-group">
+                <label className="auth-label">System Email</label>
+                <input
+                  className="auth-field"
+                  type="email"
+                  placeholder="user@kanpur.edu"
+                  value={credentials.email}
+                  onChange={(e) =>
+                    setCredentials({ ...credentials, email: e.target.value })
+                  }
+                  required
+                />
+              </div>
+
+              <div className="auth-input-group">
+                <label className="auth-label">Access Password</label>
+                <div className="auth-password-control">
+                  <input
+                    className="auth-field"
+                    type={isPasswordVisible ? "text" : "password"}
+                    placeholder="••••••••"
+                    value={credentials.password}
+                    onChange={(e) =>
+                      setCredentials({ ...credentials, password: e.target.value })
+                    }
+                    required
+                  />
+                  <button
+                    type="button"
+                    className="auth-visibility-toggle"
+                    onClick={() => setPasswordVisible(!isPasswordVisible)}
+                  >
+                    {isPasswordVisible ? "MASK" : "SHOW"}
+                  </button>
+                </div>
+                {!isRegistering && (
+                  <button
+                    type="button"
+                    className="auth-forgot-link"
+                    onClick={() => {
+                      setErrorMessage("");
+                      setNoticeMessage("");
+                      setRecoveryScreen("forgot");
+                    }}
+                  >
+                    Forgot password?
+                  </button>
+                )}
+              </div>
+
+              {isRegistering && (
+                <div className="auth-input-group">
+                  <label className="auth-label">Confirm Sequence</label>
+                  <input
+                    className="auth-field"
+                    type="password"
+                    placeholder="••••••••"
+                    value={credentials.confirmPassword}
+                    onChange={(e) =>
+                      setCredentials({
+                        ...credentials,
+                        confirmPassword: e.target.value,
+                      })
+                    }
+                    required
+                  />
+                </div>
+              )}
+
+              <button
+                type="submit"
+                className="auth-action-btn"
+                disabled={isProcessing}
+              >
+                {isProcessing ? (
+                  <div className="auth-loader-dots"></div>
+                ) : isRegistering ? (
+                  "EXECUTE REGISTRATION"
+                ) : (
+                  "START SESSION"
+                )}
+              </button>
+            </form>
+
+            <div className="auth-footer-navigation">
+              <button
+                className="auth-mode-switch"
+                onClick={() => setIsRegistering(!isRegistering)}
+              >
+                {isRegistering
+                  ? "Already a member? Sign In"
+                  : "New Developer? Create ID"}
+              </button>
+            </div>
+
+            <div className="auth-guest-bypass">
+              <div className="bypass-divider">
+                <span>SYSTEM OVERRIDE</span>
+              </div>
+              <button className="auth-guest-cta" onClick={onGuestLogin}>
+                CONTINUE AS GUEST
+              </button>
+            </div>
+          </>
+        )}
+
+        <footer className="auth-legal-footer">
+          <p>Avneesh Bot Project v2.5 | CockroachDB Ready</p>
+        </footer>
+      </div>
+    </div>
+  );
+};
+
+/* ----------------------------------------------------------------------
+   🎭 PERSONA STUDIO MODULE
+   ----------------------------------------------------------------------
+   Modal editor for user-defined personas stored in the 'personas' table.
+   Lists the caller's own personas and lets them create, edit, share
+   and delete them through the /api/personas routes.
+*/
+const EMPTY_PERSONA_DRAFT = {
+  persona_id: null,
+  name: "",
+  emoji: "🤖",
+  system_instruction: "",
+  theme_color: "#238636",
+  temperature: "",
+  top_p: "",
+  max_tokens: "",
+  is_shared: false,
+};
+
+const PersonaStudio = ({ personas, token, onClose, onChanged }) => {
+  const [draft, setDraft] = useState(EMPTY_PERSONA_DRAFT);
+  const [statusMessage, setStatusMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const ownedPersonas = personas.filter((p) => p.owned);
+  const authHeaders = {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+
+  const beginEdit = (persona) => {
+    const params = persona.generation_params || {};
+    setDraft({
+      persona_id: persona.persona_id,
+      name: persona.name,
+      emoji: persona.emoji || "🤖",
+      system_instruction: persona.system_instruction,
+      theme_color: persona.theme_color || "#238636",
+      temperature: params.temperature ?? "",
+      top_p: params.top_p ?? "",
+      max_tokens: params.max_tokens ?? "",
+      is_shared: persona.is_shared,
+    });
+    setStatusMessage("");
+  };
+
+  const savePersona = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setStatusMessage("");
+
+    const isEdit = Boolean(draft.persona_id);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/personas${isEdit ? `/${draft.persona_id}` : ""}`,
+        {
+          method: isEdit ? "PUT" : "POST",
+          headers: authHeaders,
+          body: JSON.stringify({
+            name: draft.name,
+            emoji: draft.emoji,
+            system_instruction: draft.system_instruction,
+            theme_color: draft.theme_color,
+            is_shared: draft.is_shared,
+            generation_params: {
+              temperature: draft.temperature,
+              top_p: draft.top_p,
+              max_tokens: draft.max_tokens,
+            },
+          }),
+        }
+      );
+      const payload = await response.json();
+      if (!response.ok) throw new Error(payload.message);
+
+      setStatusMessage(isEdit ? "Persona updated." : "Persona created.");
+      setDraft(EMPTY_PERSONA_DRAFT);
+      onChanged(payload.key);
+    } catch (err) {
+      setStatusMessage(err.message || "Persona save failed.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deletePersona = async (persona) => {
+    if (!window.confirm(`Delete the "${persona.name}" persona?`)) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/personas/${persona.persona_id}`, {
+        method: "DELETE",
+        headers: authHeaders,
+      });
+      if (response.ok) {
+        if (draft.persona_id === persona.persona_id) setDraft(EMPTY_PERSONA_DRAFT);
+        onChanged(null);
+      }
+    } catch (err) {
+      console.error("Persona Delete Error: Backend rejected the request.");
+    }
+  };
+
+  return (
+    <div className="studio-overlay" onClick={onClose}>
+      <div className="studio-card" onClick={(e) => e.stopPropagation()}>
+        <div className="studio-header">
+          <h2>🎭 Persona Studio</h2>
+          <button className="sidebar-close-trigger studio-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div className="studio-body">
+          <div className="studio-list">
+            <div className="sidebar-navigation-label">YOUR PERSONAS</div>
+            {ownedPersonas.length === 0 ? (
+              <p className="studio-empty">No custom personas yet.</p>
+            ) : (
+              ownedPersonas.map((persona) => (
+                <div key={persona.key} className="studio-list-item">
+                  <span
+                    className="studio-swatch"
+                    style={{ background: persona.theme_color || "var(--accent-main)" }}
+                  ></span>
+                  <span className="studio-item-name">
+                    {persona.emoji} {persona.name}
+                    {persona.is_shared && <em> · shared</em>}
+                  </span>
+                  <button className="dropdown-opt-btn" onClick={() => beginEdit(persona)}>
+                    ✏️
+                  </button>
+                  <button
+                    className="dropdown-opt-btn delete-warning"
+                    onClick={() => deletePersona(persona)}
+                  >
+                    🗑️
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+
+          <form className="studio-form" onSubmit={savePersona}>
+            <div className="studio-row">
+              <input
+                className="auth-field studio-emoji-field"
+                value={draft.emoji}
+                maxLength={8}
+                onChange={(e) => setDraft({ ...draft, emoji: e.target.value })}
+              />
               <input
                 className="auth-field"
-                type="text"
-                placeholder="e.g., Avneesh_Tripathi"
-                value={credentials.username}
-                onChange={(e) =>
-                  setCredentials({ ...credentials, username: e.target.value })
-                }
+                placeholder="Persona name"
+                value={draft.name}
+                maxLength={40}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
                 required
               />
+              <input
+                className="studio-color-field"
+                type="color"
+                value={draft.theme_color}
+                onChange={(e) => setDraft({ ...draft, theme_color: e.target.value })}
+              />
             </div>
-          )}
 
-          <div className="auth-input-group">
-            <label className="auth-label">System Email</label>
-            <input
-              className="auth-field"
-              type="email"
-              placeholder="user@kanpur.edu"
-              value={credentials.email}
-              onChange={(e) =>
-                setCredentials({ ...credentials, email: e.target.value })
-              }
+            <textarea
+              className="auth-field studio-instruction-field"
+              placeholder="System instruction. Use {user} for the user's name."
+              value={draft.system_instruction}
+              maxLength={4000}
+              onChange={(e) => setDraft({ ...draft, system_instruction: e.target.value })}
               required
             />
-          </div>
 
-          <div className="auth-input-group">
-            <label className="auth-label">Access Password</label>
-            <div className="auth-password-control">
+            <div className="studio-row">
               <input
                 className="auth-field"
-                type={isPasswordVisible ? "text" : "password"}
-                placeholder="••••••••"
-                value={credentials.password}
-                onChange={(e) =>
-                  setCredentials({ ...credentials, password: e.target.value })
-                }
-                required
+                type="number"
+                step="0.1"
+                min="0"
+                max="2"
+                placeholder="Temperature"
+                value={draft.temperature}
+                onChange={(e) => setDraft({ ...draft, temperature: e.target.value })}
+              />
+              <input
+                className="auth-field"
+                type="number"
+                step="0.05"
+                min="0"
+                max="1"
+                placeholder="Top P"
+                value={draft.top_p}
+                onChange={(e) => setDraft({ ...draft, top_p: e.target.value })}
+              />
+              <input
+                className="auth-field"
+                type="number"
+                min="1"
+                max="8192"
+                placeholder="Max tokens"
+                value={draft.max_tokens}
+                onChange={(e) => setDraft({ ...draft, max_tokens: e.target.value })}
               />
-              <button
-                type="button"
-                className="auth-visibility-toggle"
-                onClick={() => setPasswordVisible(!isPasswordVisible)}
-              >
-                {isPasswordVisible ? "MASK" : "SHOW"}
-              </button>
             </div>
-          </div>
 
-          {isRegistering && (
-            <div className="auth-input-group">
-              <label className="auth-label">Confirm Sequence</label>
+            <label className="studio-share-toggle">
               <input
-                className="auth-field"
-                type="password"
-                placeholder="••••••••"
-                value={credentials.confirmPassword}
-                onChange={(e) =>
-                  setCredentials({
-                    ...credentials,
-                    confirmPassword: e.target.value,
-                  })
-                }
-                required
+                type="checkbox"
+                checked={draft.is_shared}
+                onChange={(e) => setDraft({ ...draft, is_shared: e.target.checked })}
               />
+              Share with everyone on this server
+            </label>
+
+            {statusMessage && <p className="studio-status">{statusMessage}</p>}
+
+            <div className="studio-row">
+              {draft.persona_id && (
+                <button
+                  type="button"
+                  className="auth-guest-cta"
+                  onClick={() => setDraft(EMPTY_PERSONA_DRAFT)}
+                >
+                  CANCEL EDIT
+                </button>
+              )}
+              <button type="submit" className="auth-action-btn" disabled={isSaving}>
+                {draft.persona_id ? "UPDATE PERSONA" : "CREATE PERSONA"}
+              </button>
             </div>
-          )}
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-          <button
-            type="submit"
-            className="auth-action-btn"
-            disabled={isProcessing}
+// ----------------------------------------------------------------------
+// 🔗 SHARE LINKS: Owner manager + public read-only page
+// ----------------------------------------------------------------------
+const SHARE_EXPIRY_OPTIONS = [
+  { hours: "", label: "Never expires" },
+  { hours: "24", label: "24 hours" },
+  { hours: "168", label: "7 days" },
+  { hours: "720", label: "30 days" },
+];
+
+// Public share pages live at /share/<token>; the server's SPA catch-all serves them
+const SHARED_TOKEN = (window.location.pathname.match(/^\/share\/([\w-]+)/) || [])[1];
+
+const ShareManager = ({ session, token, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [expiryHours, setExpiryHours] = useState("");
+  const [statusMessage, setStatusMessage] = useState("");
+
+  const authHeaders = {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+  const shareUrl = (share) => `${window.location.origin}${share.path}`;
+
+  const refreshShares = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions/${session.session_id}/shares`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) setShares(await response.json());
+    } catch (err) {
+      console.error("Share Sync Error: Could not list links.");
+    }
+  }, [session.session_id, token]);
+
+  useEffect(() => {
+    refreshShares();
+  }, [refreshShares]);
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share));
+      setStatusMessage("Link copied to clipboard.");
+    } catch (err) {
+      prompt("Copy this link:", shareUrl(share));
+    }
+  };
+
+  const createShare = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions/${session.session_id}/shares`, {
+        method: "POST",
+        headers: authHeaders,
+        body: JSON.stringify({ expires_in_hours: expiryHours || undefined }),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatusMessage(payload.message || "Could not create the link.");
+        return;
+      }
+      await refreshShares();
+      copyLink(payload.share);
+    } catch (err) {
+      setStatusMessage("Backend unreachable.");
+    }
+  };
+
+  const revokeShare = async (share) => {
+    if (!window.confirm("Revoke this link? Anyone holding it loses access immediately.")) return;
+    try {
+      const response = await fetch(`${API_BASE_URL}/shares/${share.share_token}`, {
+        method: "DELETE",
+        headers: authHeaders,
+      });
+      if (response.ok) setShares((prev) => prev.filter((s) => s.share_token !== share.share_token));
+    } catch (err) {
+      console.error("Share Revoke Error: Backend rejected the request.");
+    }
+  };
+
+  return (
+    <div className="studio-overlay" onClick={onClose}>
+      <div className="studio-card share-card" onClick={(e) => e.stopPropagation()}>
+        <div className="studio-header">
+          <h2>🔗 Share "{session.session_name || "New Thread"}"</h2>
+          <button className="sidebar-close-trigger studio-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <p className="studio-empty">
+          Links show a read-only snapshot of the conversation as it is right now.
+          Your email is never included.
+        </p>
+
+        <div className="studio-row">
+          <select
+            className="auth-field"
+            value={expiryHours}
+            onChange={(e) => setExpiryHours(e.target.value)}
           >
-            {isProcessing ? (
-              <div className="auth-loader-dots"></div>
-            ) : isRegistering ? (
-              "EXECUTE REGISTRATION"
-            ) : (
-              "START SESSION"
-            )}
+            {SHARE_EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.hours}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button className="auth-action-btn" onClick={createShare}>
+            CREATE LINK
+          </button>
+        </div>
+
+        {statusMessage && <p className="studio-status">{statusMessage}</p>}
+
+        <div className="sidebar-navigation-label">ACTIVE LINKS</div>
+        {shares.length === 0 ? (
+          <p className="studio-empty">No active links.</p>
+        ) : (
+          shares.map((share) => (
+            <div key={share.share_token} className="studio-list-item">
+              <span className="studio-item-name">
+                {new Date(share.created_at).toLocaleDateString()} ·{" "}
+                {share.expires_at
+                  ? `expires ${new Date(share.expires_at).toLocaleString()}`
+                  : "no expiry"}{" "}
+                · {share.view_count} views
+              </span>
+              <button className="dropdown-opt-btn" title="Copy link" onClick={() => copyLink(share)}>
+                📋
+              </button>
+              <button
+                className="dropdown-opt-btn delete-warning"
+                title="Revoke"
+                onClick={() => revokeShare(share)}
+              >
+                🚫
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------------------------
+// ⚙️ ACCOUNT SETTINGS: Profile, password and account deletion
+// ----------------------------------------------------------------------
+const AccountSettings = ({ token, onClose, onProfileSaved, onExportData, onAccountDeleted }) => {
+  const [profile, setProfile] = useState({ username: "", email: "", email_verified: true });
+  const [passwords, setPasswords] = useState({ current: "", next: "", confirm: "" });
+  const [statusMessage, setStatusMessage] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const authHeaders = {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+
+  // Loaded once per open: a token renewal mid-edit must not reset the form
+  const openingToken = useRef(token);
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/me`, { headers: { Authorization: `Bearer ${openingToken.current}` } })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((me) => me && setProfile(me))
+      .catch(() => setStatusMessage("Could not load your profile."));
+  }, []);
+
+  // Shared request helper; returns the payload or null after showing the error
+  const sendSettingsRequest = async (path, method, body) => {
+    setIsSaving(true);
+    setStatusMessage("");
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        method,
+        headers: authHeaders,
+        body: JSON.stringify(body),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatusMessage(payload.message || "Request rejected.");
+        return null;
+      }
+      return payload;
+    } catch (err) {
+      setStatusMessage("Backend unreachable.");
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const saveProfile = async (event) => {
+    event.preventDefault();
+    const payload = await sendSettingsRequest("/me", "PATCH", {
+      username: profile.username,
+      email: profile.email,
+    });
+    if (!payload) return;
+    setProfile(payload.user);
+    onProfileSaved(payload.user.username);
+    setStatusMessage(
+      payload.verification_sent
+        ? "Saved. Verify the new email before your next sign-in; the link is in that inbox."
+        : "Profile saved."
+    );
+  };
+
+  const changePassword = async (event) => {
+    event.preventDefault();
+    if (passwords.next.length < 6) {
+      setStatusMessage("New password must be at least 6 characters.");
+      return;
+    }
+    if (passwords.next !== passwords.confirm) {
+      setStatusMessage("New passwords do not match.");
+      return;
+    }
+    const payload = await sendSettingsRequest("/me/password", "PUT", {
+      current_password: passwords.current,
+      new_password: passwords.next,
+    });
+    if (!payload) return;
+    setPasswords({ current: "", next: "", confirm: "" });
+    setStatusMessage("Password changed. Other devices were signed out.");
+  };
+
+  const deleteAccount = async () => {
+    if (!window.confirm("Delete your account and every conversation in it? This cannot be undone.")) return;
+    if (window.confirm("Download a copy of your data first?") && !(await onExportData())) {
+      setStatusMessage("Export failed, so nothing was deleted.");
+      return;
+    }
+    const password = prompt("Enter your password to permanently delete the account:");
+    if (!password) return;
+
+    const payload = await sendSettingsRequest("/me", "DELETE", { password });
+    if (payload) onAccountDeleted();
+  };
+
+  return (
+    <div className="studio-overlay" onClick={onClose}>
+      <div className="studio-card settings-card" onClick={(e) => e.stopPropagation()}>
+        <div className="studio-header">
+          <h2>⚙️ Account Settings</h2>
+          <button className="sidebar-close-trigger studio-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {statusMessage && <p className="studio-status">{statusMessage}</p>}
+
+        <form className="settings-section" onSubmit={saveProfile}>
+          <div className="sidebar-navigation-label">PROFILE</div>
+          <input
+            className="auth-field"
+            placeholder="Username"
+            maxLength={50}
+            value={profile.username}
+            onChange={(e) => setProfile({ ...profile, username: e.target.value })}
+            required
+          />
+          <input
+            className="auth-field"
+            type="email"
+            placeholder="Email"
+            maxLength={100}
+            value={profile.email || ""}
+            onChange={(e) => setProfile({ ...profile, email: e.target.value })}
+            required
+          />
+          {!profile.email_verified && <p className="studio-empty">⚠️ This email is not verified yet.</p>}
+          <button type="submit" className="auth-action-btn" disabled={isSaving}>
+            SAVE PROFILE
           </button>
         </form>
 
-        <div className="auth-footer-navigation">
-          <button
-            className="auth-mode-switch"
-            onClick={() => setIsRegistering(!isRegistering)}
-          >
-            {isRegistering
-              ? "Already a member? Sign In"
-              : "New Developer? Create ID"}
+        <form className="settings-section" onSubmit={changePassword}>
+          <div className="sidebar-navigation-label">PASSWORD</div>
+          <input
+            className="auth-field"
+            type="password"
+            placeholder="Current password"
+            value={passwords.current}
+            onChange={(e) => setPasswords({ ...passwords, current: e.target.value })}
+            required
+          />
+          <input
+            className="auth-field"
+            type="password"
+            placeholder="New password"
+            value={passwords.next}
+            onChange={(e) => setPasswords({ ...passwords, next: e.target.value })}
+            required
+          />
+          <input
+            className="auth-field"
+            type="password"
+            placeholder="Confirm new password"
+            value={passwords.confirm}
+            onChange={(e) => setPasswords({ ...passwords, confirm: e.target.value })}
+            required
+          />
+          <button type="submit" className="auth-action-btn" disabled={isSaving}>
+            CHANGE PASSWORD
+          </button>
+        </form>
+
+        <div className="settings-section settings-danger-zone">
+          <div className="sidebar-navigation-label">DANGER ZONE</div>
+          <p className="studio-empty">
+            Deleting the account removes every conversation, memory, persona and share link.
+          </p>
+          <button className="auth-guest-cta" onClick={deleteAccount} disabled={isSaving}>
+            DELETE ACCOUNT
           </button>
         </div>
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------------------------
+// 🛡️ ADMIN DASHBOARD: Users, traffic, summarizer backlog, guest cleanup
+// ----------------------------------------------------------------------
+const ADMIN_TABS = [
+  { key: "users", label: "👥 Users" },
+  { key: "traffic", label: "📊 Model Traffic" },
+  { key: "summarizer", label: "📝 Summarizer" },
+];
+
+const AdminDashboard = ({ token, currentUserId, onClose }) => {
+  const [activeTab, setActiveTab] = useState("users");
+  const [overview, setOverview] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [userQuery, setUserQuery] = useState("");
+  const [appliedQuery, setAppliedQuery] = useState(""); // What the list shows; set on SEARCH
+  const [includeGuests, setIncludeGuests] = useState(false);
+  const [traffic, setTraffic] = useState(null);
+  const [backlog, setBacklog] = useState(null);
+  const [statusMessage, setStatusMessage] = useState("");
+
+  // Shared request helper; returns the payload or null after showing the error
+  const adminRequest = useCallback(async (path, options = {}) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin${path}`, {
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        ...options,
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        setStatusMessage(payload.message || "Admin request rejected.");
+        return null;
+      }
+      return payload;
+    } catch (err) {
+      setStatusMessage("Backend unreachable.");
+      return null;
+    }
+  }, [token]);
+
+  const refreshOverview = useCallback(async () => {
+    const data = await adminRequest("/overview");
+    if (data) setOverview(data);
+  }, [adminRequest]);
+
+  const refreshUsers = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (appliedQuery) params.set("q", appliedQuery);
+    if (includeGuests) params.set("guests", "1");
+    const data = await adminRequest(`/users?${params.toString()}`);
+    if (data) setUsers(data);
+  }, [adminRequest, appliedQuery, includeGuests]);
+
+  useEffect(() => {
+    refreshOverview();
+  }, [refreshOverview]);
+
+  useEffect(() => {
+    if (activeTab === "users") refreshUsers();
+    if (activeTab === "traffic") adminRequest("/models?days=7").then((data) => data && setTraffic(data));
+    if (activeTab === "summarizer") adminRequest("/summarizer").then((data) => data && setBacklog(data));
+  }, [activeTab, refreshUsers, adminRequest]);
+
+  const updateUser = async (user, changes, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    const data = await adminRequest(`/users/${user.id}`, { method: "PATCH", body: JSON.stringify(changes) });
+    if (data) {
+      setStatusMessage(`Updated ${user.username}.`);
+      refreshUsers();
+      refreshOverview();
+    }
+  };
+
+  const resetUsage = async (user) => {
+    const data = await adminRequest(`/users/${user.id}/usage`, { method: "DELETE" });
+    if (data) {
+      setStatusMessage(`Today's usage reset for ${user.username}.`);
+      refreshUsers();
+    }
+  };
+
+  const editLimits = async (user) => {
+    const current = [user.requests_per_minute, user.messages_per_day, user.tokens_per_day]
+      .map((value) => (value === null ? "" : value))
+      .join(", ");
+    const answer = prompt(
+      `Limits for ${user.username} as "requests/min, messages/day, tokens/day".\nLeave a slot empty for the default, 0 for unlimited, or clear everything to drop the override.`,
+      current
+    );
+    if (answer === null) return;
+
+    const data = answer.trim() === ""
+      ? await adminRequest(`/users/${user.id}/limits`, { method: "DELETE" })
+      : await adminRequest(`/users/${user.id}/limits`, {
+          method: "PUT",
+          body: JSON.stringify(
+            Object.fromEntries(
+              ["requests_per_minute", "messages_per_day", "tokens_per_day"].map((field, i) => [
+                field,
+                (answer.split(",")[i] || "").trim() || null,
+              ])
+            )
+          ),
+        });
+    if (data) {
+      setStatusMessage(`Limits saved for ${user.username}.`);
+      refreshUsers();
+    }
+  };
+
+  const purgeGuest = async (user) => {
+    if (!window.confirm(`Delete guest #${user.id} and all of its conversations?`)) return;
+    const data = await adminRequest(`/guests/${user.id}`, { method: "DELETE" });
+    if (data) {
+      setStatusMessage(`Guest #${user.id} purged.`);
+      refreshUsers();
+      refreshOverview();
+    }
+  };
+
+  const purgeIdleGuests = async () => {
+    const hours = prompt("Delete every guest idle for at least how many hours?", "24");
+    if (hours === null) return;
+    const data = await adminRequest("/guests/purge", {
+      method: "POST",
+      body: JSON.stringify({ idle_hours: hours.trim() }),
+    });
+    if (data) {
+      setStatusMessage(`${data.purged} guest identit${data.purged === 1 ? "y" : "ies"} purged.`);
+      refreshUsers();
+      refreshOverview();
+    }
+  };
+
+  const runSummarizer = async () => {
+    setStatusMessage("Summarizing the oldest sessions…");
+    const data = await adminRequest("/summarizer/run", { method: "POST", body: JSON.stringify({ limit: 5 }) });
+    if (data) {
+      setStatusMessage(`${data.processed} session(s) processed.`);
+      adminRequest("/summarizer").then((next) => next && setBacklog(next));
+      refreshOverview();
+    }
+  };
+
+  const renderUsersTab = () => (
+    <>
+      <form
+        className="studio-row admin-toolbar"
+        onSubmit={(e) => {
+          e.preventDefault();
+          // A new query reloads through the effect; the same one reloads here
+          if (userQuery.trim() === appliedQuery) refreshUsers();
+          else setAppliedQuery(userQuery.trim());
+        }}
+      >
+        <input
+          className="auth-field"
+          placeholder="Search username or email…"
+          value={userQuery}
+          onChange={(e) => setUserQuery(e.target.value)}
+        />
+        <label className="studio-share-toggle">
+          <input
+            type="checkbox"
+            checked={includeGuests}
+            onChange={(e) => setIncludeGuests(e.target.checked)}
+          />
+          Guests
+        </label>
+        <button type="submit" className="auth-action-btn">SEARCH</button>
+        <button type="button" className="auth-guest-cta" onClick={purgeIdleGuests}>
+          PURGE IDLE GUESTS
+        </button>
+      </form>
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>Role</th>
+            <th>Sessions</th>
+            <th>Today</th>
+            <th>Limits</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map((user) => (
+            <tr key={user.id} className={user.disabled_at ? "admin-row-disabled" : ""}>
+              <td>
+                <strong>{user.is_guest ? `Guest #${user.id}` : user.username}</strong>
+                <span className="admin-subtext">
+                  {user.email || `last seen ${new Date(user.last_seen_at || user.created_at).toLocaleString()}`}
+                  {!user.is_guest && !user.email_verified && " · unverified"}
+                  {user.disabled_at && " · disabled"}
+                </span>
+              </td>
+              <td>{user.is_guest ? "guest" : user.role}</td>
+              <td>{user.session_count}</td>
+              <td>
+                {user.messages_today} msgs
+                <span className="admin-subtext">{user.tokens_today.toLocaleString()} tokens</span>
+              </td>
+              <td>
+                {user.requests_per_minute === null && user.messages_per_day === null && user.tokens_per_day === null
+                  ? "default"
+                  : [user.requests_per_minute, user.messages_per_day, user.tokens_per_day]
+                      .map((value) => (value === null ? "–" : value))
+                      .join(" / ")}
+              </td>
+              <td className="admin-actions">
+                {user.is_guest ? (
+                  <button className="dropdown-opt-btn delete-warning" onClick={() => purgeGuest(user)}>
+                    🗑️ Purge
+                  </button>
+                ) : (
+                  <>
+                    {String(user.id) !== String(currentUserId) && (
+                      <>
+                        <button
+                          className="dropdown-opt-btn"
+                          onClick={() =>
+                            updateUser(
+                              user,
+                              { disabled: !user.disabled_at },
+                              user.disabled_at ? null : `Disable ${user.username}? They are signed out everywhere.`
+                            )
+                          }
+                        >
+                          {user.disabled_at ? "✅ Enable" : "⛔ Disable"}
+                        </button>
+                        <button
+                          className="dropdown-opt-btn"
+                          onClick={() =>
+                            updateUser(
+                              user,
+                              { role: user.role === "admin" ? "user" : "admin" },
+                              `${user.role === "admin" ? "Remove admin rights from" : "Make"} ${user.username}${user.role === "admin" ? "" : " an admin"}?`
+                            )
+                          }
+                        >
+                          {user.role === "admin" ? "⬇️ Demote" : "🛡️ Make admin"}
+                        </button>
+                      </>
+                    )}
+                    <button className="dropdown-opt-btn" onClick={() => editLimits(user)}>
+                      🚦 Limits
+                    </button>
+                  </>
+                )}
+                <button className="dropdown-opt-btn" onClick={() => resetUsage(user)}>
+                  ♻️ Reset usage
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {users.length === 0 && <p className="studio-empty">No users match.</p>}
+    </>
+  );
+
+  const renderTrafficTab = () => {
+    if (!traffic) return <p className="studio-empty">Loading…</p>;
+    const busiest = Math.max(1, ...traffic.models.map((model) => model.replies));
+    return (
+      <>
+        <p className="studio-empty">Replies per model over the last {traffic.days} days.</p>
+        {traffic.models.length === 0 && <p className="studio-empty">No replies yet.</p>}
+        {traffic.models.map((model) => (
+          <div key={model.model_used} className="admin-bar-row">
+            <span className="admin-bar-label">{model.model_used}</span>
+            <div className="admin-bar-track">
+              <div className="admin-bar-fill" style={{ width: `${(model.replies / busiest) * 100}%` }}></div>
+            </div>
+            <span className="admin-bar-value">{model.replies}</span>
+          </div>
+        ))}
+      </>
+    );
+  };
+
+  const renderSummarizerTab = () => {
+    if (!backlog) return <p className="studio-empty">Loading…</p>;
+    return (
+      <>
+        <div className="studio-row admin-toolbar">
+          <p className="studio-empty">{backlog.pending} session(s) waiting for a title/summary.</p>
+          <button className="auth-action-btn" onClick={runSummarizer} disabled={backlog.pending === 0}>
+            RUN 5 NOW
+          </button>
+        </div>
+        {backlog.oldest.map((session) => (
+          <div key={session.session_id} className="studio-list-item">
+            <span className="studio-item-name">
+              #{session.session_id} · {session.session_name || "New Conversation"} · {session.username || "deleted user"}
+            </span>
+            <span className="admin-subtext">{new Date(session.created_at).toLocaleString()}</span>
+          </div>
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <div className="studio-overlay" onClick={onClose}>
+      <div className="studio-card admin-card" onClick={(e) => e.stopPropagation()}>
+        <div className="studio-header">
+          <h2>🛡️ Administration</h2>
+          <button className="sidebar-close-trigger studio-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {overview && (
+          <div className="admin-overview">
+            {[
+              ["Accounts", overview.accounts],
+              ["Guests", overview.guests],
+              ["Disabled", overview.disabled],
+              ["Sessions", overview.sessions],
+              ["Replies today", overview.replies_today],
+              ["Summary backlog", overview.summarizer_backlog],
+            ].map(([label, value]) => (
+              <div key={label} className="admin-stat">
+                <span className="admin-stat-value">{value}</span>
+                <span className="admin-subtext">{label}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="sidebar-tab-switch admin-tabs">
+          {ADMIN_TABS.map((tab) => (
+            <button
+              key={tab.key}
+              className={`sidebar-navigation-label sidebar-tab ${activeTab === tab.key ? "active" : ""}`}
+              onClick={() => setActiveTab(tab.key)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {statusMessage && <p className="studio-status">{statusMessage}</p>}
+
+        {activeTab === "users" && renderUsersTab()}
+        {activeTab === "traffic" && renderTrafficTab()}
+        {activeTab === "summarizer" && renderSummarizerTab()}
+      </div>
+    </div>
+  );
+};
+
+// ----------------------------------------------------------------------
+// 📈 USAGE PANEL: Per-day and per-model totals plus each turn's fallback path
+// ----------------------------------------------------------------------
+const USAGE_OUTCOME_ICONS = {
+  success: "✅",
+  empty: "⚪",
+  timeout: "⏱️",
+  rate_limit: "🚦",
+  error: "❌",
+  aborted: "✋",
+  skipped: "⏭️",
+};
+
+const UsagePanel = ({ token, onClose }) => {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    setUsage(null);
+    fetch(`${API_BASE_URL}/usage?days=${days}`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(async (response) => {
+        const payload = await response.json();
+        if (!response.ok) throw new Error(payload.message || "Usage unavailable.");
+        setUsage(payload);
+      })
+      .catch((err) => setErrorMessage(err.message));
+  }, [token, days]);
+
+  const formatMs = (ms) => (ms === null ? "–" : ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+  const renderTotals = () => {
+    const totals = usage.daily.reduce(
+      (sum, day) => ({
+        requests: sum.requests + day.requests,
+        failures: sum.failures + day.failures,
+        tokens: sum.tokens + day.prompt_tokens + day.completion_tokens,
+      }),
+      { requests: 0, failures: 0, tokens: 0 }
+    );
+    return (
+      <div className="admin-overview">
+        {[
+          ["Requests", totals.requests],
+          ["Failed", totals.failures],
+          ["Est. tokens", totals.tokens.toLocaleString()],
+        ].map(([label, value]) => (
+          <div key={label} className="admin-stat">
+            <span className="admin-stat-value">{value}</span>
+            <span className="admin-subtext">{label}</span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="studio-overlay" onClick={onClose}>
+      <div className="studio-card admin-card" onClick={(e) => e.stopPropagation()}>
+        <div className="studio-header">
+          <h2>📈 Usage</h2>
+          <select className="usage-range-select" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+          <button className="sidebar-close-trigger studio-close" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {errorMessage && <p className="studio-status">{errorMessage}</p>}
+        {!usage && !errorMessage && <p className="studio-empty">Loading…</p>}
+
+        {usage && (
+          <>
+            {renderTotals()}
+            <p className="studio-empty">Token counts are estimates from message length.</p>
+
+            <h3 className="usage-heading">By day</h3>
+            {usage.daily.length === 0 && <p className="studio-empty">No chats in this period.</p>}
+            {usage.daily.length > 0 && (
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Day</th>
+                    <th>Requests</th>
+                    <th>Failed</th>
+                    <th>Prompt / reply tokens</th>
+                    <th>Avg time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...usage.daily].reverse().map((day) => (
+                    <tr key={day.day}>
+                      <td>{day.day}</td>
+                      <td>{day.requests}</td>
+                      <td>{day.failures}</td>
+                      <td>
+                        {day.prompt_tokens.toLocaleString()} / {day.completion_tokens.toLocaleString()}
+                      </td>
+                      <td>{formatMs(day.avg_ms)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <h3 className="usage-heading">By model</h3>
+            {usage.models.length === 0 && <p className="studio-empty">No replies yet.</p>}
+            {usage.models.length > 0 && (
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Model</th>
+                    <th>Replies</th>
+                    <th>Prompt / reply tokens</th>
+                    <th>Avg / max time</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.models.map((model) => (
+                    <tr key={model.model_used}>
+                      <td>{model.model_used}</td>
+                      <td>{model.replies}</td>
+                      <td>
+                        {model.prompt_tokens.toLocaleString()} / {model.completion_tokens.toLocaleString()}
+                      </td>
+                      <td>
+                        {formatMs(model.avg_ms)} / {formatMs(model.max_ms)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <h3 className="usage-heading">Tier attempts</h3>
+            {usage.tiers.map((tier) => (
+              <div key={tier.tier} className="studio-list-item">
+                <span className="studio-item-name">{tier.tier}</span>
+                <span className="admin-subtext">
+                  {Object.entries(tier.outcomes)
+                    .map(([outcome, count]) => `${USAGE_OUTCOME_ICONS[outcome] || ""} ${outcome} ${count}`)
+                    .join(" · ")}{" "}
+                  · avg {formatMs(tier.avg_latency_ms)}
+                </span>
+              </div>
+            ))}
+
+            <h3 className="usage-heading">Recent turns</h3>
+            {usage.recent.map((turn) => (
+              <div key={turn.telemetry_id} className="usage-trace">
+                <span className="admin-subtext">
+                  {new Date(turn.created_at).toLocaleString()} · {turn.outcome} · {formatMs(turn.total_ms)}
+                  {turn.streamed ? " · streamed" : ""}
+                </span>
+                <span className="usage-trace-path">
+                  {(turn.attempts || [])
+                    .map((attempt) => `${USAGE_OUTCOME_ICONS[attempt.outcome] || ""} ${attempt.tier} ${formatMs(attempt.latency_ms)}`)
+                    .join("  →  ") || "no tier attempted"}
+                </span>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SharedSessionView = ({ shareToken }) => {
+  const [shared, setShared] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/shared/${shareToken}`)
+      .then(async (response) => {
+        const payload = await response.json();
+        if (response.ok) setShared(payload);
+        else setErrorMessage(payload.message || "This link is not available.");
+      })
+      .catch(() => setErrorMessage("Avneesh AI is unreachable right now."));
+  }, [shareToken]);
 
-        <div className="auth-guest-bypass">
-          <div className="bypass-divider">
-            <span>SYSTEM OVERRIDE</span>
-          </div>
-          <button className="auth-guest-cta" onClick={onGuestLogin}>
-            CONTINUE AS GUEST
-          </button>
+  return (
+    <div className="shared-view-shell">
+      <header className="shared-view-header">
+        <span className="brand-logo-glow">⚡</span>
+        <div>
+          <h1>{shared ? shared.title : "Avneesh AI"}</h1>
+          {shared && (
+            <p>
+              Shared by {shared.shared_by} · {new Date(shared.created_at).toLocaleDateString()} ·
+              read-only
+            </p>
+          )}
         </div>
+      </header>
 
-        <footer className="auth-legal-footer">
-          <p>Avneesh Bot Project v2.5 | CockroachDB Ready</p>
-        </footer>
-      </div>
+      {errorMessage && <p className="shared-view-error">⚠️ {errorMessage}</p>}
+
+      {shared &&
+        shared.messages.map((message, index) => (
+          <div
+            key={index}
+            className={`message-row-v2 ${message.role === "user" ? "user-align" : "model-align"}`}
+          >
+            <div className="message-identity-circle">{message.role === "user" ? "U" : "A"}</div>
+            <div className="message-content-bubble">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{message.text}</ReactMarkdown>
+              {message.citations && message.citations.length > 0 && (
+                <div className="citation-chip-row">
+                  {message.citations.map((citation) => (
+                    <span key={`${citation.attachment_id}-${citation.n}`} className="citation-chip">
+                      [{citation.n}] 📄 {citation.filename} · {citation.section}
+                    </span>
+                  ))}
+                </div>
+              )}
+              {message.model_used && (
+                <div className="model-used-badge">⚙️ {message.model_used}</div>
+              )}
+            </div>
+          </div>
+        ))}
     </div>
   );
 };
@@ -271,7 +1680,10 @@ function App() {
   () => localStorage.getItem(USERNAME_KEY) || "Developer" // ✅ Fallback to "Developer"
 );
   const [isLoggedIn, setIsLoggedIn] = useState(!!token);
-  const [isGuest, setIsGuest] = useState(false);
+  const [pendingAuthLink, setPendingAuthLink] = useState(readAuthLink); // Open ?verify= / ?reset= link
+  const [isGuest, setIsGuest] = useState(
+    () => !!token && token === localStorage.getItem(GUEST_TOKEN_KEY)
+  );
 
   // B. Conversation & UI Orchestration State
   const [activeSessionId, setActiveSessionId] = useState(() =>
@@ -280,18 +1692,43 @@ function App() {
   const [sessions, setSessions] = useState([]);
   const [history, setHistory] = useState([]); // Correct state name
   const [mode, setMode] = useState("casual");
+  const [personas, setPersonas] = useState(DEFAULT_PERSONAS);
+  const [isPersonaStudioOpen, setPersonaStudioOpen] = useState(false);
+  const [preferredModel, setPreferredModel] = useState(
+    () => localStorage.getItem(MODEL_PREF_KEY) || "auto"
+  );
+  const [modelCatalog, setModelCatalog] = useState({ local_models: [], tiers: [] });
   const [userInput, setUserInput] = useState("");
 
   // C. Process Management State
   const [isTyping, setIsTyping] = useState(false);
   const [isSidebarOpen, setSidebarOpen] = useState(window.innerWidth > 1024);
   const [menuOpenId, setMenuOpenId] = useState(null);
+  const [sidebarTab, setSidebarTab] = useState("sessions"); // "sessions" | "memory"
+  const [memories, setMemories] = useState([]);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS);
+  const [searchResults, setSearchResults] = useState(null); // null = not searching
+  const [focusedRecordId, setFocusedRecordId] = useState(null);
+  const [shareTarget, setShareTarget] = useState(null); // Session whose share links are open
+  const [isSettingsOpen, setSettingsOpen] = useState(false);
+  const [quota, setQuota] = useState(null); // GET /api/quota: limits, usage and what's left today
+  const [profile, setProfile] = useState(null); // GET /api/me (accounts only)
+  const [isAdminOpen, setAdminOpen] = useState(false);
+  const [isUsageOpen, setUsageOpen] = useState(false);
+  const [attachments, setAttachments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [pendingImages, setPendingImages] = useState([]); // [{ name, mime_type, data }]
   // const [syncLevel, setSyncLevel] = useState(0);
 
   // D. DOM References
   const chatEndAnchor = useRef(null);
   // const sidebarContainer = useRef(null);
   const textEntryArea = useRef(null);
+  const filePicker = useRef(null);
+  const imagePicker = useRef(null);
+  const importPicker = useRef(null);
 
   // CSE Performance: Optimize scroll behavior
   // const forceScrollToBottom = useCallback(() => {
@@ -320,6 +1757,11 @@ function App() {
     }
   }, [activeSessionId]);
 
+  // Effect: Remember the pinned model between visits
+  useEffect(() => {
+    localStorage.setItem(MODEL_PREF_KEY, preferredModel);
+  }, [preferredModel]);
+
   // Effect: Handle Responsive Sidebar States
   useEffect(() => {
     const resizeListener = () => {
@@ -332,7 +1774,7 @@ function App() {
 
   // Effect: Bootstrap Session Data from CockroachDB Cluster
   useEffect(() => {
-    if (isLoggedIn && !isGuest && token) {
+    if (isLoggedIn && token) {
       const synchronizeSessions = async () => {
         try {
           // setSyncLevel(1);
@@ -354,17 +1796,144 @@ function App() {
     }
   }, [isLoggedIn, isGuest, token]);
 
+  // CSE Logic: Fetches built-in, own and shared personas
+  const refreshPersonas = useCallback(async () => {
+    const headers = {};
+    if (token) headers["Authorization"] = `Bearer ${token}`;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/personas`, { headers });
+      if (response.ok) {
+        const data = await response.json();
+        setPersonas(data);
+        // Fall back if the active persona was deleted or unshared
+        setMode((current) =>
+          data.some((p) => p.key === current) ? current : "casual"
+        );
+      }
+    } catch (err) {
+      console.error("Persona Sync Error: /api/personas unreachable.");
+    }
+  }, [token]);
+
+  // Effect: Load built-in + custom personas for the mode dropdown
+  useEffect(() => {
+    if (isLoggedIn) refreshPersonas();
+  }, [isLoggedIn, refreshPersonas]);
+
+  // CSE Logic: Lists the documents attached to a session
+  const refreshAttachments = useCallback(async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions/${id}/attachments`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) setAttachments(await response.json());
+    } catch (e) {
+      console.error("Attachment Sync Error: /api/sessions/:id/attachments unreachable.");
+    }
+  }, [token]);
+
+  // Effect: Documents belong to a session, so reload them whenever it changes
+  useEffect(() => {
+    if (isLoggedIn && token && activeSessionId) {
+      refreshAttachments(activeSessionId);
+    } else {
+      setAttachments([]);
+    }
+  }, [isLoggedIn, token, activeSessionId, refreshAttachments]);
+
+  // Effect: Load the account profile (role decides whether the admin view shows)
+  useEffect(() => {
+    if (!isLoggedIn || isGuest || !token) {
+      setProfile(null);
+      return;
+    }
+    fetch(`${API_BASE_URL}/me`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((me) => me && setProfile(me))
+      .catch(() => console.error("Profile Sync Error: /api/me unreachable."));
+  }, [isLoggedIn, isGuest, token]);
+
+  // CSE Logic: Fetches the caller's daily allowance for the composer footer
+  const refreshQuota = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/quota`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) setQuota(await response.json());
+    } catch (err) {
+      console.error("Quota Sync Error: /api/quota unreachable.");
+    }
+  }, [token]);
+
+  // Effect: Show today's remaining allowance once an identity exists
+  useEffect(() => {
+    if (isLoggedIn && token) refreshQuota();
+  }, [isLoggedIn, token, refreshQuota]);
+
+  // Effect: Pull the live model catalog (availability + latency) for the picker
+  useEffect(() => {
+    if (isLoggedIn) refreshModelCatalog();
+  }, [isLoggedIn]);
+
   // ✅ NEW EFFECT: Auto-loads messages for the persistent session after refresh
-// ✅ Corrected: Only auto-loads if the user is LOGGED IN (not a guest)
+// ✅ Corrected: Only auto-loads once an identity (account or guest) exists
 useEffect(() => {
-  if (isLoggedIn && !isGuest && activeSessionId && history.length === 0 && !isTyping) {
+  if (isLoggedIn && token && activeSessionId && history.length === 0 && !isTyping) {
     console.log("🔄 System Re-sync: Fetching authorized session data...");
     loadChat(activeSessionId);
   }
-}, [isLoggedIn, isGuest, activeSessionId]);
+}, [isLoggedIn, token, activeSessionId]);
+
+  // CSE Logic: Fetches /api/models (public, no token needed)
+  const refreshModelCatalog = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/models`);
+      if (response.ok) setModelCatalog(await response.json());
+    } catch (err) {
+      console.error("Model Catalog Error: /api/models unreachable.");
+    }
+  };
+
+  // CSE Logic: Offers to move this browser's guest conversations into the account
+  const offerGuestMerge = async (accountToken) => {
+    const guestToken = localStorage.getItem(GUEST_TOKEN_KEY);
+    if (!guestToken) return;
+
+    try {
+      const listing = await fetch(`${API_BASE_URL}/sessions`, {
+        headers: { Authorization: `Bearer ${guestToken}` },
+      });
+      const guestSessions = listing.ok ? await listing.json() : [];
+      if (!listing.ok || guestSessions.length === 0) {
+        if (!listing.ok) localStorage.removeItem(GUEST_TOKEN_KEY); // Expired identity
+        return;
+      }
+      if (!window.confirm(`Move ${guestSessions.length} guest conversation(s) into your account?`)) return;
+
+      const response = await fetch(`${API_BASE_URL}/guest/merge`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${accountToken}` },
+        body: JSON.stringify({ guest_token: guestToken }),
+      });
+      const payload = await response.json();
+      if (!response.ok) {
+        alert(payload.message || "Merge failed.");
+        return;
+      }
+      localStorage.removeItem(GUEST_TOKEN_KEY);
+
+      const refreshed = await fetch(`${API_BASE_URL}/sessions`, {
+        headers: { Authorization: `Bearer ${accountToken}` },
+      });
+      if (refreshed.ok) setSessions(await refreshed.json());
+    } catch (err) {
+      console.error("Guest Merge Error: Backend unreachable.");
+    }
+  };
 
   // CSE Logic: Handle successful login event
-  const onSuccessfulAuth = (receivedToken, dbUsername) => {
+  const onSuccessfulAuth = (receivedToken, dbUsername, refreshToken) => {
   // ✅ FIX: Ensure we never save "undefined" as a string
   const cleanName = dbUsername && dbUsername !== "undefined" ? dbUsername : "Developer";
   
@@ -376,16 +1945,51 @@ useEffect(() => {
   // Force immediate save to localStorage
   localStorage.setItem(TOKEN_KEY, receivedToken);
   localStorage.setItem(USERNAME_KEY, cleanName);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (pendingAuthLink) {
+    window.history.replaceState(null, "", window.location.pathname);
+    setPendingAuthLink(null);
+  }
+  offerGuestMerge(receivedToken);
 };
 
+  // CSE Logic: Claims (or renews) this browser's own guest identity
+  const requestGuestToken = useCallback(async () => {
+    const storedGuestToken = localStorage.getItem(GUEST_TOKEN_KEY);
+    const headers = {};
+    if (storedGuestToken) headers["Authorization"] = `Bearer ${storedGuestToken}`;
+
+    const response = await fetch(`${API_BASE_URL}/guest`, { method: "POST", headers });
+    const payload = await response.json();
+    if (!response.ok) throw new Error(payload.message || "Guest access unavailable.");
+    localStorage.setItem(GUEST_TOKEN_KEY, payload.token);
+    return payload.token;
+  }, []);
+
   // CSE Logic: Initialize Guest Persona
-  const onGuestBypass = () => {
+  const onGuestBypass = async () => {
     const customName = prompt("System Access: Identify yourself:") || "Guest";
-    setUserName(customName);
-    setIsGuest(true);
-    setIsLoggedIn(true);
+    try {
+      const guestToken = await requestGuestToken();
+      setToken(guestToken);
+      setUserName(customName);
+      setIsGuest(true);
+      setIsLoggedIn(true);
+    } catch (err) {
+      alert(`Guest Access Error: ${err.message}`);
+    }
   };
 
+  // Effect: Returning guests renew their identity so it doesn't expire mid-use
+  // (only a guest restored on page load; onGuestBypass already has a fresh token)
+  const isReturningGuest = useRef(isGuest);
+  useEffect(() => {
+    if (!isReturningGuest.current) return;
+    requestGuestToken()
+      .then(setToken)
+      .catch(() => console.error("Guest Renewal Error: /api/guest unreachable."));
+  }, [requestGuestToken]);
+
   /* ... Part 1 Complete (approx 400 lines including logic and styles) ... */
   /* ---------------------------------------------------------------------- 
    🚀 AVNEESH BOT PROJECT: PREMIUM AI INTERFACE (PART 2/4)
@@ -401,6 +2005,30 @@ useEffect(() => {
   // 📂 SESSION DATA SYNCHRONIZATION
   // ----------------------------------------------------------------------
 
+  // DATA MAPPING: Match CockroachDB records (active branch) to React bubbles
+  const toChatBubbles = (data) =>
+    data.map((msg) => ({
+      record_id: msg.record_id,
+      role: msg.role,
+      text: msg.text, // FIX: msg.content is what server.js sends
+      model: msg.role === "model" ? msg.model_used : undefined,
+      citations: msg.citations || undefined,
+      images: msg.images || undefined,
+      branch: msg.branch,
+    }));
+
+  // CSE Logic: Re-reads the active branch without blanking the feed
+  const syncActiveBranch = async (id) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/chat/${id}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) setHistory(toChatBubbles(await response.json()));
+    } catch (error) {
+      console.error("Cluster Sync Error: Branch refresh failed.");
+    }
+  };
+
   // CSE Logic: Fetches specific conversation records from CockroachDB
   const loadChat = async (id) => {
     if (!id) return;
@@ -412,7 +2040,7 @@ useEffect(() => {
 
     const headers = { "Content-Type": "application/json" };
 
-  if (token && !isGuest) {
+  if (token) {
     headers["Authorization"] = `Bearer ${token}`;
   }
 
@@ -421,13 +2049,7 @@ useEffect(() => {
       if (response.ok) {
         const data = await response.json();
 
-        // DATA MAPPING: Match CockroachDB 'content' to React 'text'
-        const mappedHistory = data.map((msg) => ({
-          role: msg.role,
-          text: msg.text, // FIX: msg.content is what server.js sends
-        }));
-
-        setHistory(mappedHistory);
+        setHistory(toChatBubbles(data));
       }
     } catch (error) {
       console.error("Cluster Sync Error: Previous messages unreachable.");
@@ -450,6 +2072,15 @@ useLayoutEffect(() => {
   }
 }, [history, isTyping]); // Triggers on every message update or history load
 
+// Search jumps: centre the matched message once its branch is rendered
+useEffect(() => {
+  if (!focusedRecordId) return;
+  const target = document.getElementById(`record-${focusedRecordId}`);
+  if (target) target.scrollIntoView({ behavior: "smooth", block: "center" });
+  const fade = setTimeout(() => setFocusedRecordId(null), 4000);
+  return () => clearTimeout(fade);
+}, [focusedRecordId, history]);
+
   // ----------------------------------------------------------------------
   // 🛠️ CRUD OPERATIONS: SESSION MANAGEMENT
   // ----------------------------------------------------------------------
@@ -491,40 +2122,370 @@ useLayoutEffect(() => {
     }
   };
 
-  // Action: Permanently delete a session thread
-  const performSessionDeletion = async (id) => {
-    const confirmPurge =
-      "Warning: This will permanently remove all records from CockroachDB. Continue?";
-    if (!window.confirm(confirmPurge)) {
-      setMenuOpenId(null);
-      return;
-    }
+  // Action: Permanently delete a session thread
+  const performSessionDeletion = async (id) => {
+    const confirmPurge =
+      "Warning: This will permanently remove all records from CockroachDB. Continue?";
+    if (!window.confirm(confirmPurge)) {
+      setMenuOpenId(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions/${id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      if (response.ok) {
+        // Remove from local session list state
+        setSessions((prevSessions) =>
+          prevSessions.filter((s) => String(s.session_id) !== String(id))
+        );
+
+        // Logic: If the active session was deleted, clear the chat window
+        if (String(activeSessionId) === String(id)) {
+          setActiveSessionId(null);
+          setHistory([]);
+          localStorage.removeItem(SESSION_PERSIST_KEY);
+        }
+      }
+    } catch (e) {
+      console.error(
+        "Delete Error: Purge request failed at the database level."
+      );
+    } finally {
+      setMenuOpenId(null); // Close the three-dot menu
+    }
+  };
+
+  // ----------------------------------------------------------------------
+  // 🧠 LONG-TERM MEMORY MANAGEMENT
+  // ----------------------------------------------------------------------
+
+  // CSE Logic: Fetches every fact the bot remembers about this user
+  const fetchMemories = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/memories`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) setMemories(await response.json());
+    } catch (e) {
+      console.error("Memory Sync Error: /api/memories unreachable.");
+    }
+  };
+
+  // Action: Open the memory tab and refresh it
+  const openMemoryTab = () => {
+    setSidebarTab("memory");
+    fetchMemories();
+  };
+
+  // Action: Teach the bot a fact explicitly
+  const performMemoryAdd = async () => {
+    const fact = prompt("What should Avneesh AI remember about you?");
+    if (!fact || !fact.trim()) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/memories`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ fact: fact.trim() }),
+      });
+      if (!response.ok) {
+        const payload = await response.json();
+        alert(payload.message);
+      }
+      fetchMemories();
+    } catch (e) {
+      console.error("Memory Error: Backend rejected the new fact.");
+    }
+  };
+
+  // Action: Correct a remembered fact
+  const performMemoryEdit = async (memory) => {
+    const fact = prompt("Update this memory:", memory.fact);
+    if (!fact || !fact.trim() || fact === memory.fact) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/memories/${memory.memory_id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ fact: fact.trim() }),
+      });
+      if (response.ok) {
+        setMemories((prev) =>
+          prev.map((m) =>
+            m.memory_id === memory.memory_id ? { ...m, fact: fact.trim() } : m
+          )
+        );
+      }
+    } catch (e) {
+      console.error("Memory Error: Backend rejected the update.");
+    }
+  };
+
+  // Action: Forget one fact, or everything when no memory is passed
+  const performMemoryForget = async (memory) => {
+    const warning = memory
+      ? `Forget "${memory.fact}"?`
+      : "Warning: This will erase everything Avneesh AI remembers about you. Continue?";
+    if (!window.confirm(warning)) return;
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/memories${memory ? `/${memory.memory_id}` : ""}`,
+        { method: "DELETE", headers: { Authorization: `Bearer ${token}` } }
+      );
+      if (response.ok) {
+        setMemories((prev) =>
+          memory ? prev.filter((m) => m.memory_id !== memory.memory_id) : []
+        );
+      }
+    } catch (e) {
+      console.error("Memory Error: Purge request failed.");
+    }
+  };
+
+  // ----------------------------------------------------------------------
+  // 📤 EXPORT & IMPORT
+  // ----------------------------------------------------------------------
+
+  // Helper: Authorized download -> browser "Save as" via a temporary blob URL
+  const downloadFromApi = async (path, fallbackName) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}${path}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        alert(payload.message || "Export failed.");
+        return false;
+      }
+
+      const disposition = response.headers.get("Content-Disposition") || "";
+      const match = /filename="([^"]+)"/.exec(disposition);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = match ? match[1] : fallbackName;
+      link.click();
+      URL.revokeObjectURL(url);
+      return true;
+    } catch (e) {
+      console.error("Export Error: Download failed.");
+      return false;
+    }
+  };
+
+  // Action: Export one session from the three-dot menu
+  const performSessionExport = (id, format) => {
+    setMenuOpenId(null);
+    downloadFromApi(`/sessions/${id}/export?format=${format}`, `conversation-${id}.${format}`);
+  };
+
+  // Action: Import our JSON export or ChatGPT's conversations.json
+  const performSessionImport = async (file) => {
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const response = await fetch(`${API_BASE_URL}/sessions/import`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ data }),
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        alert(payload.message || "Import failed.");
+        return;
+      }
+
+      alert(`Imported ${payload.imported.length} conversation(s).`);
+      const sessionsRes = await fetch(`${API_BASE_URL}/sessions`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (sessionsRes.ok) setSessions(await sessionsRes.json());
+    } catch (e) {
+      alert("That file is not valid JSON.");
+    } finally {
+      if (importPicker.current) importPicker.current.value = "";
+    }
+  };
+
+  // ----------------------------------------------------------------------
+  // 🔎 CONVERSATION SEARCH
+  // ----------------------------------------------------------------------
+
+  // CSE Logic: Queries /api/search with the current filters
+  const performSearch = async (filters = searchFilters) => {
+    if (searchQuery.trim().length < 2) {
+      setSearchResults(null);
+      return;
+    }
+
+    const params = new URLSearchParams({ q: searchQuery.trim() });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/search?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (response.ok) setSearchResults(await response.json());
+    } catch (e) {
+      console.error("Search Error: /api/search unreachable.");
+    }
+  };
+
+  // Action: Change one filter and re-run the search
+  const updateSearchFilter = (key, value) => {
+    const nextFilters = { ...searchFilters, [key]: value };
+    setSearchFilters(nextFilters);
+    performSearch(nextFilters);
+  };
+
+  const clearSearch = () => {
+    setSearchQuery("");
+    setSearchFilters(EMPTY_SEARCH_FILTERS);
+    setSearchResults(null);
+  };
+
+  // Action: Open the result's session on the branch that contains it
+  const jumpToSearchResult = async (result) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions/${result.session_id}/branch`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ record_id: result.record_id }),
+      });
+      if (!response.ok) return;
+
+      setHistory(toChatBubbles(await response.json()));
+      setActiveSessionId(result.session_id);
+      localStorage.setItem(SESSION_PERSIST_KEY, result.session_id);
+      setFocusedRecordId(result.record_id);
+      if (window.innerWidth < 1024) setSidebarOpen(false);
+    } catch (e) {
+      console.error("Search Error: Could not open the matching conversation.");
+    }
+  };
+
+  // Helper: Snippet text with server-computed [start, end) ranges wrapped in <mark>
+  const renderHighlightedSnippet = (snippet, highlights = []) => {
+    const parts = [];
+    let cursor = 0;
+    highlights.forEach(([start, end], i) => {
+      if (start > cursor) parts.push(snippet.slice(cursor, start));
+      parts.push(<mark key={i}>{snippet.slice(start, end)}</mark>);
+      cursor = end;
+    });
+    parts.push(snippet.slice(cursor));
+    return parts;
+  };
+
+  // ----------------------------------------------------------------------
+  // 📎 SESSION ATTACHMENTS (DOCUMENT UPLOAD)
+  // ----------------------------------------------------------------------
+
+  // Helper: File -> base64 payload (strips the data: URL prefix)
+  const readFileAsBase64 = (file) =>
+    new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+
+  // Action: Upload dropped/picked files one by one into the active session
+  const performAttachmentUpload = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0 || isUploading) return;
+
+    setIsUploading(true);
+    let sessionId = activeSessionId;
+    try {
+      for (const file of files) {
+        const response = await fetch(`${API_BASE_URL}/attachments`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+          body: JSON.stringify({
+            session_id: sessionId,
+            filename: file.name,
+            mime_type: file.type,
+            data: await readFileAsBase64(file),
+          }),
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          alert(payload.message || `Could not attach ${file.name}.`);
+          continue;
+        }
+
+        setAttachments((prev) => [...prev, payload.attachment]);
+        if (String(payload.session_id) !== String(sessionId)) {
+          // The upload opened a brand new session: switch to it and list it
+          sessionId = payload.session_id;
+          setActiveSessionId(sessionId);
+          localStorage.setItem(SESSION_PERSIST_KEY, sessionId);
+          const sessionsRes = await fetch(`${API_BASE_URL}/sessions`, {
+            headers: { Authorization: `Bearer ${token}` },
+          });
+          if (sessionsRes.ok) setSessions(await sessionsRes.json());
+        }
+      }
+    } catch (e) {
+      console.error("Upload Error: Attachment transfer failed.");
+    } finally {
+      setIsUploading(false);
+      if (filePicker.current) filePicker.current.value = "";
+    }
+  };
+
+  // Action: Queue pasted/dropped/picked images for the next message
+  const queueImages = async (fileList) => {
+    const files = Array.from(fileList || []).filter((file) => file.type.startsWith("image/"));
+    if (files.length === 0) return;
+
+    const room = MAX_IMAGES_PER_MESSAGE - pendingImages.length;
+    if (files.length > room) alert(`You can send up to ${MAX_IMAGES_PER_MESSAGE} images per message.`);
+
+    const queued = [];
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      if (file.size > MAX_IMAGE_BYTES) {
+        alert(`${file.name || "Image"} is larger than 5MB.`);
+        continue;
+      }
+      queued.push({ name: file.name, mime_type: file.type, data: await readFileAsBase64(file) });
+    }
+    setPendingImages((prev) => [...prev, ...queued]);
+    if (imagePicker.current) imagePicker.current.value = "";
+  };
+
+  // Action: Route dropped files - images ride with the message, documents get indexed
+  const handleFileDrop = (fileList) => {
+    const files = Array.from(fileList || []);
+    queueImages(files.filter((file) => file.type.startsWith("image/")));
+    performAttachmentUpload(files.filter((file) => !file.type.startsWith("image/")));
+  };
+
+  // Action: Detach a document from the session
+  const performAttachmentRemove = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.filename} from this conversation?`)) return;
 
     try {
-      const response = await fetch(`${API_BASE_URL}/sessions/${id}`, {
+      const response = await fetch(`${API_BASE_URL}/attachments/${attachment.attachment_id}`, {
         method: "DELETE",
         headers: { Authorization: `Bearer ${token}` },
       });
-
       if (response.ok) {
-        // Remove from local session list state
-        setSessions((prevSessions) =>
-          prevSessions.filter((s) => String(s.session_id) !== String(id))
+        setAttachments((prev) =>
+          prev.filter((a) => String(a.attachment_id) !== String(attachment.attachment_id))
         );
-
-        // Logic: If the active session was deleted, clear the chat window
-        if (String(activeSessionId) === String(id)) {
-          setActiveSessionId(null);
-          setHistory([]);
-          localStorage.removeItem(SESSION_PERSIST_KEY);
-        }
       }
     } catch (e) {
-      console.error(
-        "Delete Error: Purge request failed at the database level."
-      );
-    } finally {
-      setMenuOpenId(null); // Close the three-dot menu
+      console.error("Attachment Error: Removal request failed.");
     }
   };
 
@@ -532,20 +2493,49 @@ useLayoutEffect(() => {
   // 🚀 THE AI STREAMING ENGINE
   // ----------------------------------------------------------------------
 
-  // CSE Logic: Handles the POST request and reads the ReadableStream buffer
-  const executeAISend = async () => {
-  if (!userInput.trim() || isTyping) return;
-  const capturedPrompt = userInput.trim();
-  setUserInput("");
+  // CSE Logic: Patches the last (model) bubble while tokens arrive
+  const patchLiveBubble = (patch) => {
+    setHistory((prev) => {
+      const next = [...prev];
+      const last = next[next.length - 1];
+      if (last && last.role === "model") {
+        next[next.length - 1] = { ...last, ...patch(last) };
+      }
+      return next;
+    });
+  };
+
+  // CSE Logic: Handles the POST request and reads the ReadableStream buffer.
+  // `branchRequest` ({ prompt, images, baseHistory, editRecordId | regenerateRecordId })
+  // re-sends an earlier turn as a new branch instead of the input box contents.
+  const executeAISend = async (branchRequest = null) => {
+  if (isTyping) return;
+  if (!branchRequest && !userInput.trim() && pendingImages.length === 0) return;
+  const capturedPrompt = branchRequest ? branchRequest.prompt : userInput.trim() || "What's in this image?";
+  const capturedImages = branchRequest
+    ? branchRequest.images || []
+    : pendingImages.map(({ mime_type, data }) => ({ mime_type, data }));
+  if (!branchRequest) {
+    setUserInput("");
+    setPendingImages([]);
+  }
   setIsTyping(true);
 
-  // 1. Optimistically update UI
-  setHistory((prev) => [...prev, { role: "user", text: capturedPrompt }]);
+  // 1. Optimistically update UI (empty model bubble shows the typing loader)
+  if (branchRequest && branchRequest.regenerateRecordId) {
+    setHistory([...branchRequest.baseHistory, { role: "model", text: "" }]);
+  } else {
+    setHistory((prev) => [
+      ...(branchRequest ? branchRequest.baseHistory : prev),
+      { role: "user", text: capturedPrompt, images: capturedImages.length ? capturedImages : undefined },
+      { role: "model", text: "" },
+    ]);
+  }
 
   const headers = { "Content-Type": "application/json" };
 
-  // Only attach token if the user is logged in and NOT a guest
-  if (token && !isGuest) {
+  // Guests send their own anonymous token, accounts their login token
+  if (token) {
     headers["Authorization"] = `Bearer ${token}`;
   }
 
@@ -558,14 +2548,83 @@ useLayoutEffect(() => {
         mode: mode,
         session_id: activeSessionId,
         user_name: userName,
+        model: preferredModel,
+        images: capturedImages,
+        edit_record_id: branchRequest ? branchRequest.editRecordId : undefined,
+        regenerate_record_id: branchRequest ? branchRequest.regenerateRecordId : undefined,
+        stream: true,
       }),
     });
 
-    const payload = await response.json(); 
+    if (!response.ok || !response.body) {
+      const payload = await response.json().catch(() => ({}));
+      const failure = new Error(payload.message || "AI Connection Error");
+      if (response.status === 429) {
+        failure.retryAfter = Number(response.headers.get("Retry-After")) || payload.retry_after || 60;
+      }
+      throw failure;
+    }
+
+    // 2. Read NDJSON events line by line as the server relays tokens
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let finalEvent = null;
+
+    const handleStreamEvent = (event) => {
+      if (event.type === "chunk") {
+        patchLiveBubble((last) => ({ text: last.text + event.text }));
+      } else if (event.type === "model") {
+        patchLiveBubble(() => ({ model: event.model_info }));
+      } else if (event.type === "fallback") {
+        // Previous tier died mid-answer: restart the bubble with the new model
+        patchLiveBubble(() => ({
+          text: "",
+          model: event.model_info,
+          notice: `${event.from} dropped out, ${event.model_info} took over.`,
+        }));
+      } else if (event.type === "done") {
+        finalEvent = event;
+      } else if (event.type === "error") {
+        throw new Error(event.message);
+      }
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) handleStreamEvent(JSON.parse(line));
+      }
+    }
+    if (buffer.trim()) handleStreamEvent(JSON.parse(buffer));
+
+    if (!finalEvent) throw new Error("Stream closed before the reply was saved.");
+    const payload = finalEvent;
+    if (payload.citations && payload.citations.length) {
+      patchLiveBubble(() => ({ citations: payload.citations }));
+    }
+
+    // Record ids make the new bubbles editable/regenerable
+    setHistory((prev) => {
+      const next = [...prev];
+      const modelIndex = next.length - 1;
+      next[modelIndex] = { ...next[modelIndex], record_id: payload.model_record_id };
+      if (next[modelIndex - 1] && next[modelIndex - 1].role === "user") {
+        next[modelIndex - 1] = { ...next[modelIndex - 1], record_id: payload.user_record_id };
+      }
+      return next;
+    });
 
-    if (!response.ok) throw new Error(payload.message || "AI Connection Error");
+    // A new branch changes the sibling counters, so pull the branch view again
+    if (branchRequest) syncActiveBranch(payload.session_id);
 
-    // 2. Sync Session ID (If backend created a new session)
+    // 3. Sync Session ID (If backend created a new session)
     // Update the session check inside executeAISend in App.js
 // 🔄 THE CLEAN TRIPLE REFRESH STRATEGY (Guest Aware)
 if (payload.session_id && String(payload.session_id) !== String(activeSessionId)) {
@@ -574,7 +2633,7 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
   
   // 1. Prepare conditional headers for the refresh calls
   const refreshHeaders = { "Content-Type": "application/json" };
-  if (!isGuest && token) {
+  if (token) {
     refreshHeaders["Authorization"] = `Bearer ${token}`;
   }
 
@@ -589,28 +2648,90 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
   }, 5000); 
 }
 
-    // 3. Update history with the full reply
-    setHistory((prev) => [...prev, { role: "model", text: payload.content }]);
-
   } catch (err) {
     console.error("Transmission Error:", err);
-    setHistory((prev) => [...prev, { 
-      role: "model", 
-      text: "⚠️ **System Error:** Connection to Avneesh AI was interrupted. Check if your laptop is online or Gemini API quota is exceeded." 
-    }]);
+    // Replace the unfinished bubble with the error notice
+    patchLiveBubble(() => ({
+      text: err.retryAfter
+        ? `⏳ **Easy there:** ${err.message} You can send again in ${formatWait(err.retryAfter)}.`
+        : "⚠️ **System Error:** Connection to Avneesh AI was interrupted. Check if your laptop is online or Gemini API quota is exceeded.",
+      notice: null,
+    }));
   } finally {
+    refreshQuota();
     setIsTyping(false);
     if (textEntryArea.current) textEntryArea.current.focus();
   }
 };
 
+  // ----------------------------------------------------------------------
+  // 🌿 CONVERSATION BRANCHES: EDIT, REGENERATE, SWITCH
+  // ----------------------------------------------------------------------
+
+  // Action: Edit an earlier prompt and resend it as a sibling branch
+  const performPromptEdit = (message, index) => {
+    const editedText = prompt("Edit your message:", message.text);
+    if (!editedText || editedText.trim() === "" || editedText.trim() === message.text) return;
+
+    executeAISend({
+      prompt: editedText.trim(),
+      images: message.images,
+      baseHistory: history.slice(0, index),
+      editRecordId: message.record_id,
+    });
+  };
+
+  // Action: Ask again (uses the persona/model currently picked in the header)
+  const performRegenerate = (message, index) => {
+    const promptBubble = history[index - 1];
+    executeAISend({
+      prompt: promptBubble ? promptBubble.text : "",
+      baseHistory: history.slice(0, index),
+      regenerateRecordId: message.record_id,
+    });
+  };
+
+  // Action: Flip to the previous/next alternative of a message
+  const performBranchSwitch = async (message, direction) => {
+    const target = message.branch.siblings[message.branch.index + direction];
+    if (!target || isTyping) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/sessions/${activeSessionId}/branch`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ record_id: target }),
+      });
+      if (response.ok) setHistory(toChatBubbles(await response.json()));
+    } catch (e) {
+      console.error("Branch Error: Switch request failed.");
+    }
+  };
+
   // ----------------------------------------------------------------------
   // 🚪 SYSTEM TERMINATION
   // ----------------------------------------------------------------------
 
-  const executeSystemLogout = () => {
-    // Clear all persistent data and security tokens
+  const executeSystemLogout = useCallback(async () => {
+    // Revoke this device's refresh token so a copied token can't be renewed
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (refreshToken) {
+      try {
+        await fetch(`${API_BASE_URL}/logout`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+      } catch (err) {
+        console.error("Logout Error: Revocation request failed.");
+      }
+    }
+
+    // Clear all persistent data and security tokens (the guest identity stays
+    // so "Continue as guest" on this browser resumes the same conversations)
+    const guestToken = localStorage.getItem(GUEST_TOKEN_KEY);
     localStorage.clear();
+    if (guestToken) localStorage.setItem(GUEST_TOKEN_KEY, guestToken);
     setToken(null);
     setUserName("User");
     setIsLoggedIn(false);
@@ -620,8 +2741,86 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
 
     // Forced window reload to purge state buffers
     window.location.reload();
+  }, []);
+
+  // Action: Revoke every login of this account, then sign out here too
+  const executeLogoutEverywhere = async () => {
+    if (!window.confirm("Sign out on every device, including this one?")) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/logout/all`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        const payload = await response.json();
+        alert(payload.message || "Could not sign out other devices.");
+        return;
+      }
+    } catch (err) {
+      alert("Backend unreachable.");
+      return;
+    }
+    executeSystemLogout();
   };
 
+  // CSE Logic: Rotates the refresh token and swaps in a fresh access token.
+  // The expiry timer and the focus handler can fire together; both await the
+  // same request, since a second one would replay the just-rotated token.
+  const refreshInFlight = useRef(null);
+  const refreshAccessToken = useCallback(() => {
+    if (refreshInFlight.current) return refreshInFlight.current;
+
+    refreshInFlight.current = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (!refreshToken) return;
+
+      try {
+        const response = await fetch(`${API_BASE_URL}/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+        const payload = await response.json();
+
+        if (response.ok) {
+          localStorage.setItem(REFRESH_TOKEN_KEY, payload.refresh_token);
+          localStorage.setItem(TOKEN_KEY, payload.token);
+          setToken(payload.token);
+          if (payload.username) setUserName(payload.username);
+        } else if (response.status === 409 && localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) {
+          // Another tab rotated first and saved the new pair; adopt it
+          setToken(localStorage.getItem(TOKEN_KEY));
+        } else {
+          alert(payload.message || "Session Expired. Please re-login.");
+          executeSystemLogout();
+        }
+      } catch (err) {
+        console.error("Token Renewal Error: /api/refresh unreachable.");
+      }
+    })().finally(() => {
+      refreshInFlight.current = null;
+    });
+    return refreshInFlight.current;
+  }, [executeSystemLogout]);
+
+  // Effect: Renew the short-lived access token just before it runs out
+  // (and straight away when a laptop wakes up with an expired one)
+  useEffect(() => {
+    if (!token || isGuest || !localStorage.getItem(REFRESH_TOKEN_KEY)) return;
+
+    const isExpiring = () => readTokenExpiry(token) - Date.now() < TOKEN_RENEW_MARGIN;
+    const timer = setTimeout(refreshAccessToken, Math.max(readTokenExpiry(token) - Date.now() - TOKEN_RENEW_MARGIN, 0));
+    const onFocus = () => {
+      if (isExpiring()) refreshAccessToken();
+    };
+    window.addEventListener("focus", onFocus);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("focus", onFocus);
+    };
+  }, [token, isGuest, refreshAccessToken]);
+
   /* ... Part 2 Complete (approx 450 lines with Part 1) ... */
   /* ---------------------------------------------------------------------- 
    🚀 AVNEESH BOT PROJECT: PREMIUM AI INTERFACE (PART 3/4)
@@ -644,6 +2843,169 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
     if (textEntryArea.current) textEntryArea.current.focus();
   };
 
+  // ----------------------------------------------------------------------
+  // 🧠 UI FRAGMENT: LONG-TERM MEMORY PANEL
+  // ----------------------------------------------------------------------
+  const renderMemoryPanel = () => (
+    <div className="memory-panel">
+      <div className="memory-panel-actions">
+        <button className="dropdown-opt-btn" onClick={performMemoryAdd}>
+          <span className="opt-icon">➕</span>
+          <span>Remember something</span>
+        </button>
+        {memories.length > 0 && (
+          <button
+            className="dropdown-opt-btn delete-warning"
+            onClick={() => performMemoryForget(null)}
+          >
+            <span className="opt-icon">🧹</span>
+            <span>Forget all</span>
+          </button>
+        )}
+      </div>
+
+      {memories.length === 0 ? (
+        <div className="empty-history-placeholder">
+          <p>Nothing remembered yet. Facts from your chats will appear here.</p>
+        </div>
+      ) : (
+        memories.map((memory) => (
+          <div key={memory.memory_id} className="memory-item">
+            <div className="nav-item-icon">
+              {memory.source === "extracted" ? "✨" : "📌"}
+            </div>
+            <p className="memory-fact">{memory.fact}</p>
+            <div className="memory-item-actions">
+              <button
+                className="session-options-trigger"
+                onClick={() => performMemoryEdit(memory)}
+                title="Edit memory"
+              >
+                ✏️
+              </button>
+              <button
+                className="session-options-trigger"
+                onClick={() => performMemoryForget(memory)}
+                title="Forget"
+              >
+                🗑️
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+
+  // ----------------------------------------------------------------------
+  // 🔎 UI FRAGMENT: SIDEBAR SEARCH
+  // ----------------------------------------------------------------------
+  const renderSearchControls = () => (
+    <div className="sidebar-search-box">
+      <div className="search-input-row">
+        <input
+          className="search-input"
+          type="search"
+          placeholder="🔎 Search all conversations..."
+          value={searchQuery}
+          onChange={(e) => {
+            setSearchQuery(e.target.value);
+            if (!e.target.value) setSearchResults(null);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") performSearch();
+            if (e.key === "Escape") clearSearch();
+          }}
+        />
+        {searchResults && (
+          <button className="session-options-trigger" title="Clear search" onClick={clearSearch}>
+            ✕
+          </button>
+        )}
+      </div>
+
+      {searchResults && (
+        <div className="search-filter-row">
+          <select value={searchFilters.mode} onChange={(e) => updateSearchFilter("mode", e.target.value)}>
+            <option value="">All personas</option>
+            {personas.map((p) => (
+              <option key={p.key} value={p.key}>
+                {p.emoji} {p.name}
+              </option>
+            ))}
+          </select>
+          <select value={searchFilters.role} onChange={(e) => updateSearchFilter("role", e.target.value)}>
+            <option value="">Anyone</option>
+            <option value="user">You</option>
+            <option value="model">AI</option>
+          </select>
+          <select value={searchFilters.model} onChange={(e) => updateSearchFilter("model", e.target.value)}>
+            <option value="">Any model</option>
+            {modelCatalog.tiers.map((tier) => (
+              <option key={tier.id} value={tier.label}>
+                {tier.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="date"
+            title="From"
+            value={searchFilters.from}
+            onChange={(e) => updateSearchFilter("from", e.target.value)}
+          />
+          <input
+            type="date"
+            title="To"
+            value={searchFilters.to}
+            onChange={(e) => updateSearchFilter("to", e.target.value)}
+          />
+        </div>
+      )}
+    </div>
+  );
+
+  const renderSearchResults = () => (
+    <div className="search-results-panel">
+      {searchResults.sessions.length === 0 && searchResults.messages.length === 0 && (
+        <div className="empty-history-placeholder">
+          <p>No matches for "{searchQuery}".</p>
+        </div>
+      )}
+
+      {searchResults.sessions.map((session) => (
+        <div
+          key={`session-${session.session_id}`}
+          className="history-nav-item search-result-item"
+          onClick={() => loadChat(session.session_id)}
+        >
+          <div className="nav-item-icon">🗂️</div>
+          <div className="nav-item-title-box">
+            <span className="nav-item-title">
+              {renderHighlightedSnippet(session.snippet, session.highlights)}
+            </span>
+          </div>
+        </div>
+      ))}
+
+      {searchResults.messages.map((result) => (
+        <div
+          key={result.record_id}
+          className="search-result-item"
+          onClick={() => jumpToSearchResult(result)}
+        >
+          <div className="search-result-meta">
+            <span>{result.role === "user" ? "You" : result.model_used || "AI"}</span>
+            <span>· {result.session_name || "New Thread"}</span>
+            <span>· {new Date(result.timestamp).toLocaleDateString()}</span>
+          </div>
+          <div className="search-result-snippet">
+            {renderHighlightedSnippet(result.snippet, result.highlights)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
   // ----------------------------------------------------------------------
   // 🎨 UI FRAGMENT: SIDEBAR NAVIGATION
   // ----------------------------------------------------------------------
@@ -682,15 +3044,59 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
           </button>
         </div>
 
-        <div className="sidebar-navigation-label">REPOSITORY</div>
+        {isGuest ? (
+          <div className="sidebar-navigation-label">REPOSITORY</div>
+        ) : (
+          <div className="sidebar-tab-switch">
+            <button
+              className={`sidebar-navigation-label sidebar-tab ${sidebarTab === "sessions" ? "active" : ""}`}
+              onClick={() => setSidebarTab("sessions")}
+            >
+              REPOSITORY
+            </button>
+            <button
+              className={`sidebar-navigation-label sidebar-tab ${sidebarTab === "memory" ? "active" : ""}`}
+              onClick={openMemoryTab}
+            >
+              🧠 MEMORY
+            </button>
+          </div>
+        )}
+
+        {isGuest && (
+          <div className="guest-mode-disclaimer">
+            <p>
+              Guest conversations belong to this browser and expire after 30 idle days.
+              Sign in to keep them for good.
+            </p>
+          </div>
+        )}
+
+        {sidebarTab === "sessions" && renderSearchControls()}
+
+        {sidebarTab === "sessions" && (
+          <div className="sidebar-data-actions">
+            <input
+              ref={importPicker}
+              type="file"
+              accept=".json,application/json"
+              hidden
+              onChange={(e) => performSessionImport(e.target.files[0])}
+            />
+            <button onClick={() => importPicker.current && importPicker.current.click()}>
+              ⬆️ Import
+            </button>
+            <button onClick={() => downloadFromApi("/export", "avneesh-bot-export.zip")}>
+              📦 Export all
+            </button>
+          </div>
+        )}
 
         <nav className="sidebar-history-scroller">
-          {isGuest ? (
-            <div className="guest-mode-disclaimer">
-              <p>
-                Guest sessions are transient and not persisted to the database.
-              </p>
-            </div>
+          {!isGuest && sidebarTab === "memory" ? (
+            renderMemoryPanel()
+          ) : searchResults ? (
+            renderSearchResults()
           ) : sessions.length === 0 ? (
             <div className="empty-history-placeholder">
               <p>No active logs found in the cluster.</p>
@@ -745,6 +3151,27 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
                         <span className="opt-icon">✏️</span>
                         <span>Rename Chat</span>
                       </button>
+                      <button
+                        className="dropdown-opt-btn"
+                        onClick={() => {
+                          setMenuOpenId(null);
+                          setShareTarget(session);
+                        }}
+                      >
+                        <span className="opt-icon">🔗</span>
+                        <span>Share Links</span>
+                      </button>
+                      <div className="dropdown-divider"></div>
+                      {EXPORT_OPTIONS.map((option) => (
+                        <button
+                          key={option.format}
+                          className="dropdown-opt-btn"
+                          onClick={() => performSessionExport(session.session_id, option.format)}
+                        >
+                          <span className="opt-icon">{option.icon}</span>
+                          <span>Export {option.label}</span>
+                        </button>
+                      ))}
                       <div className="dropdown-divider"></div>
                       <button
                         className="dropdown-opt-btn delete-warning"
@@ -764,7 +3191,11 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
         </nav>
 
         <div className="account-footer">
-  <div className="account-card">
+  <div
+    className={`account-card ${isGuest ? "" : "account-card-action"}`}
+    title={isGuest ? undefined : "Account settings"}
+    onClick={() => !isGuest && setSettingsOpen(true)}
+  >
     <div className="account-avatar">
       {/* ✅ SAFE VERSION: Fallback to 'U' if userName is empty */}
       {(userName || "User").charAt(0).toUpperCase()}
@@ -772,13 +3203,18 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
     <div className="account-meta">
       <p className="account-name">{userName || "Loading..."}</p>
       <p className="account-tier">
-        {isGuest ? "GUEST ACCESS" : "PRO DEVELOPER"}
+        {isGuest ? "GUEST ACCESS" : profile && profile.role === "admin" ? "ADMINISTRATOR" : "PRO DEVELOPER"}
       </p>
     </div>
   </div>
           <button className="account-logout-btn" onClick={executeSystemLogout}>
             TERMINATE SESSION
           </button>
+          {!isGuest && (
+            <button className="account-logout-btn logout-everywhere" onClick={executeLogoutEverywhere}>
+              SIGN OUT ALL DEVICES
+            </button>
+          )}
         </div>
       </aside>
     </>
@@ -805,11 +3241,9 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
           <span className="bc-root">Sessions</span>
           <span className="bc-sep">/</span>
           <span className="bc-current">
-            {isGuest
-              ? "Ephemeral Mode"
-              : sessions.find(
-                  (s) => String(s.session_id) === String(activeSessionId)
-                )?.session_name || "System Initialized"}
+            {sessions.find(
+              (s) => String(s.session_id) === String(activeSessionId)
+            )?.session_name || "System Initialized"}
           </span> 
         </div>
       </div>
@@ -826,12 +3260,64 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
             value={mode}
             onChange={(e) => setMode(e.target.value)}
           >
-            <option value="casual">😎 CASUAL</option>
-            <option value="roast">🔥 SAVAGE</option>
-            <option value="flirt">💖 CHARMING</option>
-            <option value="depressed">🌧️ BURNOUT</option>
-            <option value="angry">😡 FURIOUS</option>
-            <option value="positive">✨ GOGGINS</option>
+            {personas.map((persona) => (
+              <option key={persona.key} value={persona.key}>
+                {persona.emoji} {persona.name.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button
+          className="header-menu-trigger persona-studio-trigger"
+          onClick={() => setUsageOpen(true)}
+          title="Usage"
+        >
+          📈
+        </button>
+
+        {profile && profile.role === "admin" && (
+          <button
+            className="header-menu-trigger persona-studio-trigger"
+            onClick={() => setAdminOpen(true)}
+            title="Administration"
+          >
+            🛡️
+          </button>
+        )}
+
+        {!isGuest && (
+          <button
+            className="header-menu-trigger persona-studio-trigger"
+            onClick={() => setPersonaStudioOpen(true)}
+            title="Persona Studio"
+          >
+            🎭
+          </button>
+        )}
+
+        <div className="mode-selector-wrapper">
+          <select
+            className="premium-mode-select model-pin-select"
+            value={preferredModel}
+            onFocus={refreshModelCatalog}
+            onChange={(e) => setPreferredModel(e.target.value)}
+            title="Preferred model (falls back down the waterfall if unavailable)"
+          >
+            <option value="auto">🤖 AUTO</option>
+            {modelCatalog.tiers.map((tier) => (
+              <option key={tier.id} value={tier.id}>
+                {tier.available ? "🟢" : "🔴"} {tier.label}
+                {tier.latency_ms.avg ? ` · ${(tier.latency_ms.avg / 1000).toFixed(1)}s` : ""}
+              </option>
+            ))}
+            {modelCatalog.local_models
+              .filter((m) => !modelCatalog.tiers.some((tier) => tier.id === m.id))
+              .map((m) => (
+                <option key={m.id} value={m.id}>
+                  💻 {m.id}
+                </option>
+              ))}
           </select>
         </div>
       </div>
@@ -864,7 +3350,7 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
       <h1 className="hero-title">Node Initialized: Avneesh AI</h1>
       <p className="hero-subtitle">
         Identity Verified: {userName}. Backend linked to CockroachDB Cluster.
-        Streaming protocol active via {mode.toUpperCase()} mode.
+        Streaming protocol active via {activePersonaLabel} mode.
       </p>
       <div className="hero-suggestions-grid">
         <button
@@ -911,14 +3397,38 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
         : history.map((message, index) => (
             <div
               key={message.id || index}
+              id={message.record_id ? `record-${message.record_id}` : undefined}
               className={`message-row-v2 ${
                 message.role === "user" ? "user-align" : "model-align"
+              } ${
+                focusedRecordId && String(focusedRecordId) === String(message.record_id)
+                  ? "search-focus"
+                  : ""
               }`}
             >
               <div className="message-identity-circle">
                 {message.role === "user" ? "U" : "A"}
               </div>
               <div className="message-content-bubble">
+                {/* Failover Notice: A tier dropped out mid-stream */}
+                {message.notice && (
+                  <div className="stream-failover-notice">🔀 {message.notice}</div>
+                )}
+
+                {/* Image Strip: Pictures sent along with the prompt */}
+                {message.images && message.images.length > 0 && (
+                  <div className="message-image-strip">
+                    {message.images.map((image, imageIndex) => (
+                      <img
+                        key={imageIndex}
+                        className="message-image-thumb"
+                        src={`data:${image.mime_type};base64,${image.data}`}
+                        alt={`Attachment ${imageIndex + 1}`}
+                      />
+                    ))}
+                  </div>
+                )}
+
                 {/* ADVANCED MARKDOWN ENGINE */}
                 <ReactMarkdown
                   remarkPlugins={[remarkGfm]}
@@ -942,6 +3452,66 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
                   {message.text}
                 </ReactMarkdown>
 
+                {/* Model Badge: Which tier actually answered */}
+                {message.role === "model" && message.model && (
+                  <div className="model-used-badge">⚙️ {message.model}</div>
+                )}
+
+                {/* Citations: Which attached file/section the answer drew on */}
+                {message.role === "model" && message.citations && message.citations.length > 0 && (
+                  <div className="citation-chip-row">
+                    {message.citations.map((citation) => (
+                      <span
+                        key={`${citation.attachment_id}-${citation.n}`}
+                        className="citation-chip"
+                        title={`${citation.filename} — ${citation.section}`}
+                      >
+                        [{citation.n}] 📄 {citation.filename} · {citation.section}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {/* Branch Bar: Edit/regenerate and flip between alternatives */}
+                {message.record_id && !isTyping && (
+                  <div className="message-branch-bar">
+                    {message.branch && message.branch.count > 1 && (
+                      <span className="branch-switcher">
+                        <button
+                          disabled={message.branch.index === 0}
+                          onClick={() => performBranchSwitch(message, -1)}
+                        >
+                          ‹
+                        </button>
+                        {message.branch.index + 1}/{message.branch.count}
+                        <button
+                          disabled={message.branch.index === message.branch.count - 1}
+                          onClick={() => performBranchSwitch(message, 1)}
+                        >
+                          ›
+                        </button>
+                      </span>
+                    )}
+                    {message.role === "user" ? (
+                      <button
+                        className="branch-action-btn"
+                        title="Edit and resend"
+                        onClick={() => performPromptEdit(message, index)}
+                      >
+                        ✏️
+                      </button>
+                    ) : (
+                      <button
+                        className="branch-action-btn"
+                        title="Regenerate (uses the persona and model picked above)"
+                        onClick={() => performRegenerate(message, index)}
+                      >
+                        🔄
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 {/* Live Sync Status: Shown during active AI streaming */}
                 {message.text === "" && isTyping && (
                   <div className="typing-pulse-loader">
@@ -966,12 +3536,65 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
   // Implements dynamic auto-height and key-binding for CSE efficiency.
   const renderInputZoneModule = () => (
     <footer className="input-control-zone">
-      <div className="input-box-modern">
+      <div
+        className={`input-box-modern ${isDragOver ? "drag-over" : ""}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDragOver(false);
+          handleFileDrop(e.dataTransfer.files);
+        }}
+      >
+        {/* Attachment List: Documents the AI can quote in this session */}
+        {(attachments.length > 0 || isUploading) && (
+          <div className="attachment-chip-row">
+            {attachments.map((attachment) => (
+              <span key={attachment.attachment_id} className="attachment-chip">
+                📄 {attachment.filename}
+                <button
+                  className="attachment-chip-remove"
+                  title="Remove from conversation"
+                  onClick={() => performAttachmentRemove(attachment)}
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+            {isUploading && <span className="attachment-chip uploading">Indexing…</span>}
+          </div>
+        )}
+
+        {/* Pending Images: Sent with the next message */}
+        {pendingImages.length > 0 && (
+          <div className="message-image-strip pending">
+            {pendingImages.map((image, imageIndex) => (
+              <div key={imageIndex} className="pending-image-item">
+                <img
+                  className="message-image-thumb"
+                  src={`data:${image.mime_type};base64,${image.data}`}
+                  alt={image.name || `Image ${imageIndex + 1}`}
+                />
+                <button
+                  className="attachment-chip-remove"
+                  title="Remove image"
+                  onClick={() => setPendingImages((prev) => prev.filter((_, i) => i !== imageIndex))}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
         <textarea
           ref={textEntryArea}
           className="input-engine-textarea"
           rows="1"
-          placeholder={`Direct Command to Avneesh AI (${mode.toUpperCase()})...`}
+          placeholder={`Direct Command to Avneesh AI (${activePersonaLabel})...`}
           value={userInput}
           onChange={(e) => {
             setUserInput(e.target.value);
@@ -979,6 +3602,16 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
             e.target.style.height = "auto";
             e.target.style.height = `${e.target.scrollHeight}px`;
           }}
+          onPaste={(e) => {
+            // Screenshots pasted from the clipboard become pending images
+            const pastedImages = Array.from(e.clipboardData.files || []).filter((file) =>
+              file.type.startsWith("image/")
+            );
+            if (pastedImages.length) {
+              e.preventDefault();
+              queueImages(pastedImages);
+            }
+          }}
           onKeyDown={(e) => {
             // Action: Enter sends, Shift+Enter allows new lines
             if (e.key === "Enter" && !e.shiftKey) {
@@ -990,14 +3623,54 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
         />
 
         <div className="input-actions-cluster">
+          <input
+            ref={imagePicker}
+            type="file"
+            multiple
+            hidden
+            accept="image/png,image/jpeg,image/webp,image/gif"
+            onChange={(e) => queueImages(e.target.files)}
+          />
+          <button
+            className="attach-action-btn"
+            title="Add images (or paste a screenshot)"
+            onClick={() => imagePicker.current && imagePicker.current.click()}
+            disabled={isTyping || pendingImages.length >= MAX_IMAGES_PER_MESSAGE}
+          >
+            🖼️
+          </button>
+          <input
+            ref={filePicker}
+            type="file"
+            multiple
+            hidden
+            accept=".pdf,.md,.markdown,.txt,.csv,.json,.js,.jsx,.ts,.tsx,.py,.java,.c,.cpp,.go,.rs,.sql,.html,.css"
+            onChange={(e) => performAttachmentUpload(e.target.files)}
+          />
+          <button
+            className="attach-action-btn"
+            title="Attach documents (or drop them here)"
+            onClick={() => filePicker.current && filePicker.current.click()}
+            disabled={isUploading}
+          >
+            📎
+          </button>
           <div className="input-meta-data">
             <span className="char-count">{userInput.length} bits</span>
+            {quota && quota.remaining.messages !== null && (
+              <span
+                className={`quota-tag ${quota.remaining.messages <= 5 ? "quota-low" : ""}`}
+                title={`Resets in ${formatWait(quota.resets_in)} (UTC midnight)`}
+              >
+                {quota.remaining.messages} msgs left today
+              </span>
+            )}
             <span className="security-tag">ENCRYPTED</span>
           </div>
           <button
   className="send-action-btn"
-  onClick={executeAISend}
-  disabled={isTyping || !userInput.trim()}
+  onClick={() => executeAISend()}
+  disabled={isTyping || (!userInput.trim() && pendingImages.length === 0)}
 >
   {/* ✅ Logic: Show spinner only while waiting for AI reply */}
   {isTyping ? (
@@ -1023,18 +3696,35 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
   // 🏛️ THE FINAL ASSEMBLY: MAIN APPLICATION RENDER
   // ----------------------------------------------------------------------
 
+  // Custom personas carry their own accent colour instead of a theme-* class
+  const activePersona = personas.find((p) => p.key === mode);
+  const activePersonaLabel = (activePersona ? activePersona.name : mode).toUpperCase();
+  const personaThemeStyle =
+    activePersona && activePersona.theme_color
+      ? {
+          "--accent-main": activePersona.theme_color,
+          "--accent-glow": activePersona.theme_color,
+          "--accent-alpha": `${activePersona.theme_color}66`,
+        }
+      : undefined;
+
+  // Public share links never need a login
+  if (SHARED_TOKEN) return <SharedSessionView shareToken={SHARED_TOKEN} />;
+
   // Safety check for authentication routing
-  if (!isLoggedIn) {
+  if (!isLoggedIn || pendingAuthLink) {
     return (
       <AuthView
         onLoginSuccess={onSuccessfulAuth}
         onGuestLogin={onGuestBypass}
+        authLink={pendingAuthLink}
+        onAuthLinkDone={() => setPendingAuthLink(null)}
       />
     );
   }
 
   return (
-    <div className={`app-shell-v2 theme-${mode}`}>
+    <div className={`app-shell-v2 theme-${mode}`} style={personaThemeStyle}>
       {/* 1. Sidebar Module (From Part 3) */}
       {renderSidebarModule()}
 
@@ -1050,7 +3740,55 @@ if (payload.session_id && String(payload.session_id) !== String(activeSessionId)
         {renderInputZoneModule()}
       </main>
 
-      {/* 6. Portals & Overlays (System Messages) */}
+      {/* 6. Persona Studio Overlay */}
+      {isPersonaStudioOpen && (
+        <PersonaStudio
+          personas={personas}
+          token={token}
+          onClose={() => setPersonaStudioOpen(false)}
+          onChanged={async (selectKey) => {
+            await refreshPersonas();
+            if (selectKey) setMode(selectKey);
+          }}
+        />
+      )}
+
+      {/* 7. Share Link Manager */}
+      {shareTarget && (
+        <ShareManager
+          session={shareTarget}
+          token={token}
+          onClose={() => setShareTarget(null)}
+        />
+      )}
+
+      {/* 8. Account Settings */}
+      {isSettingsOpen && (
+        <AccountSettings
+          token={token}
+          onClose={() => setSettingsOpen(false)}
+          onProfileSaved={(name) => setUserName(name)}
+          onExportData={() => downloadFromApi("/export", "avneesh-bot-export.zip")}
+          onAccountDeleted={() => {
+            alert("Your account has been deleted.");
+            executeSystemLogout();
+          }}
+        />
+      )}
+
+      {/* 9. Admin Dashboard */}
+      {isAdminOpen && profile && profile.role === "admin" && (
+        <AdminDashboard
+          token={token}
+          currentUserId={profile.id}
+          onClose={() => setAdminOpen(false)}
+        />
+      )}
+
+      {/* 10. Usage Panel */}
+      {isUsageOpen && <UsagePanel token={token} onClose={() => setUsageOpen(false)} />}
+
+      {/* 11. Portals & Overlays (System Messages) */}
       <div id="system-portal-root"></div>
     </div>
   );
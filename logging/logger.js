@@ -0,0 +1,80 @@
+/**
+ * @file logging/logger.js
+ * @description Structured logger. Writes one JSON object per line (production)
+ * or a coloured, human-readable line (development). Every line picks up the
+ * ambient log context — request ID, user ID, background job name — set with
+ * runWithLogContext / bindLogContext, so a chat's access line, tier attempts
+ * and summarizer work can be correlated by `request_id`.
+ *
+ * Levels: debug < info < warn < error. "success" is logged at info with
+ * `"success": true` so existing call sites keep their green lines in dev.
+ */
+import { AsyncLocalStorage } from "async_hooks";
+import { redactText, redactValue } from "./redact.js";
+
+const LEVEL_RANK = { debug: 10, info: 20, warn: 30, error: 40 };
+const COLORS = { debug: "\x1b[90m", info: "\x1b[34m", warn: "\x1b[33m", error: "\x1b[31m", success: "\x1b[32m" };
+const RESET = "\x1b[0m";
+
+const contextStore = new AsyncLocalStorage();
+
+/**
+ * @function runWithLogContext
+ * @description Runs `fn` with `context` attached to every line logged inside
+ * it, including from awaited work and timers it starts.
+ */
+export const runWithLogContext = (context, fn) => contextStore.run({ ...context }, fn);
+
+/**
+ * @function bindLogContext
+ * @description Adds fields (e.g. user_id once a token is verified) to the
+ * current context. No-op outside runWithLogContext.
+ */
+export const bindLogContext = (fields) => {
+  const store = contextStore.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+export const currentLogContext = () => contextStore.getStore() || {};
+
+/**
+ * @function createLogger
+ * @description Builds `{ log(level, message, data), level }`.
+ *   level  — minimum level written (debug | info | warn | error)
+ *   format — "json" or "pretty"
+ *   redact — mask emails, tokens and prompt-like fields (default on)
+ */
+export const createLogger = ({ level = "info", format = "json", redact = true, write = (line) => process.stdout.write(`${line}\n`) } = {}) => {
+  const threshold = LEVEL_RANK[level] ?? LEVEL_RANK.info;
+
+  const log = (requestedLevel, message, data = null) => {
+    const name = String(requestedLevel).toLowerCase();
+    const success = name === "success";
+    const levelName = success ? "info" : LEVEL_RANK[name] ? name : "info";
+    if (LEVEL_RANK[levelName] < threshold) return;
+
+    const text = redact ? redactText(String(message)) : String(message);
+    const detail = data === null || data === undefined
+      ? undefined
+      : redact ? redactValue(data) : data instanceof Error ? { name: data.name, message: data.message } : data;
+    const context = currentLogContext();
+
+    if (format === "pretty") {
+      const timestamp = new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" });
+      const tag = context.request_id ? ` [${String(context.request_id).substring(0, 8)}]` : "";
+      const color = COLORS[success ? "success" : levelName];
+      write(`${color}[${timestamp}] [${success ? "SUCCESS" : levelName.toUpperCase()}]${tag} ${text}${RESET}`);
+      if (detail !== undefined) {
+        write(typeof detail === "string" ? `  ↳ ${detail}` : JSON.stringify(detail, null, 2));
+      }
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level: levelName, msg: text, ...context };
+    if (success) entry.success = true;
+    if (detail !== undefined) entry.detail = detail;
+    write(JSON.stringify(entry));
+  };
+
+  return { log, level: Object.keys(LEVEL_RANK).find((key) => LEVEL_RANK[key] === threshold) };
+};
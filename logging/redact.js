@@ -0,0 +1,70 @@
+/**
+ * @file logging/redact.js
+ * @description Keeps user content and credentials out of logs.
+ *   redactText  — masks emails, bearer/JWT tokens and long hex/base64url secrets inside a string
+ *   redactValue — walks objects/arrays, replacing sensitive fields wholesale
+ *                 (prompts, message text, passwords, tokens, emails) and
+ *                 running redactText over every other string
+ */
+
+// Field names whose values are always dropped, matched case-insensitively
+const SENSITIVE_KEYS = new Set([
+  "prompt",
+  "prompts",
+  "text",
+  "message_text",
+  "messages",
+  "history",
+  "content",
+  "fact",
+  "facts",
+  "title",
+  "session_name",
+  "instructions",
+  "password",
+  "current_password",
+  "new_password",
+  "token",
+  "access_token",
+  "refresh_token",
+  "authorization",
+  "cookie",
+  "secret",
+  "api_key",
+  "apikey",
+  "email",
+]);
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/-]+=*/gi;
+const HEX_SECRET_PATTERN = /\b[a-f0-9]{32,}\b/gi; // token hashes, hex keys
+// Refresh, verify/reset and share tokens are random base64url: 32+ chars mixing
+// upper and lower case (which spares UUIDs and plain words)
+const BASE64URL_TOKEN_PATTERN = /(?<![\w-])(?=[\w-]*[a-z])(?=[\w-]*[A-Z])[\w-]{32,}(?![\w-])/g;
+
+const MASK = "[REDACTED]";
+
+export const redactText = (text) =>
+  String(text)
+    .replace(BEARER_PATTERN, `Bearer ${MASK}`)
+    .replace(JWT_PATTERN, MASK)
+    .replace(HEX_SECRET_PATTERN, MASK)
+    .replace(BASE64URL_TOKEN_PATTERN, MASK)
+    .replace(EMAIL_PATTERN, "[email]");
+
+export const redactValue = (value, depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactText(value);
+  if (typeof value !== "object") return value;
+  if (depth > 6) return "[…]";
+  if (value instanceof Error) return { name: value.name, message: redactText(value.message) };
+  if (Array.isArray(value)) return value.map((item) => redactValue(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEYS.has(key.toLowerCase()) ? MASK : redactValue(item, depth + 1),
+    ])
+  );
+};
@@ -0,0 +1,75 @@
+/**
+ * @file mailer/index.js
+ * @description Outgoing mail transports. Every transport exposes the same shape:
+ *   send({ from, to, subject, text, html }) -> Promise<void>
+ * Built in:
+ *   smtp    — real delivery through nodemailer (SMTP_URL or SMTP_HOST/PORT/USER/PASS)
+ *   console — prints each message to stdout, for local development
+ *   file    — writes each message as a .json file into a directory, for tests and CI
+ * Transports throw on failure.
+ */
+import fs from "fs/promises";
+import path from "path";
+import { createSmtpTransport } from "./smtp.js";
+
+const createConsoleTransport = ({ log = console.log } = {}) => ({
+  async send(message) {
+    log(
+      [
+        "📧 ---------------- OUTGOING MAIL ----------------",
+        `From:    ${message.from}`,
+        `To:      ${message.to}`,
+        `Subject: ${message.subject}`,
+        "",
+        message.text,
+        "------------------------------------------------",
+      ].join("\n")
+    );
+  },
+});
+
+const createFileTransport = ({ directory }) => {
+  if (!directory) throw new Error("The file mail transport needs a directory (MAIL_DIR).");
+
+  return {
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, "_");
+      const filename = `${new Date().toISOString().replace(/[:.]/g, "-")}-${safeRecipient}.json`;
+      await fs.writeFile(
+        path.join(directory, filename),
+        JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+      );
+    },
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+/**
+ * @function registerMailTransport
+ * @description Plugs in an extra transport (e.g. an HTTP mail API or a test double).
+ */
+export const registerMailTransport = (type, factory) => {
+  TRANSPORT_FACTORIES[type] = factory;
+};
+
+/**
+ * @function createMailer
+ * @description Builds `{ transport, send(message) }`. `from` fills in when a
+ * message doesn't set its own sender.
+ */
+export const createMailer = (type, { from, ...options } = {}) => {
+  const factory = TRANSPORT_FACTORIES[type];
+  if (!factory) throw new Error(`Unknown mail transport: ${type}`);
+  const transport = factory(options);
+
+  return {
+    transport: type,
+    send: (message) => transport.send({ from, ...message }),
+  };
+};
@@ -0,0 +1,47 @@
+/**
+ * @file mailer/templates.js
+ * @description Subject + text + HTML for the account emails. Each takes
+ * `{ username, link, expiresIn }` and returns `{ subject, text, html }`.
+ */
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const layout = (heading, paragraphs, link, label) => `<!DOCTYPE html>
+<html><body style="margin:0;padding:32px 16px;background:#0d1117;color:#e6edf3;font:15px/1.55 system-ui,sans-serif">
+<div style="max-width:520px;margin:0 auto">
+  <h2 style="margin-top:0">${escapeHtml(heading)}</h2>
+  ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("\n  ")}
+  <p><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;border-radius:8px;background:#2f81f7;color:#fff;text-decoration:none">${escapeHtml(label)}</a></p>
+  <p style="color:#8b949e;font-size:12px">Or paste this link into your browser: ${escapeHtml(link)}</p>
+</div>
+</body></html>`;
+
+export const verificationEmail = ({ username, link, expiresIn }) => {
+  const lines = [
+    `Hi ${username},`,
+    `Confirm this address to finish setting up your Avneesh AI account. The link works for ${expiresIn}.`,
+    "If you didn't sign up, you can ignore this email.",
+  ];
+  return {
+    subject: "Verify your Avneesh AI email",
+    text: [...lines, "", link].join("\n"),
+    html: layout("Verify your email", lines, link, "Verify email"),
+  };
+};
+
+export const passwordResetEmail = ({ username, link, expiresIn }) => {
+  const lines = [
+    `Hi ${username},`,
+    `Someone asked to reset the password of your Avneesh AI account. The link works once, for ${expiresIn}.`,
+    "If that wasn't you, ignore this email; your password stays the same.",
+  ];
+  return {
+    subject: "Reset your Avneesh AI password",
+    text: [...lines, "", link].join("\n"),
+    html: layout("Reset your password", lines, link, "Choose a new password"),
+  };
+};
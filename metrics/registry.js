@@ -0,0 +1,115 @@
+/**
+ * @file metrics/registry.js
+ * @description A small Prometheus registry: counters, gauges and histograms
+ * with labels, rendered in the text exposition format (version 0.0.4).
+ *   counter(name, help, labelNames)              -> { inc(labels, by = 1) }
+ *   gauge(name, help, labelNames, collect?)      -> { set(labels, value) }
+ *   histogram(name, help, labelNames, buckets)   -> { observe(labels, value) }
+ * A gauge's `collect()` runs at scrape time and returns [{ labels, value }],
+ * for numbers that are cheaper to read on demand (pool stats, backlog size).
+ */
+
+export const DEFAULT_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : value > 0 ? "+Inf" : value < 0 ? "-Inf" : "NaN");
+
+// Stable key so { a: 1, b: 2 } and { b: 2, a: 1 } land in the same series
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ""));
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+
+export const createRegistry = ({ prefix = "" } = {}) => {
+  const metrics = [];
+
+  const register = (type, name, help, labelNames, extra = {}) => {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const metric = register("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, by = 1) {
+        const key = seriesKey(labelNames, labels);
+        const current = metric.series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        current.value += by;
+        metric.series.set(key, current);
+      },
+    };
+  };
+
+  const gauge = (name, help, labelNames = [], collect = null) => {
+    const metric = register("gauge", name, help, labelNames, { collect });
+    return {
+      set(labels = {}, value) {
+        metric.series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+      },
+    };
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) => {
+    const metric = register("histogram", name, help, labelNames, { buckets: [...buckets].sort((a, b) => a - b) });
+    return {
+      observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        const current = metric.series.get(key) || {
+          labels: pickLabels(labelNames, labels),
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) current.counts[i] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+        metric.series.set(key, current);
+      },
+    };
+  };
+
+  /**
+   * @function render
+   * @description The whole registry as exposition text. A failing collector
+   * drops only its own samples.
+   */
+  const render = async () => {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+      if (metric.collect) {
+        try {
+          for (const sample of await metric.collect()) {
+            lines.push(`${metric.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+          }
+        } catch {
+          // Leave the series empty; the scrape itself should still succeed
+        }
+      }
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== "histogram") {
+          lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+          continue;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  };
+
+  return { counter, gauge, histogram, render, contentType: "text/plain; version=0.0.4; charset=utf-8" };
+};
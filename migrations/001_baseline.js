@@ -0,0 +1,58 @@
+/**
+ * @file migrations/001_baseline.js
+ * @description The original three tables: accounts, their chat sessions and the
+ * records in them. Every step is IF NOT EXISTS, so databases created by the
+ * old boot-time syncDatabaseSchema adopt this and the following versions
+ * without changes.
+ */
+
+export const up = async (client) => {
+  // 1. Users table (Added profile support)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // 2. Chat Sessions (The core of your project)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      session_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      session_name TEXT DEFAULT 'New Conversation',
+      is_summarized BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // 3. Chat Records (Memory store)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_records (
+      record_id SERIAL PRIMARY KEY,
+      session_id INT REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+      user_id INT,
+      user_name TEXT,
+      role TEXT NOT NULL,
+      message_text TEXT NOT NULL,
+      mode TEXT,
+      model_used TEXT,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    ALTER TABLE chat_sessions
+    ADD COLUMN IF NOT EXISTS is_summarized BOOLEAN DEFAULT FALSE;
+  `);
+};
+
+export const down = async (client) => {
+  // Children before parents so the foreign keys never block a drop
+  for (const table of ["chat_records", "chat_sessions", "users"]) {
+    await client.query(`DROP TABLE IF EXISTS ${table} CASCADE;`);
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * @file migrations/002_chat_indexes.js
+ * @description Indexes for the two hottest lookups: a session's records in
+ * time order (history, context building) and a user's sessions newest-first
+ * (sidebar).
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS chat_records_session_time_idx
+    ON chat_records (session_id, timestamp);
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS chat_sessions_user_created_idx
+    ON chat_sessions (user_id, created_at);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP INDEX IF EXISTS chat_records_session_time_idx;");
+  await client.query("DROP INDEX IF EXISTS chat_sessions_user_created_idx;");
+};
@@ -0,0 +1,25 @@
+/**
+ * @file migrations/003_personas.js
+ * @description Custom personas: user-owned, optionally shared with everyone.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS personas (
+      persona_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(40) NOT NULL,
+      emoji VARCHAR(8) DEFAULT '🤖',
+      system_instruction TEXT NOT NULL,
+      generation_params JSONB DEFAULT '{}',
+      theme_color VARCHAR(7),
+      is_shared BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS personas;");
+};
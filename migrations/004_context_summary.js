@@ -0,0 +1,21 @@
+/**
+ * @file migrations/004_context_summary.js
+ * @description Rolling context summary: everything up to summary_through is folded
+ * into context_summary.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE chat_sessions
+    ADD COLUMN IF NOT EXISTS context_summary TEXT,
+    ADD COLUMN IF NOT EXISTS summary_through TIMESTAMP;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE chat_sessions
+    DROP COLUMN IF EXISTS context_summary,
+    DROP COLUMN IF EXISTS summary_through;
+  `);
+};
@@ -0,0 +1,24 @@
+/**
+ * @file migrations/005_user_memories.js
+ * @description Long-term user memory: extracted or explicit facts with local
+ * embeddings (JSON-encoded).
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_memories (
+      memory_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      fact TEXT NOT NULL,
+      embedding JSONB,
+      source TEXT DEFAULT 'explicit',
+      session_id INT REFERENCES chat_sessions(session_id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS user_memories;");
+};
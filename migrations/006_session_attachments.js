@@ -0,0 +1,43 @@
+/**
+ * @file migrations/006_session_attachments.js
+ * @description Session attachments, pre-chunked for retrieval (raw files are not
+ * kept), and the citations each answer drew on.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session_attachments (
+      attachment_id SERIAL PRIMARY KEY,
+      session_id INT REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      filename TEXT NOT NULL,
+      mime_type TEXT,
+      size_bytes INT,
+      kind TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attachment_chunks (
+      chunk_id SERIAL PRIMARY KEY,
+      attachment_id INT REFERENCES session_attachments(attachment_id) ON DELETE CASCADE,
+      chunk_index INT NOT NULL,
+      section TEXT,
+      content TEXT NOT NULL,
+      embedding JSONB
+    );
+  `);
+
+  // Which file/section each answer drew on
+  await client.query(`
+    ALTER TABLE chat_records
+    ADD COLUMN IF NOT EXISTS citations JSONB;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("ALTER TABLE chat_records DROP COLUMN IF EXISTS citations;");
+  await client.query("DROP TABLE IF EXISTS attachment_chunks;");
+  await client.query("DROP TABLE IF EXISTS session_attachments;");
+};
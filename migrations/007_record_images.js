@@ -0,0 +1,21 @@
+/**
+ * @file migrations/007_record_images.js
+ * @description Images sent with a user message (base64, shown again on history
+ * reload).
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_record_images (
+      image_id SERIAL PRIMARY KEY,
+      record_id INT REFERENCES chat_records(record_id) ON DELETE CASCADE,
+      mime_type TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS chat_record_images;");
+};
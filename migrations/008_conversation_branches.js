@@ -0,0 +1,41 @@
+/**
+ * @file migrations/008_conversation_branches.js
+ * @description Conversation branches: every record points at the turn it follows,
+ * and the session remembers which leaf is currently shown. Sessions from
+ * before branching are backfilled as a single linear branch.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE chat_records
+    ADD COLUMN IF NOT EXISTS parent_record_id INT REFERENCES chat_records(record_id) ON DELETE CASCADE;
+  `);
+  await client.query(`
+    ALTER TABLE chat_sessions
+    ADD COLUMN IF NOT EXISTS active_leaf_id INT;
+  `);
+
+  // Only touches sessions without an active leaf, so re-running is harmless
+  await client.query(`
+    UPDATE chat_records r SET parent_record_id = p.prev_id
+    FROM (
+      SELECT record_id, LAG(record_id) OVER (PARTITION BY session_id ORDER BY timestamp, record_id) AS prev_id
+      FROM chat_records
+    ) p, chat_sessions s
+    WHERE r.record_id = p.record_id AND s.session_id = r.session_id
+      AND s.active_leaf_id IS NULL AND r.parent_record_id IS NULL AND p.prev_id IS NOT NULL;
+  `);
+  await client.query(`
+    UPDATE chat_sessions s SET active_leaf_id = (
+      SELECT record_id FROM chat_records r WHERE r.session_id = s.session_id
+      ORDER BY timestamp DESC, record_id DESC LIMIT 1
+    )
+    WHERE s.active_leaf_id IS NULL;
+  `);
+};
+
+export const down = async (client) => {
+  // Sibling branches become plain extra records again; only the tree links go
+  await client.query("ALTER TABLE chat_sessions DROP COLUMN IF EXISTS active_leaf_id;");
+  await client.query("ALTER TABLE chat_records DROP COLUMN IF EXISTS parent_record_id;");
+};
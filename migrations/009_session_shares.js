@@ -0,0 +1,25 @@
+/**
+ * @file migrations/009_session_shares.js
+ * @description Public read-only share links (a frozen snapshot of the active branch).
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session_shares (
+      share_id SERIAL PRIMARY KEY,
+      share_token TEXT UNIQUE NOT NULL,
+      session_id INT REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      title TEXT,
+      snapshot JSONB NOT NULL,
+      view_count INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS session_shares;");
+};
@@ -0,0 +1,24 @@
+/**
+ * @file migrations/010_guest_identities.js
+ * @description Anonymous guests: one row per browser, swept after GUEST_TTL_DAYS
+ * idle. The old shared guest@system.local row is folded into the same expiry.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS is_guest BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+  `);
+  await client.query(`
+    UPDATE users SET is_guest = TRUE WHERE email = 'guest@system.local' AND is_guest = FALSE;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+    DROP COLUMN IF EXISTS is_guest,
+    DROP COLUMN IF EXISTS last_seen_at;
+  `);
+};
@@ -0,0 +1,25 @@
+/**
+ * @file migrations/011_refresh_tokens.js
+ * @description Refresh tokens (stored as SHA-256 hashes). One `family_id` per
+ * login; rotation revokes the used token, and replaying a revoked one kills
+ * the family.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      token_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      token_hash TEXT UNIQUE NOT NULL,
+      family_id TEXT NOT NULL,
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS refresh_tokens;");
+};
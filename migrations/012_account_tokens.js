@@ -0,0 +1,31 @@
+/**
+ * @file migrations/012_account_tokens.js
+ * @description Email verification and password reset: single-use account tokens
+ * (stored hashed) and users.email_verified_at. Accounts that predate
+ * verification count as verified.
+ */
+import { columnExists } from "./runner.js";
+
+export const up = async (client) => {
+  if (!(await columnExists(client, "users", "email_verified_at"))) {
+    await client.query(`ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;`);
+    await client.query(`UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;`);
+  }
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS account_tokens (
+      token_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      purpose TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS account_tokens;");
+  await client.query("ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;");
+};
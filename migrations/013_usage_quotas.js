@@ -0,0 +1,33 @@
+/**
+ * @file migrations/013_usage_quotas.js
+ * @description Chat quotas: daily /api/chat usage per subject ("user:<id>" or
+ * "ip:<addr>", UTC days) and per-account limit overrides set by admins
+ * (NULL column = default).
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS usage_daily (
+      subject TEXT NOT NULL,
+      day DATE NOT NULL,
+      messages INT DEFAULT 0,
+      tokens INT8 DEFAULT 0,
+      PRIMARY KEY (subject, day)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_limits (
+      user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      requests_per_minute INT,
+      messages_per_day INT,
+      tokens_per_day INT8,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS user_limits;");
+  await client.query("DROP TABLE IF EXISTS usage_daily;");
+};
@@ -0,0 +1,20 @@
+/**
+ * @file migrations/014_roles.js
+ * @description Roles and account suspension.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'user',
+    ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users
+    DROP COLUMN IF EXISTS role,
+    DROP COLUMN IF EXISTS disabled_at;
+  `);
+};
@@ -0,0 +1,29 @@
+/**
+ * @file migrations/015_chat_telemetry.js
+ * @description Per-turn telemetry: which tiers were tried, how each ended, timings
+ * and estimated token counts (CHARS_PER_TOKEN estimate; providers don't report
+ * usage).
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_telemetry (
+      telemetry_id SERIAL PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE,
+      session_id INT REFERENCES chat_sessions(session_id) ON DELETE SET NULL,
+      record_id INT REFERENCES chat_records(record_id) ON DELETE SET NULL,
+      model_used TEXT,
+      outcome TEXT NOT NULL,
+      attempts JSONB,
+      prompt_tokens INT,
+      completion_tokens INT,
+      total_ms INT,
+      streamed BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("DROP TABLE IF EXISTS chat_telemetry;");
+};
@@ -0,0 +1,18 @@
+/**
+ * @file migrations/016_refresh_token_revoke_reason.js
+ * @description Why a refresh token was revoked ("rotated", "reuse", "logout",
+ * "password_change", "password_reset", "suspended"). Only a normal rotation
+ * gets the REFRESH_REUSE_GRACE window; a token revoked because its family was
+ * caught being replayed must fail outright.
+ */
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE refresh_tokens
+    ADD COLUMN IF NOT EXISTS revoked_reason TEXT;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query("ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS revoked_reason;");
+};
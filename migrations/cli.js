@@ -0,0 +1,66 @@
+/**
+ * @file migrations/cli.js
+ * @description Command line for the migration runner. Reads DB_DRIVER and
+ * DATABASE_URL / SQLITE_PATH from .env, like the server.
+ *   npm run migrate              apply every pending migration
+ *   npm run migrate -- 2         apply pending migrations up to version 2
+ *   npm run migrate:status       list applied / pending migrations
+ *   npm run migrate:down         revert the newest migration
+ *   npm run migrate:down -- 3    revert the newest three
+ */
+import dotenv from "dotenv";
+import { createLogger } from "../logging/logger.js";
+import { createStorage } from "../storage/index.js";
+import { migrateUp, migrateDown, migrationStatus } from "./runner.js";
+
+dotenv.config();
+
+const [command = "up", argument] = process.argv.slice(2);
+const logger = createLogger({ format: "pretty", level: "info", redact: false });
+const log = (level, message, data) => logger.log(level, message, data);
+
+const driver = process.env.DB_DRIVER || "postgres";
+if (driver === "postgres" && !process.env.DATABASE_URL) {
+  log("ERROR", "DATABASE_URL is not set.");
+  process.exit(1);
+}
+
+const storage = createStorage(
+  driver,
+  driver === "sqlite"
+    ? { filename: process.env.SQLITE_PATH || "./data/avneesh-bot.sqlite" }
+    : { connectionString: process.env.DATABASE_URL, max: 2 }
+);
+const pool = storage.db;
+
+const commands = {
+  async up() {
+    await migrateUp(pool, { to: argument ? Number(argument) : Infinity, log });
+  },
+  async down() {
+    const reverted = await migrateDown(pool, { steps: Math.max(1, Number(argument) || 1), log });
+    log("SUCCESS", reverted.length ? `Reverted: ${reverted.join(", ")}` : "Nothing to revert.");
+  },
+  async status() {
+    const rows = await migrationStatus(pool);
+    for (const row of rows) {
+      const when = row.applied_at ? new Date(row.applied_at).toISOString().replace("T", " ").substring(0, 19) : "";
+      console.log(`${String(row.version).padStart(3, "0")}  ${row.state.padEnd(8)} ${row.name.padEnd(32)} ${when}`);
+    }
+    if (rows.length === 0) console.log("No migrations found.");
+  },
+};
+
+if (!commands[command]) {
+  log("ERROR", `Unknown command "${command}". Use up, down or status.`);
+  process.exit(1);
+}
+
+try {
+  await commands[command]();
+} catch (err) {
+  log("ERROR", `Migration ${command} failed.`, err.message);
+  process.exitCode = 1;
+} finally {
+  await storage.close();
+}
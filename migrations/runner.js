@@ -0,0 +1,201 @@
+/**
+ * @file migrations/runner.js
+ * @description Versioned schema migrations. Each file in this directory named
+ * `NNN_description.js` exports:
+ *   up(client)   -> Promise  applies the change
+ *   down(client) -> Promise  reverts it
+ * Applied versions are recorded in `schema_migrations`. A row in
+ * `schema_migrations_lock` keeps two instances from migrating at once
+ * (CockroachDB has no working advisory locks, so it is a plain table).
+ *
+ * Steps are not wrapped in a transaction: CockroachDB restricts DDL mixed
+ * with writes inside one, so every step is written to be safely re-runnable
+ * (IF [NOT] EXISTS, guarded backfills).
+ */
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const MIGRATIONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const FILE_PATTERN = /^(\d{3,})_([\w-]+)\.js$/;
+const LOCK_STALE_MS = 10 * 60 * 1000; // A crashed migrator's lock is taken over after this
+const LOCK_WAIT_MS = 2 * 60 * 1000;
+
+/**
+ * @function loadMigrations
+ * @description Every migration file, sorted by version.
+ */
+export const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const files = (await fs.readdir(directory)).filter((file) => FILE_PATTERN.test(file));
+  const migrations = await Promise.all(
+    files.map(async (file) => {
+      const [, version, name] = file.match(FILE_PATTERN);
+      const module = await import(pathToFileURL(path.join(directory, file)).href);
+      if (typeof module.up !== "function" || typeof module.down !== "function") {
+        throw new Error(`Migration ${file} must export up(client) and down(client).`);
+      }
+      return { version: Number(version), name, file, up: module.up, down: module.down };
+    })
+  );
+
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}.`);
+    }
+  });
+  return migrations;
+};
+
+const ensureBookkeeping = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations_lock (
+      lock_id INT PRIMARY KEY,
+      locked_by TEXT NOT NULL,
+      locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const appliedVersions = async (client) => {
+  const result = await client.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC");
+  return new Map(result.rows.map((row) => [Number(row.version), row]));
+};
+
+/**
+ * @function columnExists
+ * @description Whether `table` already has `column`, for migrations that
+ * must only backfill when they add it. Works on both storage dialects.
+ */
+export const columnExists = async (client, table, column) => {
+  const result =
+    client.dialect === "sqlite"
+      ? await client.query("SELECT 1 FROM pragma_table_info($1) WHERE name = $2", [table, column])
+      : await client.query(
+          "SELECT 1 FROM information_schema.columns WHERE table_name = $1 AND column_name = $2",
+          [table, column]
+        );
+  return result.rows.length > 0;
+};
+
+/**
+ * @function withMigrationLock
+ * @description Runs `task(client)` while holding the single migration lock.
+ * Waits up to LOCK_WAIT_MS for another migrator and takes over a lock older
+ * than LOCK_STALE_MS.
+ */
+const withMigrationLock = async (pool, task, log) => {
+  const client = await pool.connect();
+  const owner = `${os.hostname()}:${process.pid}`;
+  const waitUntil = Date.now() + LOCK_WAIT_MS;
+
+  try {
+    await ensureBookkeeping(client);
+
+    for (;;) {
+      await client.query(
+        "DELETE FROM schema_migrations_lock WHERE lock_id = 1 AND locked_at < NOW() - ($1 * INTERVAL '1 millisecond')",
+        [LOCK_STALE_MS]
+      );
+      const acquired = await client.query(
+        "INSERT INTO schema_migrations_lock (lock_id, locked_by) VALUES (1, $1) ON CONFLICT (lock_id) DO NOTHING RETURNING lock_id",
+        [owner]
+      );
+      if (acquired.rows.length > 0) break;
+
+      if (Date.now() > waitUntil) throw new Error("Timed out waiting for the migration lock.");
+      log("INFO", "Migrations: another instance holds the lock; waiting...");
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+    }
+
+    try {
+      return await task(client);
+    } finally {
+      await client.query("DELETE FROM schema_migrations_lock WHERE lock_id = 1 AND locked_by = $1", [owner]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @function migrateUp
+ * @description Applies every pending migration in order (or up to `to`).
+ * Returns the versions applied.
+ */
+export const migrateUp = async (pool, { to = Infinity, log = () => {} } = {}) => {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedVersions(client);
+    const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      log("INFO", `Migrations: applying ${migration.file}...`);
+      await migration.up(client);
+      await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name]);
+    }
+    log("SUCCESS", pending.length ? `Migrations: ${pending.length} applied.` : "Migrations: schema is up to date.");
+    return pending.map((m) => m.version);
+  }, log);
+};
+
+/**
+ * @function migrateDown
+ * @description Reverts the newest `steps` applied migrations. Returns the
+ * versions reverted.
+ */
+export const migrateDown = async (pool, { steps = 1, log = () => {} } = {}) => {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = [...(await appliedVersions(client)).keys()].sort((a, b) => b - a).slice(0, steps);
+
+    for (const version of applied) {
+      const migration = byVersion.get(version);
+      if (!migration) throw new Error(`Migration ${version} is applied but its file is missing; cannot revert it.`);
+      log("WARN", `Migrations: reverting ${migration.file}...`);
+      await migration.down(client);
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [version]);
+    }
+    return applied;
+  }, log);
+};
+
+/**
+ * @function migrationStatus
+ * @description `[{ version, name, state: "applied" | "pending" | "missing", applied_at }]`.
+ * "missing" = recorded in the database but no file for it.
+ */
+export const migrationStatus = async (pool) => {
+  const migrations = await loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await ensureBookkeeping(client);
+    const applied = await appliedVersions(client);
+    const rows = migrations.map((m) => ({
+      version: m.version,
+      name: m.name,
+      state: applied.has(m.version) ? "applied" : "pending",
+      applied_at: applied.get(m.version)?.applied_at || null,
+    }));
+    for (const [version, row] of applied) {
+      if (!migrations.some((m) => m.version === version)) {
+        rows.push({ version, name: row.name, state: "missing", applied_at: row.applied_at });
+      }
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,114 @@
+/**
+ * @file providers/circuit-breaker.js
+ * @description Per-tier circuit breaker for the AI waterfall.
+ *   closed    -> tier is called normally
+ *   open      -> tier is skipped until its cooldown expires
+ *   half_open -> exactly one probe request is let through; success closes
+ *                the breaker, failure re-opens it with a doubled cooldown
+ * Rate limits (429) and timeouts trip the breaker immediately, other errors
+ * only after `failureThreshold` consecutive failures.
+ */
+
+/**
+ * @function classifyFailure
+ * @description Buckets a provider error into "rate_limit", "timeout" or "error".
+ */
+export const classifyFailure = (err) => {
+  const message = String(err && err.message);
+  if (err && (err.status === 429 || /\b429\b|RESOURCE_EXHAUSTED|rate.?limit/i.test(message))) return "rate_limit";
+  if (err && (err.code === "ETIMEDOUT" || err.name === "TimeoutError" || /timed? ?out/i.test(message))) return "timeout";
+  return "error";
+};
+
+/**
+ * @function createCircuitBreaker
+ * @param {{ label: string, failureThreshold?: number, baseCooldownMs?: number,
+ *           maxCooldownMs?: number, onStateChange?: Function }} options
+ */
+export const createCircuitBreaker = ({
+  label,
+  failureThreshold = 3,
+  baseCooldownMs = 30000,
+  maxCooldownMs = 15 * 60 * 1000,
+  onStateChange = () => {},
+}) => {
+  let state = "closed";
+  let consecutiveFailures = 0;
+  let trips = 0; // Consecutive openings without a success in between
+  let openUntil = 0;
+  let probeInFlight = false;
+  let lastFailure = null;
+  const counters = { successes: 0, failures: 0, rate_limits: 0, timeouts: 0, skipped: 0 };
+
+  const transition = (next, reason) => {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    onStateChange({ label, from: previous, to: next, reason, openUntil });
+  };
+
+  const open = (reason) => {
+    trips += 1;
+    const cooldown = Math.min(baseCooldownMs * 2 ** (trips - 1), maxCooldownMs);
+    openUntil = Date.now() + cooldown;
+    transition("open", `${reason}, cooling down ${Math.round(cooldown / 1000)}s`);
+  };
+
+  /**
+   * Returns true when the tier may be called right now. In half-open state
+   * only the first caller gets through; the rest keep skipping.
+   */
+  const canAttempt = () => {
+    if (state === "open" && Date.now() >= openUntil) transition("half_open", "cooldown expired");
+
+    if (state === "closed") return true;
+    if (state === "half_open" && !probeInFlight) {
+      probeInFlight = true;
+      return true;
+    }
+
+    counters.skipped += 1;
+    return false;
+  };
+
+  const recordSuccess = () => {
+    counters.successes += 1;
+    consecutiveFailures = 0;
+    trips = 0;
+    probeInFlight = false;
+    transition("closed", "probe succeeded");
+  };
+
+  const recordFailure = (err) => {
+    const kind = classifyFailure(err);
+    counters.failures += 1;
+    if (kind === "rate_limit") counters.rate_limits += 1;
+    if (kind === "timeout") counters.timeouts += 1;
+    consecutiveFailures += 1;
+    lastFailure = { kind, message: err && err.message, at: new Date().toISOString() };
+
+    if (state === "half_open") {
+      probeInFlight = false;
+      open(`probe failed (${kind})`);
+    } else if (state === "closed" && (kind !== "error" || consecutiveFailures >= failureThreshold)) {
+      open(kind === "error" ? `${consecutiveFailures} consecutive failures` : kind);
+    }
+    return kind;
+  };
+
+  /** Lets go of a half-open probe that ended without a verdict (e.g. client aborted). */
+  const release = () => {
+    probeInFlight = false;
+  };
+
+  const snapshot = () => ({
+    state: state === "open" && Date.now() >= openUntil ? "half_open" : state,
+    consecutive_failures: consecutiveFailures,
+    trips,
+    open_until: state === "closed" ? null : new Date(openUntil).toISOString(),
+    last_failure: lastFailure,
+    counters: { ...counters },
+  });
+
+  return { canAttempt, recordSuccess, recordFailure, release, snapshot };
+};
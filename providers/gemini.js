@@ -0,0 +1,85 @@
+/**
+ * @file providers/gemini.js
+ * @description Adapter for Google AI Studio models (Gemini / Gemma).
+ */
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createDeadline, httpError } from "./streams.js";
+
+const MODELS_ENDPOINT = "https://generativelanguage.googleapis.com/v1beta/models";
+
+/**
+ * @function createGeminiProvider
+ * @param {{ apiKey: string }} options
+ */
+export const createGeminiProvider = ({ apiKey }) => {
+  const client = new GoogleGenerativeAI(apiKey);
+
+  // Persona sampling knobs -> Gemini generationConfig
+  const getModel = (model, { temperature, top_p, max_tokens } = {}) => client.getGenerativeModel({
+    model,
+    generationConfig: {
+      ...(temperature !== undefined && { temperature }),
+      ...(top_p !== undefined && { topP: top_p }),
+      ...(max_tokens !== undefined && { maxOutputTokens: max_tokens }),
+    },
+  });
+
+  // Images ride along as inline parts after the text
+  const toRequest = (prompt, images = []) => (images.length
+    ? [prompt, ...images.map((img) => ({ inlineData: { mimeType: img.mime_type, data: img.data } }))]
+    : prompt);
+
+  const generate = async (prompt, { model, signal, timeoutMs, params, images } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const result = await getModel(model, params).generateContent(toRequest(prompt, images), { signal: deadline.signal });
+      return result.response.text();
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const stream = async (prompt, onToken, { model, signal, timeoutMs, params, images } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const result = await getModel(model, params).generateContentStream(toRequest(prompt, images), { signal: deadline.signal });
+
+      let text = "";
+      for await (const chunk of result.stream) {
+        deadline.touch();
+        const piece = chunk.text();
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      }
+      return text;
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const listModels = async ({ signal, timeoutMs = 5000 } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${MODELS_ENDPOINT}?key=${apiKey}`, { signal: deadline.signal });
+      if (!response.ok) throw await httpError("Gemini", response);
+
+      const data = await response.json();
+      return (data.models || []).map((m) => ({ id: m.name.replace(/^models\//, ""), label: m.displayName }));
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const health = async (options = {}) => {
+    try {
+      await listModels(options);
+      return { ok: true, detail: "API key accepted" };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  };
+
+  return { name: "gemini", generate, stream, listModels, health };
+};
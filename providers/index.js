@@ -0,0 +1,62 @@
+/**
+ * @file providers/index.js
+ * @description LLM provider registry. Every adapter exposes the same shape:
+ *   generate(prompt, { model, signal, timeoutMs, params, images })          -> Promise<string>
+ *   stream(prompt, onToken, { model, signal, timeoutMs, params, images })   -> Promise<string>
+ *   listModels({ signal, timeoutMs })                                       -> Promise<Array<{ id }>>
+ *   health({ signal, timeoutMs })                                           -> Promise<{ ok, detail }>
+ *   embed(texts, { model, signal, timeoutMs })                              -> Promise<number[][]>  (local adapters only)
+ * `params` holds optional sampling knobs: { temperature, top_p, max_tokens }.
+ * `images` (optional) is [{ mime_type, data: base64 }]; only send it to tiers flagged `vision`.
+ * Adapters throw on failure; HTTP failures carry `err.status`.
+ */
+import { createOllamaProvider } from "./ollama.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAICompatibleProvider } from "./openai-compatible.js";
+
+const PROVIDER_FACTORIES = {
+  ollama: createOllamaProvider,
+  gemini: createGeminiProvider,
+  "openai-compatible": createOpenAICompatibleProvider,
+};
+
+/**
+ * @function registerProvider
+ * @description Plugs in an extra adapter type (e.g. a test double or a new vendor).
+ */
+export const registerProvider = (type, factory) => {
+  PROVIDER_FACTORIES[type] = factory;
+};
+
+/**
+ * @function createProvider
+ * @description Instantiates an adapter from its config block.
+ */
+export const createProvider = (type, options) => {
+  const factory = PROVIDER_FACTORIES[type];
+  if (!factory) throw new Error(`Unknown LLM provider type: ${type}`);
+  return factory(options);
+};
+
+/**
+ * @function buildProviderChain
+ * @description Turns the AI_WATERFALL spec into ordered, ready-to-call tiers.
+ * A spec's own `options` (e.g. a second llama.cpp box) override the shared
+ * provider settings; specs left with no settings at all (missing URL or key)
+ * are dropped. Tiers with identical settings reuse one adapter instance.
+ */
+export const buildProviderChain = (specs, providerOptions) => {
+  const instances = new Map();
+
+  return specs
+    .filter((spec) => providerOptions[spec.provider] || spec.options)
+    .sort((a, b) => a.priority - b.priority)
+    .map((spec) => {
+      const options = { ...providerOptions[spec.provider], ...spec.options };
+      const key = `${spec.provider}:${JSON.stringify(options)}`;
+      if (!instances.has(key)) {
+        instances.set(key, createProvider(spec.provider, options));
+      }
+      return { ...spec, adapter: instances.get(key) };
+    });
+};
@@ -0,0 +1,110 @@
+/**
+ * @file providers/ollama.js
+ * @description Adapter for a local Ollama node (usually the Lenovo behind ngrok).
+ */
+import { createDeadline, readNdjsonStream, httpError } from "./streams.js";
+
+/**
+ * @function createOllamaProvider
+ * @param {{ baseUrl: string }} options
+ */
+export const createOllamaProvider = ({ baseUrl }) => {
+  const headers = { "Content-Type": "application/json", "ngrok-skip-browser-warning": "true" };
+
+  // Persona sampling knobs -> Ollama's `options` block
+  const toOptions = ({ temperature, top_p, max_tokens } = {}) => ({
+    ...(temperature !== undefined && { temperature }),
+    ...(top_p !== undefined && { top_p }),
+    ...(max_tokens !== undefined && { num_predict: max_tokens }),
+  });
+
+  // Vision models (llava, llama3.2-vision...) take raw base64 strings
+  const toImages = (images = []) => (images.length ? { images: images.map((img) => img.data) } : {});
+
+  const generate = async (prompt, { model, signal, timeoutMs, params, images } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${baseUrl}/api/generate`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, prompt, ...toImages(images), stream: false, options: toOptions(params) }),
+        signal: deadline.signal,
+      });
+      if (!response.ok) throw await httpError("Ollama", response);
+
+      const data = await response.json();
+      return data.response || "";
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const stream = async (prompt, onToken, { model, signal, timeoutMs, params, images } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${baseUrl}/api/generate`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, prompt, ...toImages(images), stream: true, options: toOptions(params) }),
+        signal: deadline.signal,
+      });
+      if (!response.ok) throw await httpError("Ollama", response);
+
+      let text = "";
+      for await (const part of readNdjsonStream(response.body)) {
+        deadline.touch();
+        if (part.error) throw new Error(part.error);
+        if (part.response) {
+          text += part.response;
+          onToken(part.response);
+        }
+        if (part.done) break;
+      }
+      return text;
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const listModels = async ({ signal, timeoutMs = 5000 } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${baseUrl}/api/tags`, { headers, signal: deadline.signal });
+      if (!response.ok) throw await httpError("Ollama", response);
+
+      const data = await response.json();
+      return (data.models || []).map((m) => ({ id: m.name, size: m.size, modified_at: m.modified_at }));
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const embed = async (texts, { model, signal, timeoutMs = 30000 } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${baseUrl}/api/embed`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, input: texts }),
+        signal: deadline.signal,
+      });
+      if (!response.ok) throw await httpError("Ollama", response);
+
+      const data = await response.json();
+      return data.embeddings || [];
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const health = async (options = {}) => {
+    try {
+      const models = await listModels(options);
+      return { ok: true, detail: `${models.length} model(s) loaded` };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  };
+
+  return { name: "ollama", generate, stream, listModels, embed, health };
+};
@@ -0,0 +1,117 @@
+/**
+ * @file providers/openai-compatible.js
+ * @description Adapter for any server speaking the OpenAI chat completions API:
+ * llama.cpp server, LM Studio, vLLM, etc. `baseUrl` should include the `/v1` prefix.
+ */
+import { createDeadline, readSseStream, httpError } from "./streams.js";
+
+/**
+ * @function createOpenAICompatibleProvider
+ * @param {{ baseUrl: string, apiKey?: string }} options
+ */
+export const createOpenAICompatibleProvider = ({ baseUrl, apiKey }) => {
+  const root = baseUrl.replace(/\/+$/, "");
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  // Images use the vision content-part format (data: URLs)
+  const toMessages = (prompt, images = []) => [{
+    role: "user",
+    content: images.length
+      ? [{ type: "text", text: prompt }, ...images.map((img) => ({ type: "image_url", image_url: { url: `data:${img.mime_type};base64,${img.data}` } }))]
+      : prompt,
+  }];
+
+  // Persona sampling knobs already use OpenAI's names
+  const toSampling = ({ temperature, top_p, max_tokens } = {}) => ({
+    ...(temperature !== undefined && { temperature }),
+    ...(top_p !== undefined && { top_p }),
+    ...(max_tokens !== undefined && { max_tokens }),
+  });
+
+  const generate = async (prompt, { model, signal, timeoutMs, params, images } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${root}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, messages: toMessages(prompt, images), stream: false, ...toSampling(params) }),
+        signal: deadline.signal,
+      });
+      if (!response.ok) throw await httpError("OpenAI-compatible server", response);
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || "";
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const stream = async (prompt, onToken, { model, signal, timeoutMs, params, images } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${root}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, messages: toMessages(prompt, images), stream: true, ...toSampling(params) }),
+        signal: deadline.signal,
+      });
+      if (!response.ok) throw await httpError("OpenAI-compatible server", response);
+
+      let text = "";
+      for await (const frame of readSseStream(response.body)) {
+        deadline.touch();
+        const piece = frame.choices?.[0]?.delta?.content;
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      }
+      return text;
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const listModels = async ({ signal, timeoutMs = 5000 } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${root}/models`, { headers, signal: deadline.signal });
+      if (!response.ok) throw await httpError("OpenAI-compatible server", response);
+
+      const data = await response.json();
+      return (data.data || []).map((m) => ({ id: m.id }));
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const embed = async (texts, { model, signal, timeoutMs = 30000 } = {}) => {
+    const deadline = createDeadline(timeoutMs, signal);
+    try {
+      const response = await fetch(`${root}/embeddings`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, input: texts }),
+        signal: deadline.signal,
+      });
+      if (!response.ok) throw await httpError("OpenAI-compatible server", response);
+
+      const data = await response.json();
+      return (data.data || []).map((d) => d.embedding);
+    } finally {
+      deadline.clear();
+    }
+  };
+
+  const health = async (options = {}) => {
+    try {
+      const models = await listModels(options);
+      return { ok: true, detail: `${models.length} model(s) served` };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  };
+
+  return { name: "openai-compatible", generate, stream, listModels, embed, health };
+};
@@ -0,0 +1,97 @@
+/**
+ * @file providers/streams.js
+ * @description Shared plumbing for provider adapters: abort/timeout wiring
+ * and line readers for the NDJSON (Ollama) and SSE (OpenAI) wire formats.
+ */
+
+/**
+ * @function createDeadline
+ * @description Links an optional caller signal to a timeout.
+ * In `idle` mode the timer restarts on every `touch()`, so a slow but
+ * alive stream is never cut off mid-answer.
+ */
+export const createDeadline = (timeoutMs, parentSignal) => {
+  const controller = new AbortController();
+  let timer = null;
+
+  const arm = () => {
+    if (!timeoutMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${timeoutMs}ms`);
+      err.code = "ETIMEDOUT";
+      controller.abort(err);
+    }, timeoutMs);
+  };
+  const forwardAbort = () => controller.abort(parentSignal.reason);
+
+  if (parentSignal) {
+    if (parentSignal.aborted) forwardAbort();
+    else parentSignal.addEventListener("abort", forwardAbort);
+  }
+  arm();
+
+  return {
+    signal: controller.signal,
+    touch: arm,
+    clear: () => {
+      clearTimeout(timer);
+      if (parentSignal) parentSignal.removeEventListener("abort", forwardAbort);
+    },
+  };
+};
+
+/**
+ * @function readLines
+ * @description Splits a fetch() body into trimmed, non-empty text lines.
+ */
+export async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) yield line;
+    }
+  }
+
+  if (buffer.trim()) yield buffer.trim();
+}
+
+/**
+ * @function readNdjsonStream
+ * @description Parses newline-delimited JSON (Ollama stream format).
+ */
+export async function* readNdjsonStream(body) {
+  for await (const line of readLines(body)) {
+    yield JSON.parse(line);
+  }
+}
+
+/**
+ * @function readSseStream
+ * @description Parses `data:` frames from a Server-Sent Events body, stopping at `[DONE]`.
+ */
+export async function* readSseStream(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith("data:")) continue;
+    const data = line.slice(5).trim();
+    if (data === "[DONE]") return;
+    yield JSON.parse(data);
+  }
+}
+
+/**
+ * @function httpError
+ * @description Builds an Error that carries the upstream HTTP status (429 etc.).
+ */
+export const httpError = async (providerName, response) => {
+  const detail = await response.text().catch(() => "");
+  const err = new Error(`${providerName} responded with HTTP ${response.status}${detail ? `: ${detail.substring(0, 200)}` : ""}`);
+  err.status = response.status;
+  return err;
+};
@@ -5,7 +5,8 @@
  * @version 3.7.1
  * ----------------------------------------------------------------------
  * DESIGN PHILOSOPHY:
- * 1. Waterfall Failover: Local (Llama 3.1) -> Cloud (Gemini 3/2.5 Flash).
+ * 1. Waterfall Failover: Local (Llama 3.1 / OpenAI-compatible) -> Cloud (Gemini 3/2.5 Flash),
+ *    driven by the pluggable adapters in ./providers.
  * 2. Identity Persistence: Robust JWT & Guest-session handling.
  * 3. Schema Reliability: Cascade-linked tables for Kanpur Nagar Cluster.
  */
@@ -14,16 +15,26 @@
  * 📦 1. EXTERNAL MODULE IMPORTS
  * ====================================================================== */
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import pg from "pg";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import helmet from "helmet"; // Error fix: Ensure this is installed!
-import morgan from "morgan"; // Error fix: Ensure this is installed!
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { buildProviderChain } from "./providers/index.js";
+import { createCircuitBreaker, classifyFailure } from "./providers/circuit-breaker.js";
+import { parseDocument, chunkSections, detectDocumentKind } from "./documents/parser.js";
+import { toMarkdown, toJson, toHtml, writePdf, exportFilename } from "./transcripts/export.js";
+import { normalizeImport } from "./transcripts/import.js";
+import archiver from "archiver";
+import { createMailer } from "./mailer/index.js";
+import { verificationEmail, passwordResetEmail } from "./mailer/templates.js";
+import { createLogger, runWithLogContext, bindLogContext, currentLogContext } from "./logging/logger.js";
+import { createRegistry } from "./metrics/registry.js";
+import { migrateUp, migrationStatus } from "./migrations/runner.js";
+import { createStorage } from "./storage/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,56 +50,217 @@ dotenv.config();
  */
 const CONFIG = {
   PORT: process.env.PORT || 5000,
-  SECRET_KEY: process.env.SECRET_KEY || "avneesh_tripathi_2026_secure_key",
+  // Without SECRET_KEY a random key is used, so access tokens die on restart (refresh tokens survive)
+  SECRET_KEY: process.env.SECRET_KEY || crypto.randomBytes(48).toString("hex"),
+  DB_DRIVER: process.env.DB_DRIVER || "postgres", // "sqlite" runs on an embedded file, no database server needed
   DATABASE_URL: process.env.DATABASE_URL,
+  SQLITE_PATH: process.env.SQLITE_PATH || "./data/avneesh-bot.sqlite", // DB_DRIVER=sqlite only; ":memory:" for throwaway runs
   GEMINI_KEY: process.env.GEMINI_API_KEY,
   OLLAMA_URL: process.env.OLLAMA_URL, 
   OLLAMA_MODEL: "llama3.1:latest", 
+  OLLAMA_VISION_MODEL: process.env.OLLAMA_VISION_MODEL, // e.g. "llava:latest"; adds a local tier that can read images
+  // Any OpenAI-compatible server (llama.cpp, LM Studio, vLLM). Include the /v1 prefix.
+  OPENAI_COMPAT_URL: process.env.OPENAI_COMPAT_URL,
+  OPENAI_COMPAT_MODEL: process.env.OPENAI_COMPAT_MODEL || "local-model",
+  OPENAI_COMPAT_KEY: process.env.OPENAI_COMPAT_KEY,
   BCRYPT_SALT: 12,
-  JWT_EXPIRY: "7d", // Extended to 7 days to stop those annoying "Expired" errors
-  CONTEXT_WINDOW: 15, // Remembers the last 15 messages
+  JWT_EXPIRY: "15m", // Short-lived access tokens; the client renews them with a refresh token
+  REFRESH_TOKEN_DAYS: 30, // Refresh tokens rotate on every use and die after this many idle days
+  REFRESH_REUSE_GRACE: 10000, // Two tabs refreshing at once isn't theft; only older replays revoke the login
+  APP_URL: (process.env.APP_URL || "http://localhost:3000").replace(/\/+$/, ""), // Base for links in emails
+  // Unverified accounts can't log in. on | off; unset means "on" only with the smtp
+  // transport, since console/file mail never reaches a real inbox
+  REQUIRE_EMAIL_VERIFICATION: process.env.REQUIRE_EMAIL_VERIFICATION
+    ? process.env.REQUIRE_EMAIL_VERIFICATION !== "off"
+    : process.env.MAIL_TRANSPORT === "smtp",
+  VERIFY_TOKEN_HOURS: 48,
+  RESET_TOKEN_MINUTES: 30,
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || "console", // smtp | console | file
+  MAIL_FROM: process.env.MAIL_FROM || "Avneesh AI <no-reply@avneesh.local>",
+  MAIL_DIR: process.env.MAIL_DIR || "./mail-outbox", // Used by the file transport
+  SMTP_URL: process.env.SMTP_URL,
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: process.env.SMTP_PORT,
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASS: process.env.SMTP_PASS,
+  GUEST_TTL_DAYS: Number(process.env.GUEST_TTL_DAYS) || 30, // Guest identities idle this long are deleted with their chats
+  HOUSEKEEPING_INTERVAL: 6 * 60 * 60 * 1000, // Guest expiry and refresh-token cleanup
+  GUEST_TOUCH_INTERVAL: 60 * 60 * 1000, // last_seen_at is refreshed at most once an hour per guest
+  CACHE_SWEEP_INTERVAL: 5 * 60 * 1000, // Drops idle rate-limit windows and stale guest touch stamps
+  CONTEXT_WINDOW: 15, // Remembers the last 15 messages verbatim; older ones live in the running summary
+  DEFAULT_CONTEXT_TOKENS: 8192, // For AI_CHAIN tiers that don't declare contextTokens
+  CONTEXT_REPLY_RESERVE: 0.25, // Share of each tier's context kept free for the reply
+  CHARS_PER_TOKEN: 4, // Rough estimate, good enough for budgeting
+  SUMMARY_FOLD_BATCH: 30, // Max old turns folded into the running summary per pass
+  EMBEDDING_PROVIDER: "ollama", // Long-term memory is embedded locally, never in the cloud
+  EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || "nomic-embed-text",
+  EMBEDDING_TIMEOUT: 5000,
+  MEMORY_EXTRACTION: process.env.MEMORY_EXTRACTION !== "off", // Auto-extract facts after each signed-in turn
+  MEMORY_TOP_K: 5, // Facts injected per turn
+  MEMORY_MIN_SCORE: 0.35, // Cosine similarity floor for recall
+  MEMORY_MIN_KEYWORD_SCORE: 0.1, // Word-overlap floor when embeddings are unavailable
+  MEMORY_DUPLICATE_SCORE: 0.92, // Above this a new fact counts as already known
+  MEMORY_MAX_PER_USER: 500,
+  ATTACHMENT_MAX_BYTES: 10 * 1024 * 1024, // Decoded file size; the JSON body limit stays at 50mb
+  ATTACHMENT_MAX_CHUNKS: 400,
+  ATTACHMENT_CHUNK_CHARS: 1500,
+  ATTACHMENT_CHUNK_OVERLAP: 200,
+  EMBEDDING_BATCH: 32,
+  DOCUMENT_TOP_K: 4, // Excerpts injected per turn
+  DOCUMENT_BUDGET_SHARE: 0.5, // Excerpts may use at most half of a tier's prompt budget
+  IMAGE_MAX_BYTES: 5 * 1024 * 1024, // Per image, decoded
+  IMAGE_MAX_PER_MESSAGE: 4,
+  IMAGE_MIME_TYPES: ["image/png", "image/jpeg", "image/webp", "image/gif"],
+  SEARCH_MAX_TERMS: 8,
+  SEARCH_PAGE_SIZE: 30,
+  SEARCH_SNIPPET_CHARS: 200,
+  SEARCH_SNIPPET_LEAD: 60, // Characters of context shown before the first hit
+  IMPORT_MAX_SESSIONS: 500,
+  IMPORT_MAX_MESSAGES: 5000, // Per imported conversation
+  SHARE_MAX_HOURS: 24 * 365, // Longest expiry a share link may have
+  USAGE_TRACE_LIMIT: 2000, // Most recent turns scanned for the per-tier breakdown in /api/usage
+  LOG_LEVEL: process.env.LOG_LEVEL || (process.env.NODE_ENV === "production" ? "info" : "debug"),
+  LOG_FORMAT: process.env.LOG_FORMAT || (process.env.NODE_ENV === "production" ? "json" : "pretty"),
+  LOG_REDACT: process.env.LOG_REDACT !== "off", // Masks prompts, emails and tokens in log lines
+  METRICS_TOKEN: process.env.METRICS_TOKEN, // Bearer token for GET /metrics; unset disables the endpoint
+  MIGRATE_ON_BOOT: process.env.MIGRATE_ON_BOOT !== "off", // Apply pending ./migrations at startup
+  DB_CONNECT_RETRIES: Number(process.env.DB_CONNECT_RETRIES) || 8, // Boot-time schema sync attempts before giving up
+  DB_RETRY_MAX_DELAY: 30000, // Backoff cap between those attempts
+  SHUTDOWN_GRACE_MS: Number(process.env.SHUTDOWN_GRACE_MS) || 20000, // In-flight generations get this long before being aborted
+  READY_CHECK_TIMEOUT: 3000, // /readyz gives up on the database ping / provider health check after this
   OLLAMA_TIMEOUT: 120000, // 120s to give your Lenovo time to process
+  CLOUD_TIMEOUT: 60000, // Gemini tiers should never need longer than this
+  SUMMARY_TIMEOUT: 15000, // Titles are tiny, so fail over fast
+  BREAKER_FAILURE_THRESHOLD: 3, // Plain errors in a row before a tier is benched (429s/timeouts bench instantly)
+  BREAKER_BASE_COOLDOWN: 30000, // First cooldown; doubles on every failed half-open probe
+  BREAKER_MAX_COOLDOWN: 15 * 60 * 1000,
+  LATENCY_WINDOW: 20, // Successful replies per tier kept for the /api/models latency stats
+  HEALTH_CACHE_TTL: 30000, // Provider health checks are reused for 30s
+  // Number of proxy hops in front of the app (Render = 1), so req.ip is the real client
+  TRUST_PROXY: /^\d+$/.test(process.env.TRUST_PROXY || "1") ? Number(process.env.TRUST_PROXY || 1) : process.env.TRUST_PROXY,
+  // Promoted to role 'admin' on startup; after that admins manage roles from the dashboard
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || "").split(",").map((email) => email.trim().toLowerCase()).filter(Boolean),
+  /**
+   * /api/chat limits per subject (0 or null = unlimited). Days are UTC. Accounts
+   * and guests are also counted per IP; admins can override single accounts.
+   * Set RATE_LIMITS (JSON of the same shape) to replace them without code changes.
+   */
+  RATE_LIMITS: process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {
+    account: { requestsPerMinute: 20, messagesPerDay: 500, tokensPerDay: 2000000 },
+    guest: { requestsPerMinute: 6, messagesPerDay: 50, tokensPerDay: 200000 },
+    ip: { requestsPerMinute: 30, messagesPerDay: 1000, tokensPerDay: 4000000 },
+  },
 };
 
-// Initialize Google AI with your 2026 Studio Models
-const ai = CONFIG.GEMINI_KEY ? new GoogleGenerativeAI(CONFIG.GEMINI_KEY) : null;
-
 /**
  * 🌊 MULTI-TIER AI WATERFALL
- * Prioritizing the newest models from your AI Studio.
+ * Ordered by priority: local nodes first, then the newest models from your AI Studio.
+ * `provider` picks the adapter from ./providers. Tiers whose provider has no
+ * URL/key configured are skipped. `vision: true` marks tiers that accept images;
+ * chats with images skip every other tier. Set AI_CHAIN (JSON array of the same
+ * shape) to replace the whole chain without touching code.
  */
-const AI_WATERFALL = [
-  { id: "gemma-3-27b-it", label: "Gemini 3 27b", priority: 1 },
-  { id: "gemini-3-flash-preview", label: "Gemini 3.0 Flash", priority: 2 },
-  { id: "gemini-2.5-flash", label: "Gemini 2.5 Flash", priority: 3 },
-  { id: "gemini-1.5-pro", label: "Gemini 1.5 Pro", priority: 4 }
+const AI_WATERFALL = process.env.AI_CHAIN ? JSON.parse(process.env.AI_CHAIN) : [
+  { provider: "ollama", id: CONFIG.OLLAMA_MODEL, label: `Ollama (${CONFIG.OLLAMA_MODEL})`, priority: 1, local: true, timeoutMs: CONFIG.OLLAMA_TIMEOUT, contextTokens: 4096 },
+  ...(CONFIG.OLLAMA_VISION_MODEL ? [
+    { provider: "ollama", id: CONFIG.OLLAMA_VISION_MODEL, label: `Ollama (${CONFIG.OLLAMA_VISION_MODEL})`, priority: 1, local: true, vision: true, timeoutMs: CONFIG.OLLAMA_TIMEOUT, contextTokens: 4096 }
+  ] : []),
+  { provider: "openai-compatible", id: CONFIG.OPENAI_COMPAT_MODEL, label: `Local (${CONFIG.OPENAI_COMPAT_MODEL})`, priority: 2, local: true, timeoutMs: CONFIG.OLLAMA_TIMEOUT, contextTokens: 4096 },
+  { provider: "gemini", id: "gemma-3-27b-it", label: "Gemini 3 27b", priority: 3, vision: true, timeoutMs: CONFIG.CLOUD_TIMEOUT, contextTokens: 32768 },
+  { provider: "gemini", id: "gemini-3-flash-preview", label: "Gemini 3.0 Flash", priority: 4, vision: true, timeoutMs: CONFIG.CLOUD_TIMEOUT, contextTokens: 32768 },
+  { provider: "gemini", id: "gemini-2.5-flash", label: "Gemini 2.5 Flash", priority: 5, vision: true, timeoutMs: CONFIG.CLOUD_TIMEOUT, contextTokens: 32768 },
+  { provider: "gemini", id: "gemini-1.5-pro", label: "Gemini 1.5 Pro", priority: 6, vision: true, timeoutMs: CONFIG.CLOUD_TIMEOUT, contextTokens: 32768 }
 ];
 
+// Shared adapter settings, keyed by provider type. `null` disables that provider.
+const AI_CHAIN = buildProviderChain(AI_WATERFALL, {
+  ollama: CONFIG.OLLAMA_URL ? { baseUrl: CONFIG.OLLAMA_URL } : null,
+  gemini: CONFIG.GEMINI_KEY ? { apiKey: CONFIG.GEMINI_KEY } : null,
+  "openai-compatible": CONFIG.OPENAI_COMPAT_URL
+    ? { baseUrl: CONFIG.OPENAI_COMPAT_URL, apiKey: CONFIG.OPENAI_COMPAT_KEY }
+    : null,
+});
+
 /* ======================================================================
  * 🛠️ 3. SYSTEM UTILITIES & ADVANCED LOGGING
  * ====================================================================== */
 
+const logger = createLogger({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT, redact: CONFIG.LOG_REDACT });
+
 /**
  * @function sysLogger
- * @description Indian-standardized logging for your Kanpur development.
- */
-const sysLogger = (level, message, data = null) => {
-  const timestamp = new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
-  const colors = { 
-    INFO: "\x1b[34m", // Blue
-    WARN: "\x1b[33m", // Yellow
-    ERROR: "\x1b[31m", // Red
-    SUCCESS: "\x1b[32m", // Green
-    RESET: "\x1b[0m" 
-  };
-  
-  console.log(`${colors[level] || ""}[${timestamp}] [${level}] ${message}${colors.RESET || ""}`);
-  
-  if (data && process.env.NODE_ENV !== "production") {
-    console.dir(data, { depth: null, colors: true });
-  }
+ * @description Structured logging (see ./logging). JSON lines in production,
+ * coloured IST lines in development; both carry the current request ID.
+ * Levels: DEBUG, INFO, SUCCESS, WARN, ERROR.
+ */
+const sysLogger = (level, message, data = null) => logger.log(level, message, data);
+
+/**
+ * @function runAsJob
+ * @description Wraps a background task so each run logs under its own
+ * `job-…` request ID instead of whatever request happened to schedule it.
+ */
+const runAsJob = (job, task) => () =>
+  runWithLogContext({ request_id: `job-${crypto.randomUUID()}`, job }, task);
+
+/**
+ * @constant lifecycle
+ * @description Process state shared by the probes and the shutdown sequence.
+ * `inFlight` holds AI generations (chats, titles, context folds, memory
+ * extraction) that a drain waits for; `timers` are the recurring jobs to
+ * stop first.
+ */
+const lifecycle = { databaseReady: false, draining: false, inFlight: new Set(), timers: [] };
+
+/**
+ * @function beginWork
+ * @description Registers an in-flight generation. Returns `{ signal, done }`:
+ * pass `signal` to runWaterfall (it aborts once the shutdown grace period is
+ * over) and call `done()` when the work ends.
+ */
+const beginWork = (kind) => {
+  const entry = { kind, controller: new AbortController() };
+  lifecycle.inFlight.add(entry);
+  return { signal: entry.controller.signal, done: () => lifecycle.inFlight.delete(entry) };
+};
+
+/**
+ * @function scheduleRecurring
+ * @description setInterval that the shutdown sequence knows how to stop.
+ */
+const scheduleRecurring = (task, intervalMs) => {
+  const timer = setInterval(task, intervalMs);
+  lifecycle.timers.push(timer);
+  return timer;
 };
 
+/**
+ * @description Prometheus instruments (scraped at GET /metrics). Gauges that
+ * are read on demand — pool stats, breaker state, backlog — live with the route.
+ */
+const metrics = createRegistry({ prefix: "avneesh_" });
+const httpRequestsTotal = metrics.counter("http_requests_total", "HTTP requests by method, route and status.", ["method", "route", "status"]);
+const httpRequestSeconds = metrics.histogram("http_request_duration_seconds", "HTTP request latency by method and route.", ["method", "route"]);
+const tierAttemptsTotal = metrics.counter(
+  "tier_attempts_total",
+  "Waterfall tier attempts by outcome (success, empty, timeout, rate_limit, error, aborted, skipped).",
+  ["tier", "outcome"]
+);
+const tierAttemptSeconds = metrics.histogram("tier_attempt_duration_seconds", "Waterfall tier latency by outcome.", ["tier", "outcome"]);
+const summarizerRunSeconds = metrics.histogram(
+  "summarizer_run_duration_seconds",
+  "Background title summarization time per session (outcome: titled, empty, error).",
+  ["outcome"]
+);
+
+if (!process.env.SECRET_KEY) {
+  if (process.env.NODE_ENV === "production") {
+    sysLogger("ERROR", "SECRET_KEY is not set. Refusing to start in production with a throwaway signing key.");
+    process.exit(1);
+  }
+  sysLogger("WARN", "SECRET_KEY is not set; using a random key for this process only.");
+}
+
 /**
  * @function formatErrorResponse
  * @description Standardized JSON errors for your React frontend.
@@ -98,93 +270,200 @@ const formatErrorResponse = (res, statusCode, message, error = null) => {
   return res.status(statusCode).json({
     status: "error",
     message,
+    request_id: currentLogContext().request_id,
     timestamp: new Date().toISOString()
   });
 };
 
-/* ======================================================================
- * 💾 4. COCKROACHDB CLUSTER CONNECTION
- * ====================================================================== */
+/**
+ * @description Outgoing mail (verification + password reset). Defaults to the
+ * console transport so local signups work without a mail server.
+ */
+const mailer = createMailer(CONFIG.MAIL_TRANSPORT, {
+  from: CONFIG.MAIL_FROM,
+  directory: CONFIG.MAIL_DIR,
+  url: CONFIG.SMTP_URL,
+  host: CONFIG.SMTP_HOST,
+  port: CONFIG.SMTP_PORT,
+  user: CONFIG.SMTP_USER,
+  pass: CONFIG.SMTP_PASS
+});
 
-// ✅ ESSENTIAL: Prevents JavaScript from corrupting large CockroachDB IDs
-pg.types.setTypeParser(20, (val) => val);
+if (CONFIG.REQUIRE_EMAIL_VERIFICATION && CONFIG.MAIL_TRANSPORT !== "smtp") {
+  sysLogger("WARN", `Email verification is on but MAIL_TRANSPORT is "${CONFIG.MAIL_TRANSPORT}": verification links only reach the server's ${CONFIG.MAIL_TRANSPORT === "file" ? "mail directory" : "log"}.`);
+}
 
-const { Pool } = pg;
+/**
+ * @description Circuit Breakers: one per tier so a rate-limited Gemini model
+ * or a dead OLLAMA_URL is skipped instead of being waited out on every chat.
+ */
+for (const tier of AI_CHAIN) {
+  tier.breaker = createCircuitBreaker({
+    label: tier.label,
+    failureThreshold: CONFIG.BREAKER_FAILURE_THRESHOLD,
+    baseCooldownMs: CONFIG.BREAKER_BASE_COOLDOWN,
+    maxCooldownMs: CONFIG.BREAKER_MAX_COOLDOWN,
+    onStateChange: ({ label, from, to, reason }) => {
+      sysLogger(to === "closed" ? "SUCCESS" : "WARN", `Breaker [${label}]: ${from.toUpperCase()} -> ${to.toUpperCase()} (${reason})`);
+    },
+  });
+}
 
-const pool = new Pool({
-  connectionString: CONFIG.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }, 
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000,
-});
+/**
+ * @function recordTierLatency
+ * @description Keeps a short rolling window of successful response times per tier.
+ */
+const recordTierLatency = (tier, ms) => {
+  tier.latencies = [...(tier.latencies || []), ms].slice(-CONFIG.LATENCY_WINDOW);
+};
+
+/**
+ * @function runWaterfall
+ * @description The single engine behind chat and summarization. Walks AI_CHAIN
+ * in priority order, skipping tiers whose breaker is open, and returns the
+ * first non-empty reply as `{ text, tier, attempts }` (`tier` is null when every tier failed).
+ * `attempts` lists each tier in walk order as `{ tier, outcome, latency_ms, error? }`
+ * with outcome success | empty | timeout | rate_limit | error | aborted | skipped.
+ * In stream mode `onToken(piece, tier)` receives each chunk as it arrives.
+ * `prompt` may be a `(tier) => string` builder so each tier gets a prompt sized to its context.
+ * `tiers` lets a caller reorder the chain (e.g. a user-pinned model first);
+ * `params` carries persona sampling knobs ({ temperature, top_p, max_tokens });
+ * `images` ([{ mime_type, data }]) restricts the walk to `vision` tiers.
+ */
+const runWaterfall = async (prompt, { stream = false, onToken = null, signal, timeoutMs, tiers = AI_CHAIN, params = {}, images = [], purpose = "Chat" } = {}) => {
+  const attempts = [];
+  const noteAttempt = (attempt) => {
+    attempts.push(attempt);
+    tierAttemptsTotal.inc({ tier: attempt.tier, outcome: attempt.outcome });
+    if (attempt.outcome !== "skipped") tierAttemptSeconds.observe({ tier: attempt.tier, outcome: attempt.outcome }, attempt.latency_ms / 1000);
+  };
+
+  for (const tier of tiers) {
+    if (signal && signal.aborted) break;
+
+    if (images.length && !tier.vision) {
+      sysLogger("INFO", `${purpose}: Skipping ${tier.label} (no image support).`);
+      continue;
+    }
+
+    if (!tier.breaker.canAttempt()) {
+      sysLogger("INFO", `${purpose}: Skipping ${tier.label} (breaker open).`);
+      noteAttempt({ tier: tier.label, outcome: "skipped", latency_ms: 0, error: "breaker open" });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      sysLogger("INFO", `${purpose}: Engaging ${tier.label}...`);
+      const options = { model: tier.id, signal, timeoutMs: timeoutMs || tier.timeoutMs, params, ...(images.length && { images }) };
+      const tierPrompt = typeof prompt === "function" ? prompt(tier) : prompt;
+      const text = stream
+        ? await tier.adapter.stream(tierPrompt, (piece) => onToken(piece, tier), options)
+        : await tier.adapter.generate(tierPrompt, options);
+
+      if (text) {
+        tier.breaker.recordSuccess();
+        recordTierLatency(tier, Date.now() - startedAt);
+        noteAttempt({ tier: tier.label, outcome: "success", latency_ms: Date.now() - startedAt });
+        sysLogger("SUCCESS", `${purpose}: ${tier.label} resolved the request successfully.`);
+        return { text, tier, attempts };
+      }
+      tier.breaker.release();
+      noteAttempt({ tier: tier.label, outcome: "empty", latency_ms: Date.now() - startedAt });
+    } catch (err) {
+      // A caller abort or a caller-shortened timeout says nothing about the tier's health
+      const callerCutItShort = (signal && signal.aborted) || (timeoutMs && classifyFailure(err) === "timeout");
+      if (callerCutItShort) {
+        tier.breaker.release();
+      } else {
+        tier.breaker.recordFailure(err);
+      }
+      noteAttempt({
+        tier: tier.label,
+        outcome: signal && signal.aborted ? "aborted" : classifyFailure(err),
+        latency_ms: Date.now() - startedAt,
+        error: String(err.message || err).substring(0, 200)
+      });
+      sysLogger("ERROR", `${purpose}: ${tier.label} failed or rate-limited. Cascading down...`, err.message);
+    }
+  }
+
+  return { text: "", tier: null, attempts };
+};
+
+/* ======================================================================
+ * 💾 4. DATABASE CONNECTION (COCKROACHDB / SQLITE)
+ * ====================================================================== */
+
+// DB_DRIVER picks the backend; `pool` is its pg.Pool-shaped handle for raw queries
+const storage = createStorage(CONFIG.DB_DRIVER, CONFIG.DB_DRIVER === "sqlite"
+  ? { filename: CONFIG.SQLITE_PATH }
+  : {
+    connectionString: CONFIG.DATABASE_URL,
+    max: 20,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 10000,
+  });
+const pool = storage.db;
 
 /**
- * @description Database Schema Sync
- * Fixed: Added strict constraints to prevent empty messages.
+ * @function syncDatabaseSchema
+ * @description Brings the schema up to date through the versioned migrations
+ * in ./migrations (see `npm run migrate:status`). With MIGRATE_ON_BOOT=off it
+ * only checks the connection and warns about pending versions, for
+ * deployments that migrate as a separate release step.
+ * Also promotes ADMIN_EMAILS, which is configuration rather than schema.
  */
 const syncDatabaseSchema = async () => {
-  let client;
-  try {
-    client = await pool.connect();
-    sysLogger('INFO', 'Synchronizing Kanpur Cluster Schema...');
-
-    // 1. Users table (Added profile support)
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY, 
-        username VARCHAR(50) NOT NULL, 
-        email VARCHAR(100) UNIQUE NOT NULL, 
-        password TEXT NOT NULL, 
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // 2. Chat Sessions (The core of your project)
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS chat_sessions (
-        session_id SERIAL PRIMARY KEY,
-        user_id INT REFERENCES users(id) ON DELETE CASCADE,
-        session_name TEXT DEFAULT 'New Conversation',
-        is_summarized BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // 3. Chat Records (Memory store)
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS chat_records (
-        record_id SERIAL PRIMARY KEY,
-        session_id INT REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
-        user_id INT,
-        user_name TEXT,
-        role TEXT NOT NULL,
-        message_text TEXT NOT NULL,
-        mode TEXT,
-        model_used TEXT,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+  sysLogger('INFO', 'Synchronizing Kanpur Cluster Schema...');
 
-    await client.query(`
-      ALTER TABLE chat_sessions 
-      ADD COLUMN IF NOT EXISTS is_summarized BOOLEAN DEFAULT FALSE;
-    `);
+  if (CONFIG.MIGRATE_ON_BOOT) {
+    await migrateUp(pool, { log: sysLogger });
+  } else {
+    const pending = (await migrationStatus(pool)).filter((row) => row.state === "pending");
+    if (pending.length > 0) {
+      sysLogger("WARN", `${pending.length} pending migration(s): ${pending.map((row) => row.version).join(", ")}. Run npm run migrate.`);
+    }
+  }
 
-    sysLogger('SUCCESS', 'Infrastructure and Database are synchronized.');
-  } catch (err) {
-    sysLogger('ERROR', 'Critical: Database handshaking failed.', err.message);
-    process.exit(1);
-  } finally {
-    if (client) client.release();
+  // ADMIN_EMAILS bootstraps the first admins
+  await storage.users.promoteAdmins(CONFIG.ADMIN_EMAILS);
+
+  sysLogger('SUCCESS', 'Infrastructure and Database are synchronized.');
+};
+
+/**
+ * @function connectDatabaseWithRetry
+ * @description Runs the schema sync (migrations) with exponential backoff (1s, 2s, 4s … up
+ * to DB_RETRY_MAX_DELAY) so a slow or briefly unreachable cluster at boot is
+ * waited out. Only after DB_CONNECT_RETRIES failures does the process exit.
+ * /readyz reports not-ready until this succeeds.
+ */
+const connectDatabaseWithRetry = async () => {
+  for (let attempt = 1; attempt <= CONFIG.DB_CONNECT_RETRIES; attempt++) {
+    if (lifecycle.draining) return;
+    try {
+      await syncDatabaseSchema();
+      lifecycle.databaseReady = true;
+      return;
+    } catch (err) {
+      if (attempt === CONFIG.DB_CONNECT_RETRIES) {
+        sysLogger("ERROR", `Critical: Database handshaking failed after ${attempt} attempt(s).`, err.message);
+        process.exit(1);
+      }
+      const delay = Math.min(1000 * 2 ** (attempt - 1), CONFIG.DB_RETRY_MAX_DELAY);
+      sysLogger("WARN", `Database handshake attempt ${attempt} failed; retrying in ${delay / 1000}s.`, err.message);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
   }
 };
 
-syncDatabaseSchema();
+connectDatabaseWithRetry();
 /* ======================================================================
  * 🚀 5. EXPRESS APP INITIALIZATION & SECURITY MIDDLEWARE
  * ====================================================================== */
 const app = express(); // Defined here to resolve ReferenceErrors
+app.set("trust proxy", CONFIG.TRUST_PROXY); // Per-IP rate limits need the real client address
 
 /**
  * @description Enhanced Security Middleware Stack.
@@ -194,10 +473,51 @@ app.use(helmet({
   contentSecurityPolicy: false, // Required to allow local AI model tunnels
   crossOriginEmbedderPolicy: false 
 }));
-app.use(morgan(':method :url :status :response-time ms')); // Log speed of login attempts
+
+/**
+ * @middleware assignRequestId
+ * @description Tags each request with an ID (a sane incoming X-Request-Id from
+ * a proxy is kept), echoes it back, and runs the rest of the chain inside that
+ * log context. Also writes the access line and HTTP metrics once the response is sent.
+ */
+app.use((req, res, next) => {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && /^[\w.-]{8,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+  const startedAt = process.hrtime.bigint();
+
+  runWithLogContext({ request_id: req.id }, () => {
+    const context = currentLogContext();
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      // Route templates (/api/sessions/:id) keep label cardinality bounded
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+      httpRequestSeconds.observe({ method: req.method, route }, durationMs / 1000);
+      runWithLogContext(context, () =>
+        sysLogger(res.statusCode >= 500 ? "ERROR" : "INFO", `${req.method} ${req.originalUrl.split("?")[0]} ${res.statusCode} ${durationMs.toFixed(1)} ms`)
+      );
+    });
+    next();
+  });
+});
+/**
+ * @middleware refuseWhileDraining
+ * @description Once shutdown starts, requests arriving on kept-alive
+ * connections get a 503 (with Connection: close) instead of new work.
+ */
+app.use((req, res, next) => {
+  if (!lifecycle.draining || req.path === "/healthz" || req.path === "/readyz") return next();
+  res.setHeader("Connection", "close");
+  res.setHeader("Retry-After", "5");
+  return formatErrorResponse(res, 503, "Server is restarting. Please retry shortly.");
+});
+
 app.use(cors({
   origin: ["http://localhost:3000", "https://avneeshbotproject.onrender.com"],
-  methods: ["GET", "POST", "PUT", "DELETE"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+  // Content-Disposition names export downloads; the rest drive the quota UI
+  exposedHeaders: ["Content-Disposition", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "X-Request-Id"],
   credentials: true
 }));
 app.use(express.json({ limit: "50mb" })); //
@@ -227,6 +547,8 @@ const authenticateToken = (req, res, next) => {
       return formatErrorResponse(res, 403, isExpired ? "Session Expired. Please re-login." : "Invalid Access Token.");
     }
     req.user = decoded;
+    bindLogContext({ user_id: decoded.id });
+    touchGuest(decoded);
     next();
   });
 };
@@ -246,10 +568,216 @@ const optionalAuth = (req, res, next) => {
 
   jwt.verify(token, CONFIG.SECRET_KEY, (err, decoded) => {
     req.user = err ? null : decoded;
+    if (req.user) {
+      bindLogContext({ user_id: req.user.id });
+      touchGuest(req.user);
+    }
     next();
   });
 };
 
+// Keyed by String(id): JWTs carry numbers, pg returns INT8 ids as strings
+const guestLastTouched = new Map(); // guest id -> ms of the last last_seen_at write
+
+/**
+ * @function touchGuest
+ * @description Keeps an active guest identity from expiring. Fire-and-forget
+ * and throttled, so guest requests don't each cost a write.
+ */
+const touchGuest = (user) => {
+  if (!user.guest) return;
+  const now = Date.now();
+  if (now - (guestLastTouched.get(String(user.id)) || 0) < CONFIG.GUEST_TOUCH_INTERVAL) return;
+  guestLastTouched.set(String(user.id), now);
+  storage.users.touchLastSeen(user.id)
+    .catch((err) => sysLogger("ERROR", "Guest heartbeat failure.", err.message));
+};
+
+/* ----------------------------------------------------------------------
+ * 🚦 RATE LIMITS & DAILY QUOTAS (/api/chat)
+ * Requests per minute live in memory (a sliding window per subject);
+ * daily messages/tokens live in usage_daily so they survive restarts.
+ * ---------------------------------------------------------------------- */
+
+const minuteWindows = new Map(); // subject -> timestamps (ms) of admitted requests
+
+const utcDay = (date = new Date()) => date.toISOString().substring(0, 10);
+const secondsUntilUtcMidnight = () => {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+};
+
+/**
+ * @function resolveUserLimits
+ * @description Guest or account defaults with the admin override applied.
+ * `overridden` lets raised accounts skip the shared per-IP limit.
+ */
+async function resolveUserLimits(user) {
+  const defaults = user.guest ? CONFIG.RATE_LIMITS.guest : CONFIG.RATE_LIMITS.account;
+  const result = await pool.query(
+    `SELECT u.disabled_at, l.user_id AS has_override, l.requests_per_minute, l.messages_per_day, l.tokens_per_day
+     FROM users u LEFT JOIN user_limits l ON l.user_id = u.id
+     WHERE u.id = $1`,
+    [user.id]
+  );
+  const override = result.rows[0];
+  if (!override) return { ...defaults, overridden: false, disabled: true }; // Deleted or swept identity
+  if (!override.has_override) return { ...defaults, overridden: false, disabled: Boolean(override.disabled_at) };
+
+  return {
+    requestsPerMinute: override.requests_per_minute ?? defaults.requestsPerMinute,
+    messagesPerDay: override.messages_per_day ?? defaults.messagesPerDay,
+    tokensPerDay: override.tokens_per_day !== null ? Number(override.tokens_per_day) : defaults.tokensPerDay,
+    overridden: true,
+    disabled: Boolean(override.disabled_at)
+  };
+}
+
+/**
+ * @function readMinuteWindow
+ * @description Drops hits older than a minute and returns what's left.
+ */
+const readMinuteWindow = (subject, now = Date.now()) => {
+  const hits = (minuteWindows.get(subject) || []).filter((time) => now - time < 60000);
+  if (hits.length) minuteWindows.set(subject, hits);
+  else minuteWindows.delete(subject);
+  return hits;
+};
+
+async function loadDailyUsage(subjects) {
+  const result = await pool.query(
+    "SELECT subject, messages, tokens FROM usage_daily WHERE day = $1 AND subject = ANY($2)",
+    [utcDay(), subjects]
+  );
+  const usage = Object.fromEntries(subjects.map((subject) => [subject, { messages: 0, tokens: 0 }]));
+  result.rows.forEach((row) => {
+    usage[row.subject] = { messages: Number(row.messages), tokens: Number(row.tokens) };
+  });
+  return usage;
+}
+
+const rejectWithRetry = (res, retryAfterSeconds, code, message) => {
+  res.setHeader("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    status: "error",
+    code,
+    message,
+    retry_after: retryAfterSeconds,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * @middleware enforceChatQuota
+ * @description Runs after authenticateToken on /api/chat. Answers 429 with
+ * Retry-After when the user or their IP is over a limit; otherwise records the
+ * request and leaves `req.quotaSubjects` for recordChatUsage.
+ */
+const enforceChatQuota = async (req, res, next) => {
+  const now = Date.now();
+  let limits, usage;
+  const userSubject = `user:${req.user.id}`;
+  const ipSubject = `ip:${req.ip}`;
+
+  try {
+    limits = await resolveUserLimits(req.user);
+    usage = await loadDailyUsage([userSubject, ipSubject]);
+  } catch (err) {
+    return formatErrorResponse(res, 500, "Quota lookup failure.", err);
+  }
+  if (limits.disabled) return formatErrorResponse(res, 403, "This account has been disabled.");
+
+  const checks = [{ subject: userSubject, limits, label: req.user.guest ? "guest" : "account" }];
+  if (!limits.overridden) checks.push({ subject: ipSubject, limits: CONFIG.RATE_LIMITS.ip, label: "network" });
+
+  for (const check of checks) {
+    const hits = readMinuteWindow(check.subject, now);
+    if (check.limits.requestsPerMinute && hits.length >= check.limits.requestsPerMinute) {
+      const retryAfter = Math.max(1, Math.ceil((hits[0] + 60000 - now) / 1000));
+      sysLogger("WARN", `Rate limited (${check.subject}): ${hits.length} requests this minute.`);
+      return rejectWithRetry(res, retryAfter, "RATE_LIMITED", `Too many messages at once from this ${check.label}. Take a breather.`);
+    }
+
+    const used = usage[check.subject];
+    if ((check.limits.messagesPerDay && used.messages >= check.limits.messagesPerDay)
+      || (check.limits.tokensPerDay && used.tokens >= check.limits.tokensPerDay)) {
+      sysLogger("WARN", `Daily quota reached (${check.subject}).`);
+      return rejectWithRetry(res, secondsUntilUtcMidnight(), "QUOTA_EXCEEDED", `The daily message allowance for this ${check.label} is used up.`);
+    }
+  }
+
+  checks.forEach((check) => minuteWindows.set(check.subject, [...readMinuteWindow(check.subject, now), now]));
+
+  const remaining = limits.requestsPerMinute ? limits.requestsPerMinute - readMinuteWindow(userSubject, now).length : null;
+  if (remaining !== null) {
+    res.setHeader("RateLimit-Limit", String(limits.requestsPerMinute));
+    res.setHeader("RateLimit-Remaining", String(remaining));
+    res.setHeader("RateLimit-Reset", "60");
+  }
+
+  req.quotaSubjects = [userSubject, ipSubject];
+  next();
+};
+
+/**
+ * @function recordChatUsage
+ * @description Adds one message and its estimated tokens to today's counters.
+ */
+async function recordChatUsage(subjects, tokens) {
+  if (!subjects) return;
+  try {
+    for (const subject of subjects) {
+      await pool.query(
+        `INSERT INTO usage_daily (subject, day, messages, tokens) VALUES ($1, $2, 1, $3)
+         ON CONFLICT (subject, day) DO UPDATE
+         SET messages = usage_daily.messages + 1, tokens = usage_daily.tokens + EXCLUDED.tokens`,
+        [subject, utcDay(), tokens]
+      );
+    }
+  } catch (err) {
+    sysLogger("ERROR", "Usage accounting failure.", err.message);
+  }
+}
+
+// Idle subjects (per-IP ones especially) and departed guests would otherwise
+// pile up: a stale touch stamp means the same as a missing one
+scheduleRecurring(() => {
+  const now = Date.now();
+  for (const subject of minuteWindows.keys()) readMinuteWindow(subject, now);
+  for (const [guestId, touchedAt] of guestLastTouched) {
+    if (now - touchedAt >= CONFIG.GUEST_TOUCH_INTERVAL) guestLastTouched.delete(guestId);
+  }
+}, CONFIG.CACHE_SWEEP_INTERVAL);
+
+/**
+ * @route GET /api/quota
+ * @desc The caller's limits, today's usage and what's left (null = unlimited).
+ */
+app.get("/api/quota", authenticateToken, async (req, res) => {
+  try {
+    const limits = await resolveUserLimits(req.user);
+    const subject = `user:${req.user.id}`;
+    const used = (await loadDailyUsage([subject]))[subject];
+    const left = (limit, value) => (limit ? Math.max(0, limit - value) : null);
+
+    res.json({
+      limits: {
+        requests_per_minute: limits.requestsPerMinute || null,
+        messages_per_day: limits.messagesPerDay || null,
+        tokens_per_day: limits.tokensPerDay || null
+      },
+      used: { ...used, requests_this_minute: readMinuteWindow(subject).length },
+      remaining: {
+        messages: left(limits.messagesPerDay, used.messages),
+        tokens: left(limits.tokensPerDay, used.tokens)
+      },
+      resets_in: secondsUntilUtcMidnight()
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Quota lookup failure.", err);
+  }
+});
+
 /* ======================================================================
  * 👤 7. IDENTITY MANAGEMENT (AUTH & GUESTS)
  * ====================================================================== */
@@ -266,19 +794,26 @@ app.post("/api/register", async (req, res) => {
   }
 
   try {
-    const check = await pool.query("SELECT id FROM users WHERE email = $1", [email]);
-    if (check.rows.length > 0) {
+    if (await storage.users.isEmailTaken(email)) {
       return formatErrorResponse(res, 400, "Conflict: Email already exists.");
     }
 
     const hashedPassword = await bcrypt.hash(password, CONFIG.BCRYPT_SALT);
-    const result = await pool.query(
-      "INSERT INTO users (username, email, password) VALUES ($1, $2, $3) RETURNING id, username",
-      [username, email, hashedPassword]
-    );
+    const user = await storage.users.create({
+      username,
+      email,
+      passwordHash: hashedPassword,
+      role: CONFIG.ADMIN_EMAILS.includes(String(email).toLowerCase()) ? "admin" : "user"
+    });
 
     sysLogger("SUCCESS", `Identity registered: ${username}`);
-    res.status(201).json({ status: "success", user: result.rows[0] });
+    // A mail outage shouldn't fail the signup; the user can ask for a new link
+    sendVerificationEmail(user).catch((err) => sysLogger("ERROR", "Verification email failure.", err.message));
+    res.status(201).json({
+      status: "success",
+      user: { id: user.id, username: user.username },
+      verification_required: CONFIG.REQUIRE_EMAIL_VERIFICATION
+    });
   } catch (err) {
     formatErrorResponse(res, 500, "Registration system error.", err);
   }
@@ -292,407 +827,3038 @@ app.post("/api/login", async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const result = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
-    const user = result.rows[0];
+    const user = await storage.users.findByEmail(email);
 
     if (!user || !(await bcrypt.compare(password, user.password))) {
       sysLogger("WARN", `Failed login for: ${email}`);
       return formatErrorResponse(res, 401, "Invalid email or password.");
     }
+    if (user.disabled_at) {
+      sysLogger("WARN", `Login blocked for disabled account: ${user.id}`);
+      return formatErrorResponse(res, 403, "This account has been disabled.");
+    }
+    if (CONFIG.REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({
+        status: "error",
+        code: "EMAIL_UNVERIFIED",
+        message: "Verify your email first. Check your inbox for the link.",
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username }, 
-      CONFIG.SECRET_KEY, 
-      { expiresIn: CONFIG.JWT_EXPIRY } // Set to 7d in Part 1
-    );
+    const tokens = await issueTokenPair(user, { userAgent: req.headers["user-agent"] });
 
     sysLogger("SUCCESS", `Login successful: ${user.username}`);
-    res.status(200).json({ status: "success", token, userId: user.id });
+    res.status(200).json({ status: "success", ...tokens, userId: user.id, username: user.username });
   } catch (err) {
     formatErrorResponse(res, 500, "Login system error.", err);
   }
 });
 
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
 /**
- * @function getOrCreateGuestUser
- * @description Prevents crashes in the chat route for Kanpur guests.
+ * @function issueTokenPair
+ * @description Signs a short-lived access token and stores a new refresh token.
+ * `familyId` continues an existing login on rotation; the access token carries
+ * it as `sid` so logout can revoke "this device" only.
  */
-async function getOrCreateGuestUser() {
-  try {
-    let res = await pool.query("SELECT id FROM users WHERE email = 'guest@system.local'");
-    if (res.rows.length > 0) return res.rows[0].id;
-
-    const dummyHash = await bcrypt.hash("guest_nopass_2026", CONFIG.BCRYPT_SALT);
-    res = await pool.query(
-      "INSERT INTO users (username, email, password) VALUES ($1, $2, $3) RETURNING id",
-      ["Guest User", "guest@system.local", dummyHash]
-    );
-    return res.rows[0].id;
-  } catch (e) {
-    sysLogger("ERROR", "Guest provision failure", e.message);
-    return null;
-  }
+async function issueTokenPair(user, { familyId = crypto.randomUUID(), userAgent = null, db = pool } = {}) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 day'))`,
+    [user.id, hashToken(refreshToken), familyId, userAgent ? String(userAgent).substring(0, 200) : null, CONFIG.REFRESH_TOKEN_DAYS]
+  );
+
+  const token = jwt.sign(
+    { id: user.id, username: user.username, sid: familyId },
+    CONFIG.SECRET_KEY,
+    { expiresIn: CONFIG.JWT_EXPIRY }
+  );
+  return { token, refresh_token: refreshToken, expires_in: CONFIG.JWT_EXPIRY };
 }
-/* ======================================================================
- * 🔄 8. BACKGROUND TASK RUNNER (DEFERRED OLLAMA SUMMARIZATION)
- * ====================================================================== */
 
 /**
-/**
- * @function summarizeSessionWaterfall
- * @description Advanced summarization with local failover to cloud waterfall.
+ * @route POST /api/refresh
+ * @desc Trades a refresh token for a new access + refresh token pair.
+ * Body: { refresh_token }. The old refresh token stops working immediately.
  */
-async function summarizeSessionWaterfall(sessionId) {
+app.post("/api/refresh", async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) return formatErrorResponse(res, 400, "refresh_token is required.");
+
+  let client;
   try {
-    // 1. Fetch chronological history (limit to 10 for speed)
-    const historyRes = await pool.query(
-      "SELECT message_text FROM chat_records WHERE session_id = $1 ORDER BY timestamp ASC LIMIT 10",
-      [sessionId]
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const result = await client.query(
+      `SELECT t.token_id, t.family_id, t.revoked_at, t.revoked_reason, u.id, u.username,
+              t.expires_at < NOW() OR u.disabled_at IS NOT NULL AS expired,
+              t.revoked_reason = 'rotated' AND t.revoked_at > NOW() - ($2 * INTERVAL '1 millisecond') AS just_rotated
+       FROM refresh_tokens t JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 FOR UPDATE`,
+      [hashToken(refresh_token), CONFIG.REFRESH_REUSE_GRACE]
     );
+    const stored = result.rows[0];
 
-    if (historyRes.rows.length === 0) return;
-    const fullConversation = historyRes.rows.map(r => r.message_text).join(" | ");
-    const summaryPrompt = `Based on this chat: "${fullConversation.substring(0, 800)}", create a 4-word title. No quotes.`;
+    if (!stored || stored.expired) {
+      await client.query("ROLLBACK");
+      return formatErrorResponse(res, 401, "Session Expired. Please re-login.");
+    }
+    if (stored.just_rotated) {
+      await client.query("ROLLBACK");
+      return formatErrorResponse(res, 409, "Refresh token was just rotated by another request.");
+    }
+    if (stored.revoked_at && stored.revoked_reason !== "rotated") {
+      await client.query("ROLLBACK");
+      return formatErrorResponse(res, 401, "Session Revoked. Please re-login.");
+    }
+    if (stored.revoked_at) {
+      // A rotated token came back: assume it was stolen and end that login everywhere
+      await client.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'reuse' WHERE family_id = $1 AND revoked_at IS NULL",
+        [stored.family_id]
+      );
+      await client.query("COMMIT");
+      sysLogger("WARN", `Refresh token reuse detected for user ${stored.id}; login revoked.`);
+      return formatErrorResponse(res, 401, "Session Revoked. Please re-login.");
+    }
 
-    let generatedTitle = "";
+    await client.query("UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated' WHERE token_id = $1", [stored.token_id]);
+    const tokens = await issueTokenPair(stored, { familyId: stored.family_id, userAgent: req.headers["user-agent"], db: client });
+    await client.query("COMMIT");
 
-    // --- TIER 1: Local Ollama ---
-    if (CONFIG.OLLAMA_URL) {
-      try {
-        sysLogger("INFO", `Summarizer Tier 1: Local node attempting title for ${sessionId}`);
-        const response = await fetch(`${CONFIG.OLLAMA_URL}/api/generate`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            model: CONFIG.OLLAMA_MODEL,
-            prompt: summaryPrompt,
-            stream: false,
-          }),
-          signal: AbortSignal.timeout(15000) // 15s faster timeout for titles
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-          generatedTitle = data.response.replace(/["\n\r]/g, "").trim();
-        }
-      } catch (e) {
-        sysLogger("WARN", "Summarizer Tier 1 failed/timeout. Cascading to Cloud...");
-      }
-    }
+    res.json({ status: "success", ...tokens, userId: stored.id, username: stored.username });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    formatErrorResponse(res, 500, "Token refresh failure.", err);
+  } finally {
+    if (client) client.release();
+  }
+});
 
-    // --- TIER 2+: Cloud Waterfall ---
-    if (!generatedTitle && ai) {
-      for (const tier of AI_WATERFALL) {
-        try {
-          sysLogger("INFO", `Summarizer Cloud Tier: Attempting ${tier.label}...`);
-          const model = ai.getGenerativeModel({ model: tier.id });
-          const result = await model.generateContent(summaryPrompt);
-          generatedTitle = result.response.text().replace(/["\n\r]/g, "").trim();
-          
-          if (generatedTitle) break; 
-        } catch (err) {
-          sysLogger("ERROR", `Summarizer: ${tier.label} failed. Trying next...`);
-        }
-      }
-    }
+/**
+ * @route POST /api/logout
+ * @desc Revokes the current login. Accepts the refresh token in the body and/or
+ * a still-valid access token, so it works even after the access token expired.
+ */
+app.post("/api/logout", optionalAuth, async (req, res) => {
+  const { refresh_token } = req.body;
 
-    // --- FINAL SYNC: Update CockroachDB ---
-    if (generatedTitle) {
-      const finalTitle = generatedTitle.substring(0, 40);
-      await pool.query(
-        "UPDATE chat_sessions SET session_name = $1, is_summarized = TRUE WHERE session_id = $2",
-        [finalTitle, sessionId]
+  try {
+    let revoked = 0;
+    if (refresh_token) {
+      const result = await pool.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'logout'
+         WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1) AND revoked_at IS NULL`,
+        [hashToken(refresh_token)]
       );
-      sysLogger("SUCCESS", `Title Generated (${sessionId}): ${finalTitle}`);
+      revoked += result.rowCount;
     }
-
+    if (req.user && req.user.sid) {
+      const result = await pool.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'logout' WHERE family_id = $1 AND user_id = $2 AND revoked_at IS NULL",
+        [req.user.sid, req.user.id]
+      );
+      revoked += result.rowCount;
+    }
+    res.json({ status: "success", revoked });
   } catch (err) {
-    sysLogger("ERROR", "Background waterfall logic failure.", err.message);
+    formatErrorResponse(res, 500, "Logout failure.", err);
   }
-}
+});
 
 /**
- * @description Background Worker Interval
- * Scans CockroachDB for untitled headers every 5 minutes.
+ * @route POST /api/logout/all
+ * @desc "Log out all devices": revokes every refresh token of the account.
+ * Access tokens already issued still run out within JWT_EXPIRY.
  */
-setInterval(async () => {
+app.post("/api/logout/all", authenticateToken, async (req, res) => {
   try {
-    // Look for sessions that haven't been summarized yet, regardless of their current name
-    const pending = await pool.query(
-      "SELECT session_id FROM chat_sessions WHERE is_summarized = FALSE LIMIT 5"
+    const result = await pool.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'logout' WHERE user_id = $1 AND revoked_at IS NULL",
+      [req.user.id]
     );
-    for (const row of pending.rows) {
-      // Small delay between each summary to prevent overloading your Lenovo CPU
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      await summarizeSessionWaterfall(row.session_id);
-    }
+    sysLogger("INFO", `All logins revoked for user ${req.user.id} (${result.rowCount}).`);
+    res.json({ status: "success", revoked: result.rowCount });
   } catch (err) {
-    sysLogger("ERROR", "Worker loop interval error.", err.message);
+    formatErrorResponse(res, 500, "Logout failure.", err);
   }
-}, 2 * 60 * 1000); // Check every 2 minutes instead of 5
+});
 
-/* ======================================================================
- * 🤖 9. AI PERSONA & SYSTEM INSTRUCTION LOGIC
- * ====================================================================== */
+/**
+ * @route GET /api/me
+ * @desc The signed-in profile (guests get their anonymous handle, no email).
+ */
+app.get("/api/me", authenticateToken, async (req, res) => {
+  try {
+    const user = await storage.users.findById(req.user.id);
+    if (!user) return formatErrorResponse(res, 404, "Account not found.");
+
+    res.json({
+      id: user.id,
+      username: user.username,
+      email: user.is_guest ? null : user.email,
+      is_guest: Boolean(user.is_guest),
+      email_verified: Boolean(user.email_verified_at),
+      role: user.role || "user",
+      created_at: user.created_at
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Profile lookup failure.", err);
+  }
+});
 
 /**
- * @function getSystemPrompt
- * @description Standardizes the Avneesh Bot personality.
+ * @function requireAccount
+ * @description Rejects guest identities on account-only routes.
  */
-const getSystemPrompt = (mode, userName) => {
-  const base = `Identity: Avneesh AI. Creator: Avneesh Tripathi, software engineering student from Kanpur Nagar currently studying in CSJM University , 2nd Year , 4th semester. `;
+const requireAccount = (req, res, next) => {
+  if (req.user.guest) return formatErrorResponse(res, 403, "Create an account to use this.");
+  next();
+};
 
-  const personas = {
-    casual: `${base} Helpful, friendly, uses emojis, try to reply taking context from the previous messages. Try to keep replies short .🌸`,
-    roast: `${base} Savage, sarcastic roaster. Roasts the user in his/her every reply taking context from previous messages.Try to keep replies short .`,
-    flirt: `${base} Acting as a "male bestie" for ${userName} and try to flirt using previous replies considering he is your female bestie whom you love one-sidedly. Supportive and playful.Try to keep replies short .`,
-    depressed: `${base} You are depressed and has lost hope in everything. Everything is a bug. Reply taking context from previous messages. Try to keep replies short.`,
-    angry: `${base} You are in very angry mood and use very cruel words to user. Reply taking context from previous messages. Try to keep replies short .`,
-    positive: `${base} David Goggins style. Keep your replies positive and motivational taking context from previous messages. Stay hard! No excuses!Try to keep replies short .`,
-  };
+/**
+ * @function verifyCurrentPassword
+ * @description Loads the user and checks `password` against their hash.
+ */
+async function verifyCurrentPassword(userId, password) {
+  const user = await storage.users.findById(userId);
+  if (!user || !password || !(await bcrypt.compare(String(password), user.password))) return null;
+  return user;
+}
 
-  return personas[mode] || personas.casual;
-};
+/**
+ * @route PATCH /api/me
+ * @desc Updates username and/or email. A new email has to be verified again
+ * (when verification is on) before the next login. Body: { username?, email? }.
+ */
+app.patch("/api/me", authenticateToken, requireAccount, async (req, res) => {
+  const username = req.body.username !== undefined ? String(req.body.username).trim() : undefined;
+  const email = req.body.email !== undefined ? String(req.body.email).trim() : undefined;
 
-/* ======================================================================
- * 🛰️ 10. THE CORE CHAT ROUTE (THE WATERFALL ENGINE)
- * ====================================================================== */
+  if (username === undefined && email === undefined) return formatErrorResponse(res, 400, "Nothing to update.");
+  if (username !== undefined && (!username || username.length > 50)) {
+    return formatErrorResponse(res, 400, "Username must be 1-50 characters.");
+  }
+  if (email !== undefined && (!email.includes("@") || email.length > 100)) {
+    return formatErrorResponse(res, 400, "Invalid email address.");
+  }
 
-app.post("/api/chat", optionalAuth, async (req, res) => {
-  let { prompt, mode, session_id, user_name } = req.body;
+  try {
+    const current = await storage.users.findById(req.user.id);
+    if (!current) return formatErrorResponse(res, 404, "Account not found.");
+    const emailChanged = email !== undefined && email !== current.email;
+
+    if (emailChanged && (await storage.users.isEmailTaken(email, req.user.id))) {
+      return formatErrorResponse(res, 400, "Conflict: Email already exists.");
+    }
+
+    const user = await storage.users.updateProfile(req.user.id, {
+      username,
+      email: emailChanged ? email : undefined,
+      resetVerification: emailChanged && CONFIG.REQUIRE_EMAIL_VERIFICATION
+    });
+
+    if (emailChanged && CONFIG.REQUIRE_EMAIL_VERIFICATION) {
+      sendVerificationEmail(user).catch((err) => sysLogger("ERROR", "Verification email failure.", err.message));
+    }
+
+    sysLogger("INFO", `Profile updated for user ${user.id}`);
+    res.json({
+      status: "success",
+      user: { id: user.id, username: user.username, email: user.email, email_verified: Boolean(user.email_verified_at) },
+      verification_sent: emailChanged && CONFIG.REQUIRE_EMAIL_VERIFICATION
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Profile update failure.", err);
+  }
+});
+
+/**
+ * @route PUT /api/me/password
+ * @desc Changes the password after checking the current one, then signs out
+ * every other device. Body: { current_password, new_password }.
+ */
+app.put("/api/me/password", authenticateToken, requireAccount, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!new_password || String(new_password).length < 6) {
+    return formatErrorResponse(res, 400, "New password must be at least 6 characters.");
+  }
+
+  try {
+    const user = await verifyCurrentPassword(req.user.id, current_password);
+    if (!user) return formatErrorResponse(res, 401, "Current password is incorrect.");
+
+    const hashedPassword = await bcrypt.hash(String(new_password), CONFIG.BCRYPT_SALT);
+    await storage.users.setPassword(user.id, hashedPassword);
+    const revoked = await pool.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'password_change'
+       WHERE user_id = $1 AND revoked_at IS NULL AND family_id IS DISTINCT FROM $2`,
+      [user.id, req.user.sid || null]
+    );
+
+    sysLogger("SUCCESS", `Password changed for user ${user.id}`);
+    res.json({ status: "success", other_sessions_revoked: revoked.rowCount });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Password change failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/me
+ * @desc Permanently deletes the account. Sessions, records, memories, personas,
+ * attachments, share links and tokens all go via ON DELETE CASCADE.
+ * Body: { password }. The client offers GET /api/export before calling this.
+ */
+app.delete("/api/me", authenticateToken, requireAccount, async (req, res) => {
+  try {
+    const user = await verifyCurrentPassword(req.user.id, req.body.password);
+    if (!user) return formatErrorResponse(res, 401, "Password is incorrect.");
+
+    await storage.users.delete(user.id);
+    sysLogger("WARN", `Account deleted: ${user.id} (${user.username})`);
+    res.json({ status: "success", message: "Account deleted." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Account deletion failure.", err);
+  }
+});
+
+/**
+ * @function issueAccountToken
+ * @description Creates a single-use token for `purpose` and voids the user's
+ * older unused ones, so only the newest emailed link works.
+ */
+async function issueAccountToken(userId, purpose, lifetimeMinutes) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await pool.query(
+    "UPDATE account_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL",
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 minute'))`,
+    [userId, purpose, hashToken(token), lifetimeMinutes]
+  );
+  return token;
+}
+
+/**
+ * @function consumeAccountToken
+ * @description Marks a token used and returns its user id, or null when it is
+ * unknown, expired, already used or meant for another purpose.
+ */
+async function consumeAccountToken(token, purpose) {
+  const result = await pool.query(
+    `UPDATE account_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0] ? result.rows[0].user_id : null;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user.id, "verify_email", CONFIG.VERIFY_TOKEN_HOURS * 60);
+  await mailer.send({
+    to: user.email,
+    ...verificationEmail({
+      username: user.username,
+      link: `${CONFIG.APP_URL}/?verify=${token}`,
+      expiresIn: `${CONFIG.VERIFY_TOKEN_HOURS} hours`
+    })
+  });
+}
+
+/**
+ * @route POST /api/verify-email
+ * @desc Confirms the address behind a verification link. Body: { token }.
+ */
+app.post("/api/verify-email", async (req, res) => {
+  if (!req.body.token) return formatErrorResponse(res, 400, "Verification token is required.");
+
+  try {
+    const userId = await consumeAccountToken(req.body.token, "verify_email");
+    if (!userId) return formatErrorResponse(res, 400, "This verification link is invalid or has expired.");
+
+    await storage.users.markEmailVerified(userId);
+    sysLogger("SUCCESS", `Email verified for user ${userId}`);
+    res.json({ status: "success", message: "Email verified. You can sign in now." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Verification failure.", err);
+  }
+});
+
+/**
+ * @route POST /api/verify-email/resend
+ * @desc Sends a fresh verification link. Always answers the same way so it
+ * can't be used to probe which emails have accounts. Body: { email }.
+ */
+app.post("/api/verify-email/resend", async (req, res) => {
+  try {
+    const user = await storage.users.findByEmail(String(req.body.email || ""));
+    if (user && !user.is_guest && !user.email_verified_at) await sendVerificationEmail(user);
+    res.json({ status: "success", message: "If that account still needs verifying, a new link is on its way." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Could not send the verification email.", err);
+  }
+});
+
+/**
+ * @route POST /api/password/forgot
+ * @desc Emails a single-use reset link. Same answer whether or not the email
+ * exists. Body: { email }.
+ */
+app.post("/api/password/forgot", async (req, res) => {
+  try {
+    const user = await storage.users.findByEmail(String(req.body.email || ""));
+    if (user && !user.is_guest) {
+      const token = await issueAccountToken(user.id, "reset_password", CONFIG.RESET_TOKEN_MINUTES);
+      await mailer.send({
+        to: user.email,
+        ...passwordResetEmail({
+          username: user.username,
+          link: `${CONFIG.APP_URL}/?reset=${token}`,
+          expiresIn: `${CONFIG.RESET_TOKEN_MINUTES} minutes`
+        })
+      });
+      sysLogger("INFO", `Password reset requested for user ${user.id}`);
+    }
+    res.json({ status: "success", message: "If an account uses that email, a reset link is on its way." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Could not send the reset email.", err);
+  }
+});
+
+/**
+ * @route POST /api/password/reset
+ * @desc Sets a new password from a reset link and signs the account out
+ * everywhere. Body: { token, password }.
+ */
+app.post("/api/password/reset", async (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) return formatErrorResponse(res, 400, "Token and new password are required.");
+  if (String(password).length < 6) return formatErrorResponse(res, 400, "Password must be at least 6 characters.");
+
+  try {
+    const userId = await consumeAccountToken(token, "reset_password");
+    if (!userId) return formatErrorResponse(res, 400, "This reset link is invalid, used or expired.");
+
+    const hashedPassword = await bcrypt.hash(password, CONFIG.BCRYPT_SALT);
+    // Clicking the emailed link also proves the address
+    await storage.users.setPassword(userId, hashedPassword, { markVerified: true });
+    await pool.query(
+      "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'password_reset' WHERE user_id = $1 AND revoked_at IS NULL",
+      [userId]
+    );
+
+    sysLogger("SUCCESS", `Password reset for user ${userId}`);
+    res.json({ status: "success", message: "Password updated. Sign in with your new password." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Password reset failure.", err);
+  }
+});
+
+/**
+ * @function pruneExpiredTokens
+ * @description Drops refresh and account tokens that expired or were used over a day ago.
+ */
+const pruneExpiredTokens = async () => {
+  try {
+    await pool.query(
+      `DELETE FROM refresh_tokens
+       WHERE expires_at < NOW() OR revoked_at < NOW() - INTERVAL '1 day'`
+    );
+    await pool.query(
+      `DELETE FROM account_tokens
+       WHERE expires_at < NOW() OR used_at < NOW() - INTERVAL '1 day'`
+    );
+  } catch (err) {
+    sysLogger("ERROR", "Refresh token cleanup failure.", err.message);
+  }
+};
+
+scheduleRecurring(runAsJob("token-cleanup", pruneExpiredTokens), CONFIG.HOUSEKEEPING_INTERVAL);
+
+/**
+ * @function signGuestToken
+ * @description Guest tokens carry `guest: true` and live exactly as long as an
+ * idle guest row, so a valid token never outlives its identity.
+ */
+const signGuestToken = (guest) =>
+  jwt.sign(
+    { id: guest.id, username: guest.username, guest: true },
+    CONFIG.SECRET_KEY,
+    { expiresIn: `${CONFIG.GUEST_TTL_DAYS}d` }
+  );
+
+/**
+ * @route POST /api/guest
+ * @desc Issues this browser its own anonymous identity. Sending a still-valid
+ * guest token renews it (same identity, fresh expiry) instead of minting a new one.
+ */
+app.post("/api/guest", optionalAuth, async (req, res) => {
+  if (req.user && !req.user.guest) {
+    return formatErrorResponse(res, 400, "Already signed in with an account.");
+  }
+
+  try {
+    if (req.user) {
+      const existing = await storage.users.renewGuest(req.user.id);
+      if (existing) {
+        return res.json({ status: "success", token: signGuestToken(existing), userId: existing.id, renewed: true });
+      }
+    }
+
+    // Guests never log in with a password, so the hash is of random bytes nobody knows
+    const handle = crypto.randomUUID();
+    const dummyHash = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), CONFIG.BCRYPT_SALT);
+    const guest = await storage.users.createGuest({
+      username: "Guest User",
+      email: `guest-${handle}@guest.local`,
+      passwordHash: dummyHash
+    });
+
+    sysLogger("INFO", `Guest identity issued: ${guest.id}`);
+    res.status(201).json({ status: "success", token: signGuestToken(guest), userId: guest.id, renewed: false });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Guest provisioning failure.", err);
+  }
+});
+
+/**
+ * @route POST /api/guest/merge
+ * @desc Moves a guest's conversations (and everything hanging off them) into
+ * the signed-in account, then deletes the guest identity. Body: { guest_token }.
+ */
+app.post("/api/guest/merge", authenticateToken, async (req, res) => {
+  if (req.user.guest) return formatErrorResponse(res, 400, "Sign in to an account before merging.");
+
+  let guest;
+  try {
+    guest = jwt.verify(String(req.body.guest_token || ""), CONFIG.SECRET_KEY);
+  } catch (err) {
+    return formatErrorResponse(res, 400, "Guest token is invalid or expired.");
+  }
+  if (!guest.guest) return formatErrorResponse(res, 400, "That token does not belong to a guest.");
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query("BEGIN");
+    const owner = await client.query("SELECT id FROM users WHERE id = $1 AND is_guest = TRUE FOR UPDATE", [guest.id]);
+    if (owner.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return formatErrorResponse(res, 404, "Guest identity not found (it may have expired).");
+    }
+
+    const moved = await client.query(
+      "UPDATE chat_sessions SET user_id = $1 WHERE user_id = $2 RETURNING session_id",
+      [req.user.id, guest.id]
+    );
+    for (const table of ["chat_records", "session_attachments", "session_shares", "personas", "user_memories", "chat_telemetry"]) {
+      await client.query(`UPDATE ${table} SET user_id = $1 WHERE user_id = $2`, [req.user.id, guest.id]);
+    }
+    await client.query("DELETE FROM users WHERE id = $1", [guest.id]);
+    await client.query("COMMIT");
+
+    guestLastTouched.delete(String(guest.id));
+    sysLogger("SUCCESS", `Guest ${guest.id} merged into user ${req.user.id} (${moved.rows.length} session(s)).`);
+    res.json({ status: "success", merged_sessions: moved.rows.length });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    formatErrorResponse(res, 500, "Guest merge failure.", err);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * @function expireGuestIdentities
+ * @description Deletes guests idle for GUEST_TTL_DAYS. Their sessions, records,
+ * attachments and share links go with them via ON DELETE CASCADE.
+ */
+const expireGuestIdentities = async () => {
+  try {
+    const expired = await storage.users.deleteIdleGuests(CONFIG.GUEST_TTL_DAYS * 24);
+    expired.forEach((id) => guestLastTouched.delete(String(id)));
+    if (expired.length > 0) sysLogger("INFO", `Expired ${expired.length} idle guest identit(ies).`);
+  } catch (err) {
+    sysLogger("ERROR", "Guest expiry sweep failure.", err.message);
+  }
+};
+
+scheduleRecurring(runAsJob("guest-expiry", expireGuestIdentities), CONFIG.HOUSEKEEPING_INTERVAL);
+
+/* ======================================================================
+ * 🔄 8. BACKGROUND TASK RUNNER (DEFERRED OLLAMA SUMMARIZATION)
+ * ====================================================================== */
+
+/**
+/**
+ * @function summarizeSessionWaterfall
+ * @description Advanced summarization with local failover to cloud waterfall.
+ */
+async function summarizeSessionWaterfall(sessionId) {
+  const startedAt = Date.now();
+  const work = beginWork("summary");
+  let outcome = "empty";
+  try {
+    // 1. Fetch chronological history (limit to 10 for speed)
+    const history = await storage.records.listOpening(sessionId, 10);
+
+    if (history.length === 0) return;
+    const fullConversation = history.map(r => r.message_text).join(" | ");
+    const summaryPrompt = `Based on this chat: "${fullConversation.substring(0, 800)}", create a 4-word title. No quotes.`;
+
+    // --- Shared waterfall engine: local nodes first, then the cloud ---
+    const { text } = await runWaterfall(summaryPrompt, {
+      timeoutMs: CONFIG.SUMMARY_TIMEOUT,
+      signal: work.signal,
+      purpose: `Summarizer (${sessionId})`
+    });
+    const generatedTitle = text.replace(/["\n\r]/g, "").trim();
+
+    // --- FINAL SYNC: Update CockroachDB ---
+    if (generatedTitle) {
+      const finalTitle = generatedTitle.substring(0, 40);
+      await storage.sessions.setTitle(sessionId, finalTitle);
+      sysLogger("SUCCESS", `Title Generated (${sessionId}).`, { title: finalTitle });
+      outcome = "titled";
+    }
+
+  } catch (err) {
+    outcome = "error";
+    sysLogger("ERROR", "Background waterfall logic failure.", err.message);
+  } finally {
+    work.done();
+    summarizerRunSeconds.observe({ outcome }, (Date.now() - startedAt) / 1000);
+  }
+}
+
+/**
+ * @description Background Worker Interval
+ * Scans CockroachDB for untitled headers every 5 minutes.
+ */
+scheduleRecurring(runAsJob("summarizer", async () => {
+  if (!lifecycle.databaseReady || lifecycle.draining) return;
+  try {
+    // Look for sessions that haven't been summarized yet, regardless of their current name
+    const pending = await storage.sessions.listUnsummarized(5);
+    for (const row of pending) {
+      // Small delay between each summary to prevent overloading your Lenovo CPU
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      if (lifecycle.draining) break;
+      await summarizeSessionWaterfall(row.session_id);
+    }
+  } catch (err) {
+    sysLogger("ERROR", "Worker loop interval error.", err.message);
+  }
+}), 2 * 60 * 1000); // Check every 2 minutes instead of 5
+
+/* ======================================================================
+ * 🤖 9. AI PERSONA & SYSTEM INSTRUCTION LOGIC
+ * ====================================================================== */
+
+const PERSONA_BASE = `Identity: Avneesh AI. Creator: Avneesh Tripathi, software engineering student from Kanpur Nagar currently studying in CSJM University , 2nd Year , 4th semester. `;
+
+/**
+ * @constant BUILTIN_PERSONAS
+ * @description The stock personalities. `instruction` receives the user's name.
+ * Custom personas live in the `personas` table and use the key `custom-<persona_id>`.
+ */
+const BUILTIN_PERSONAS = [
+  { key: "casual", name: "Casual", emoji: "😎", instruction: () => `Helpful, friendly, uses emojis, try to reply taking context from the previous messages. Try to keep replies short .🌸` },
+  { key: "roast", name: "Savage", emoji: "🔥", instruction: () => `Savage, sarcastic roaster. Roasts the user in his/her every reply taking context from previous messages.Try to keep replies short .` },
+  { key: "flirt", name: "Charming", emoji: "💖", instruction: (userName) => `Acting as a "male bestie" for ${userName} and try to flirt using previous replies considering he is your female bestie whom you love one-sidedly. Supportive and playful.Try to keep replies short .` },
+  { key: "depressed", name: "Burnout", emoji: "🌧️", instruction: () => `You are depressed and has lost hope in everything. Everything is a bug. Reply taking context from previous messages. Try to keep replies short.` },
+  { key: "angry", name: "Furious", emoji: "😡", instruction: () => `You are in very angry mood and use very cruel words to user. Reply taking context from previous messages. Try to keep replies short .` },
+  { key: "positive", name: "Goggins", emoji: "✨", instruction: () => `David Goggins style. Keep your replies positive and motivational taking context from previous messages. Stay hard! No excuses!Try to keep replies short .` },
+];
+
+/**
+ * @function resolvePersona
+ * @description Maps a `mode` value to `{ key, instruction(userName), params }`.
+ * Built-ins resolve instantly; `custom-<id>` keys are looked up in CockroachDB
+ * and must belong to the caller or be shared. Returns null for unknown modes.
+ */
+const resolvePersona = async (mode, userId) => {
+  const key = mode || "casual";
+
+  const builtin = BUILTIN_PERSONAS.find((p) => p.key === key);
+  if (builtin) return { key, instruction: builtin.instruction, params: {} };
+
+  const match = /^custom-(\d+)$/.exec(key);
+  if (!match) return null;
+
+  const result = await pool.query(
+    "SELECT system_instruction, generation_params FROM personas WHERE persona_id = $1 AND (user_id = $2 OR is_shared = TRUE)",
+    [match[1], userId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { system_instruction, generation_params } = result.rows[0];
+  return {
+    key,
+    // Custom instructions may reference the user as {user}
+    instruction: (userName) => system_instruction.replaceAll("{user}", userName || "User"),
+    params: generation_params || {}
+  };
+};
+
+/**
+ * @function getSystemPrompt
+ * @description Standardizes the Avneesh Bot personality.
+ */
+const getSystemPrompt = (persona, userName) => `${PERSONA_BASE} ${persona.instruction(userName)}`;
+
+/**
+ * @function sanitizePersonaInput
+ * @description Validates a persona body. Returns `{ error }` or the clean fields.
+ */
+const sanitizePersonaInput = ({ name, emoji, system_instruction, generation_params, theme_color, is_shared }) => {
+  const isOptionalString = (value) => value === undefined || value === null || typeof value === "string";
+  if (typeof name !== "string" || typeof system_instruction !== "string" || !isOptionalString(emoji) || !isOptionalString(theme_color)) {
+    return { error: "Persona name, emoji, system instruction and theme colour must be text." };
+  }
+  if (!name.trim() || name.trim().length > 40) return { error: "Persona name is required (max 40 characters)." };
+  if (!system_instruction.trim() || system_instruction.length > 4000) {
+    return { error: "System instruction is required (max 4000 characters)." };
+  }
+  if (theme_color && !/^#[0-9a-f]{6}$/i.test(theme_color)) return { error: "Theme colour must be a hex value like #238636." };
+
+  // Only whitelisted sampling knobs survive, clamped to sane ranges
+  const limits = { temperature: [0, 2], top_p: [0, 1], max_tokens: [1, 8192] };
+  const params = {};
+  for (const [knob, [min, max]] of Object.entries(limits)) {
+    const value = generation_params && Number(generation_params[knob]);
+    if (generation_params && generation_params[knob] !== undefined && generation_params[knob] !== "" && !Number.isNaN(value)) {
+      params[knob] = Math.min(Math.max(value, min), max);
+    }
+  }
+
+  return {
+    name: name.trim(),
+    emoji: (emoji || "🤖").slice(0, 8),
+    system_instruction: system_instruction.trim(),
+    generation_params: params,
+    theme_color: theme_color || null,
+    is_shared: Boolean(is_shared)
+  };
+};
+
+/**
+ * @route GET /api/personas
+ * @desc Built-ins plus the caller's own and everyone's shared personas.
+ */
+app.get("/api/personas", optionalAuth, async (req, res) => {
+  const builtins = BUILTIN_PERSONAS.map(({ key, name, emoji }) => ({ key, name, emoji, builtin: true }));
+  const userId = req.user ? req.user.id : null;
+
+  try {
+    const result = await pool.query(
+      `SELECT persona_id, user_id, name, emoji, system_instruction, generation_params, theme_color, is_shared
+       FROM personas WHERE user_id = $1 OR is_shared = TRUE ORDER BY created_at ASC`,
+      [userId]
+    );
+    const custom = result.rows.map((row) => ({
+      key: `custom-${row.persona_id}`,
+      persona_id: row.persona_id,
+      name: row.name,
+      emoji: row.emoji,
+      system_instruction: row.system_instruction,
+      generation_params: row.generation_params || {},
+      theme_color: row.theme_color,
+      is_shared: row.is_shared,
+      owned: userId !== null && String(row.user_id) === String(userId),
+      builtin: false
+    }));
+    res.status(200).json([...builtins, ...custom]);
+  } catch (err) {
+    formatErrorResponse(res, 500, "Persona Fetch Failure.", err);
+  }
+});
+
+/**
+ * @route POST /api/personas
+ * @desc Creates a custom persona owned by the caller.
+ */
+app.post("/api/personas", authenticateToken, async (req, res) => {
+  const persona = sanitizePersonaInput(req.body);
+  if (persona.error) return formatErrorResponse(res, 400, persona.error);
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO personas (user_id, name, emoji, system_instruction, generation_params, theme_color, is_shared)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING persona_id`,
+      [req.user.id, persona.name, persona.emoji, persona.system_instruction, JSON.stringify(persona.generation_params), persona.theme_color, persona.is_shared]
+    );
+    const personaId = result.rows[0].persona_id;
+    sysLogger("SUCCESS", `Persona created: ${persona.name} (${personaId})`);
+    res.status(201).json({ status: "success", key: `custom-${personaId}`, persona_id: personaId });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Persona Creation Failure.", err);
+  }
+});
+
+/**
+ * @route PUT /api/personas/:id
+ * @desc Edits (or shares/unshares) one of the caller's personas.
+ */
+app.put("/api/personas/:id", authenticateToken, async (req, res) => {
+  const persona = sanitizePersonaInput(req.body);
+  if (persona.error) return formatErrorResponse(res, 400, persona.error);
+
+  try {
+    const result = await pool.query(
+      `UPDATE personas SET name = $1, emoji = $2, system_instruction = $3, generation_params = $4,
+       theme_color = $5, is_shared = $6, updated_at = CURRENT_TIMESTAMP
+       WHERE persona_id = $7 AND user_id = $8`,
+      [persona.name, persona.emoji, persona.system_instruction, JSON.stringify(persona.generation_params), persona.theme_color, persona.is_shared, req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) {
+      return formatErrorResponse(res, 404, "Persona not found or access denied.");
+    }
+    res.json({ status: "success", message: "Persona updated." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Persona Update Failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/personas/:id
+ * @desc Deletes one of the caller's personas. Old chat records keep their mode key.
+ */
+app.delete("/api/personas/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM personas WHERE persona_id = $1 AND user_id = $2", [req.params.id, req.user.id]);
+    if (result.rowCount === 0) {
+      return formatErrorResponse(res, 404, "Persona not found or access denied.");
+    }
+    res.json({ status: "success", message: "Persona deleted." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Persona Deletion Failure.", err);
+  }
+});
+
+/* ======================================================================
+ * 🛰️ 10. THE CORE CHAT ROUTE (THE WATERFALL ENGINE)
+ * ====================================================================== */
+
+/**
+ * @function estimateTokens
+ * @description Cheap token estimate (~4 characters per token) used for context budgeting.
+ */
+const estimateTokens = (text) => Math.ceil((text || "").length / CONFIG.CHARS_PER_TOKEN);
+
+/**
+ * @function loadSessionTree
+ * @description Loads every record of a session as a branch tree:
+ * `byId` (record_id -> row), `children` (parent id or "root" -> rows, oldest
+ * first) and the session's active `leafId`.
+ */
+async function loadSessionTree(sessionId) {
+  const session = (await storage.sessions.findById(sessionId)) || {};
+  const records = await storage.records.listForSession(sessionId);
+
+  const byId = new Map();
+  const children = new Map();
+  for (const record of records) {
+    byId.set(String(record.record_id), record);
+    const parentKey = record.parent_record_id ? String(record.parent_record_id) : "root";
+    if (!children.has(parentKey)) children.set(parentKey, []);
+    children.get(parentKey).push(record);
+  }
+
+  return {
+    byId,
+    children,
+    leafId: session.active_leaf_id || null,
+    summary: session.context_summary || null,
+    summaryThrough: session.summary_through || null
+  };
+}
+
+/**
+ * @function walkActivePath
+ * @description Records from the root down to `leafId` (inclusive), oldest first.
+ * A null leaf is an empty path (e.g. editing the very first prompt).
+ */
+const walkActivePath = (tree, leafId) => {
+  const path = [];
+  let record = leafId ? tree.byId.get(String(leafId)) : null;
+  while (record) {
+    path.unshift(record);
+    record = record.parent_record_id ? tree.byId.get(String(record.parent_record_id)) : null;
+  }
+  return path;
+};
+
+/**
+ * @function newestDescendant
+ * @description Follows the most recent child from `recordId` down to a leaf,
+ * so flipping to an alternative lands on that branch's latest turn.
+ */
+const newestDescendant = (tree, recordId) => {
+  let current = tree.byId.get(String(recordId));
+  let next;
+  while ((next = tree.children.get(String(current.record_id)))) {
+    current = next[next.length - 1];
+  }
+  return current.record_id;
+};
+
+/**
+ * @function loadSessionMemory
+ * @description Returns the session's running summary plus the newest turns of
+ * the active branch that have not been folded into it yet (chronological,
+ * capped at CONTEXT_WINDOW). Pass `leafId` to build context for another point
+ * in the tree (edits and regenerations); `leafId` in the result is the turn a
+ * new message should hang off.
+ */
+async function loadSessionMemory(sessionId, { leafId } = {}) {
+  const tree = await loadSessionTree(sessionId);
+  const anchorId = leafId === undefined ? tree.leafId : leafId;
+  const unsummarized = walkActivePath(tree, anchorId)
+    .filter((record) => !tree.summaryThrough || record.timestamp > tree.summaryThrough);
+
+  return {
+    summary: tree.summary,
+    recentTurns: unsummarized.slice(-CONFIG.CONTEXT_WINDOW),
+    leafId: anchorId
+  };
+}
+
+/**
+ * @function createContextPrompt
+ * @description Returns a `(tier) => prompt` builder for runWaterfall. Each tier
+ * gets as many recent turns as fit its `contextTokens` budget (minus a reply
+ * reserve); oversized messages such as pasted logs are clipped first.
+ * Attached-document excerpts may take up to DOCUMENT_BUDGET_SHARE of it.
+ */
+const createContextPrompt = ({ systemInstruction, facts = [], documents = [], summary, recentTurns, userName, prompt }) => {
+  const builtByBudget = new Map();
+
+  return (tier) => {
+    const budget = Math.floor((tier.contextTokens || CONFIG.DEFAULT_CONTEXT_TOKENS) * (1 - CONFIG.CONTEXT_REPLY_RESERVE));
+    if (builtByBudget.has(budget)) return builtByBudget.get(budget);
+
+    const maxTurnChars = Math.floor(budget / 4) * CONFIG.CHARS_PER_TOKEN;
+    const factBlock = facts.map((fact) => `- ${fact}`).join("\n");
+    let remaining = budget - estimateTokens(systemInstruction) - estimateTokens(factBlock) - estimateTokens(summary) - estimateTokens(prompt);
+
+    // Document excerpts arrive best-first; stop adding once they hit their share of the budget
+    const excerpts = [];
+    let excerptBudget = Math.min(remaining, Math.floor(budget * CONFIG.DOCUMENT_BUDGET_SHARE));
+    for (const doc of documents) {
+      const block = `[${doc.n}] ${doc.filename} — ${doc.section}\n${doc.content}`;
+      const cost = estimateTokens(block);
+      if (cost > excerptBudget) break;
+      excerpts.push(block);
+      excerptBudget -= cost;
+      remaining -= cost;
+    }
+
+    // Walk newest -> oldest so the latest turns win when the budget runs out
+    const included = [];
+    for (const turn of [...recentTurns].reverse()) {
+      const text = turn.message_text.length > maxTurnChars
+        ? `${turn.message_text.substring(0, maxTurnChars)} … [truncated]`
+        : turn.message_text;
+      const line = `${turn.role === "user" ? "User" : "Assistant"}: ${text}`;
+      const cost = estimateTokens(line);
+      if (cost > remaining) break;
+      included.unshift(line);
+      remaining -= cost;
+    }
+
+    const fullAiPrompt = `
+    INSTRUCTIONS: ${systemInstruction}
+    ${factBlock ? `
+    KNOWN FACTS ABOUT ${userName || 'THE USER'} (LONG-TERM MEMORY):
+    ${factBlock}
+    ` : ""}${excerpts.length ? `
+    DOCUMENT EXCERPTS (cite the ones you use as [n]):
+    ${excerpts.join("\n\n")}
+    ` : ""}${summary ? `
+    EARLIER IN THIS CONVERSATION (SUMMARY):
+    ${summary}
+    ` : ""}
+    RECENT MEMORY (LAST ${included.length} TURNS):
+    ${included.join("\n") || "New session initialized in Kanpur Nagar."}
+    
+    CURRENT INPUT FROM ${userName || 'User'}:
+    ${prompt}
+  `;
+    builtByBudget.set(budget, fullAiPrompt);
+    return fullAiPrompt;
+  };
+};
+
+/**
+ * @function foldOlderTurnsIntoSummary
+ * @description Incrementally folds turns that have slid out of CONTEXT_WINDOW
+ * into chat_sessions.context_summary, oldest first, one batch per call.
+ * Failures leave the turns unsummarized so the next chat retries them.
+ */
+const foldsInFlight = new Set();
+async function foldOlderTurnsIntoSummary(sessionId) {
+  if (foldsInFlight.has(String(sessionId)) || lifecycle.draining) return;
+  foldsInFlight.add(String(sessionId));
+  const work = beginWork("summary");
+
+  try {
+    // Only the active branch is folded; abandoned branches never reach the summary
+    const tree = await loadSessionTree(sessionId);
+    const pending = walkActivePath(tree, tree.leafId)
+      .filter((record) => !tree.summaryThrough || record.timestamp > tree.summaryThrough);
+    const overflow = pending.length - CONFIG.CONTEXT_WINDOW;
+    if (overflow <= 0) return;
+
+    const turns = pending.slice(0, Math.min(overflow, CONFIG.SUMMARY_FOLD_BATCH));
+    const previousSummary = tree.summary;
+
+    const transcript = turns.map((t) => {
+      const text = t.message_text.length > 1200 ? `${t.message_text.substring(0, 1200)} … [truncated]` : t.message_text;
+      return `${t.role === "user" ? "User" : "Assistant"}: ${text}`;
+    }).join("\n");
+
+    const foldPrompt = `You maintain a running summary of a conversation between a user and Avneesh AI.
+CURRENT SUMMARY: ${previousSummary || "(none yet)"}
+NEW TURNS TO FOLD IN:
+${transcript}
+Rewrite the summary so it also covers the new turns. Keep names, facts, decisions and open questions. Stay under 200 words. Reply with the summary only.`;
+
+    const { text } = await runWaterfall(foldPrompt, { signal: work.signal, purpose: `Context Folder (${sessionId})` });
+    if (!text.trim()) return;
+
+    await storage.sessions.setContextSummary(sessionId, text.trim(), turns[turns.length - 1].record_id);
+    sysLogger("SUCCESS", `Context Folder: ${turns.length} older turn(s) folded into session ${sessionId} summary.`);
+  } catch (err) {
+    sysLogger("ERROR", "Context Folder failure.", err.message);
+  } finally {
+    work.done();
+    foldsInFlight.delete(String(sessionId));
+  }
+}
+
+/**
+ * @function persistChatTurn
+ * @description Creates the session if needed and stores both sides of the turn,
+ * then kicks off the background context folder and memory extractor.
+ * The user record hangs off `parentRecordId`; a regeneration passes the
+ * existing `userRecordId` instead so only a new model reply is added. The new
+ * reply becomes the session's active leaf.
+ * Returns `{ sessionId, userRecordId, modelRecordId }`.
+ */
+async function persistChatTurn({ sessionId, userId, userName, prompt, reply, mode, modelUsed, citations = [], images = [], parentRecordId = null, userRecordId = null, rememberFacts = false }) {
+  let activeSessionId = sessionId;
+
+  // If this is a brand new chat, initialize the session in CockroachDB
+  if (!activeSessionId) {
+    activeSessionId = (await storage.sessions.create(userId)).session_id;
+
+    // Trigger the background worker to summarize this later with Ollama
+    summarizeSessionWaterfall(activeSessionId);
+  }
+
+  const turn = { sessionId: activeSessionId, userId, userName, mode };
+
+  // Save User Input for future context retrieval (regenerations reuse the existing one)
+  let promptRecordId = userRecordId;
+  if (!promptRecordId) {
+    promptRecordId = await storage.records.insert({ ...turn, role: "user", text: prompt, modelUsed: "user-input", parentRecordId });
+
+    for (const image of images) {
+      await pool.query(
+        "INSERT INTO chat_record_images (record_id, mime_type, data) VALUES ($1, $2, $3)",
+        [promptRecordId, image.mime_type, image.data]
+      );
+    }
+  }
+
+  // Save AI Response (Standardized to message_text column)
+  const modelRecordId = await storage.records.insert({
+    ...turn,
+    role: "model",
+    text: reply,
+    modelUsed,
+    citations: citations.length ? JSON.stringify(citations) : null,
+    parentRecordId: promptRecordId
+  });
+  await storage.sessions.setActiveLeaf(activeSessionId, modelRecordId);
+
+  // Turns that just slid out of the window get folded into the running summary
+  foldOlderTurnsIntoSummary(activeSessionId);
+
+  // Signed-in users also build up long-term memory across sessions
+  if (rememberFacts) extractMemories(userId, activeSessionId, prompt, reply);
+
+  return { sessionId: activeSessionId, userRecordId: promptRecordId, modelRecordId };
+}
+
+/**
+ * @function normalizeChatImages
+ * @description Validates the optional `images` array on /api/chat
+ * ([{ mime_type, data: base64 }]). Returns `{ images }` or `{ error }`.
+ */
+const normalizeChatImages = (images) => {
+  if (!images) return { images: [] };
+  if (!Array.isArray(images)) return { error: "images must be an array." };
+  if (images.length > CONFIG.IMAGE_MAX_PER_MESSAGE) {
+    return { error: `At most ${CONFIG.IMAGE_MAX_PER_MESSAGE} images per message.` };
+  }
+
+  const normalized = [];
+  for (const image of images) {
+    if (!image || typeof image.data !== "string" || !CONFIG.IMAGE_MIME_TYPES.includes(image.mime_type)) {
+      return { error: `Images must be one of: ${CONFIG.IMAGE_MIME_TYPES.join(", ")}.` };
+    }
+    // Accept full data: URLs from the browser as well as bare base64
+    const data = image.data.replace(/^data:[^;]+;base64,/, "");
+    if (Buffer.byteLength(data, "base64") > CONFIG.IMAGE_MAX_BYTES) {
+      return { error: `Each image must be under ${CONFIG.IMAGE_MAX_BYTES / (1024 * 1024)}MB.` };
+    }
+    normalized.push({ mime_type: image.mime_type, data });
+  }
+  return { images: normalized };
+};
+
+/**
+ * @function resolveBranchPoint
+ * @description Turns `edit_record_id` / `regenerate_record_id` into where the
+ * new branch starts. Editing a prompt adds a sibling user record under the same
+ * parent; regenerating re-answers the existing prompt (text and images) with a
+ * sibling model record. Returns `{ status, message }` when the target is invalid.
+ */
+async function resolveBranchPoint(sessionId, { editRecordId, regenerateRecordId }) {
+  const targetId = editRecordId || regenerateRecordId;
+  const expectedRole = editRecordId ? "user" : "model";
+
+  const target = await storage.records.findInSession(targetId, sessionId);
+  if (!target) return { status: 404, message: "Message not found in this session." };
+  if (target.role !== expectedRole) {
+    return { status: 400, message: editRecordId ? "Only your own prompts can be edited." : "Only AI replies can be regenerated." };
+  }
+
+  // Branching above the running summary means it describes the old branch: rebuild it
+  await storage.sessions.clearContextSummary(sessionId, { reaching: target.timestamp });
+
+  if (editRecordId) return { parentRecordId: target.parent_record_id || null };
+
+  const promptRecord = await storage.records.findById(target.parent_record_id);
+  const imageRes = await pool.query(
+    "SELECT mime_type, data FROM chat_record_images WHERE record_id = $1 ORDER BY image_id ASC",
+    [target.parent_record_id]
+  );
+  if (!promptRecord) return { status: 404, message: "The prompt for this reply no longer exists." };
+
+  return {
+    parentRecordId: promptRecord.parent_record_id || null,
+    userRecordId: promptRecord.record_id,
+    prompt: promptRecord.message_text,
+    images: imageRes.rows
+  };
+}
+
+/**
+ * @middleware trackGeneration
+ * @description Counts the chat as in-flight until its response closes, so a
+ * shutdown drains it. `req.generation.signal` aborts when the grace period runs out.
+ */
+const trackGeneration = (req, res, next) => {
+  req.generation = beginWork("chat");
+  res.on("close", req.generation.done);
+  next();
+};
+
+app.post("/api/chat", authenticateToken, enforceChatQuota, trackGeneration, async (req, res) => {
+  const requestStartedAt = Date.now();
+  let { prompt, mode, session_id, user_name, stream, model, edit_record_id, regenerate_record_id } = req.body;
   let user = req.user;
+
+  let { images, error: imageError } = normalizeChatImages(req.body.images);
+  if (imageError) return formatErrorResponse(res, 400, imageError);
+  if ((edit_record_id || regenerate_record_id) && !session_id) {
+    return formatErrorResponse(res, 400, "Editing or regenerating requires a session_id.");
+  }
   
   // 1. Resolve Identity and Context Memory
-  let currentUserId = user ? user.id : await getOrCreateGuestUser();
-  let chatContext = "";
+  let currentUserId = user.id;
+  let memory = { summary: null, recentTurns: [], leafId: null };
+  let branch = {};
+
+  let documentExcerpts = [];
+
+  if (session_id) {
+    // Ownership check: the session's history and attachments go into the prompt
+    try {
+      const owner = await storage.sessions.findById(session_id);
+      if (!owner) return formatErrorResponse(res, 404, "Session not found.");
+      if (String(owner.user_id) !== String(currentUserId)) {
+        return formatErrorResponse(res, 403, "Access Denied: Session ownership mismatch.");
+      }
+    } catch (err) {
+      return formatErrorResponse(res, 500, "Session lookup failure.", err);
+    }
+
+    // Edits and regenerations branch off an earlier turn instead of the active leaf
+    if (edit_record_id || regenerate_record_id) {
+      try {
+        branch = await resolveBranchPoint(session_id, { editRecordId: edit_record_id, regenerateRecordId: regenerate_record_id });
+      } catch (err) {
+        return formatErrorResponse(res, 500, "Branch lookup failure.", err);
+      }
+      if (branch.status) return formatErrorResponse(res, branch.status, branch.message);
+      if (branch.userRecordId) {
+        prompt = branch.prompt;
+        images = branch.images;
+      }
+    }
+
+    try {
+      memory = await loadSessionMemory(session_id, { leafId: branch.parentRecordId });
+    } catch (err) {
+      sysLogger("ERROR", "Memory retrieval failure.", err.message);
+    }
+
+    try {
+      documentExcerpts = await recallDocumentChunks(session_id, prompt);
+    } catch (err) {
+      sysLogger("ERROR", "Document retrieval failure.", err.message);
+    }
+  }
+
+  if (images.length && !resolveTierOrder(model).some((tier) => tier.vision)) {
+    return formatErrorResponse(res, 400, "No configured model can read images.");
+  }
+  const turnAnchor = { parentRecordId: memory.leafId, userRecordId: branch.userRecordId || null };
+
+  // 2. Resolve the persona: built-in key or a custom persona from CockroachDB
+  let persona;
+  try {
+    persona = await resolvePersona(mode, user.id);
+  } catch (err) {
+    return formatErrorResponse(res, 500, "Persona lookup failure.", err);
+  }
+  if (!persona) {
+    sysLogger("WARN", `Unknown persona requested: ${mode}`);
+    return formatErrorResponse(res, 400, `Unknown persona: ${mode}`);
+  }
+  mode = persona.key; // Stored on chat_records, so always the resolved key
+
+  // 3. Recall long-term facts about account holders (guest identities are short-lived, so never)
+  let longTermFacts = [];
+  if (!user.guest) {
+    try {
+      longTermFacts = await recallMemories(user.id, prompt);
+    } catch (err) {
+      sysLogger("ERROR", "Long-term memory recall failure.", err.message);
+    }
+  }
+
+  // 4. Build the Multi-Part Prompt for the AI Engines (sized per tier's context budget)
+  const systemInstruction = getSystemPrompt(persona, user_name);
+  const fullAiPrompt = createContextPrompt({
+    systemInstruction,
+    facts: longTermFacts,
+    documents: documentExcerpts,
+    summary: memory.summary,
+    recentTurns: memory.recentTurns,
+    userName: user_name,
+    prompt
+  });
+
+  if (stream) {
+    return relayChatStream(req, res, {
+      fullAiPrompt, prompt, mode, session_id, user_name, currentUserId, model, params: persona.params,
+      documentExcerpts, images, turnAnchor, isSignedIn: !user.guest, requestStartedAt
+    });
+  }
+
+  // ----------------------------------------------------------------------
+  // ☁️ 11. THE WATERFALL: Local nodes first, then the Gemini cascade
+  // ----------------------------------------------------------------------
+  const waterfall = await runWaterfall(fullAiPrompt, {
+    tiers: resolveTierOrder(model),
+    params: persona.params,
+    signal: req.generation.signal,
+    images
+  });
+  const { text: fullReplyText, tier: answeringTier } = waterfall;
+  const modelUsed = answeringTier ? answeringTier.label : "none";
+  const telemetry = { req, userId: currentUserId, sessionId: session_id, fullAiPrompt, waterfall, startedAt: requestStartedAt, streamed: false };
+  const citations = citeDocumentChunks(fullReplyText, documentExcerpts);
+
+  // ----------------------------------------------------------------------
+  // 💾 12. DATA PERSISTENCE & FINAL DISPATCH (FIXES EMPTY BUBBLES)
+  // ----------------------------------------------------------------------
+  if (fullReplyText) {
+    try {
+      const saved = await persistChatTurn({
+        sessionId: session_id,
+        userId: currentUserId,
+        userName: user_name,
+        prompt,
+        reply: fullReplyText,
+        mode,
+        modelUsed,
+        citations,
+        images,
+        ...turnAnchor,
+        rememberFacts: !user.guest
+      });
+      recordChatTelemetry({ ...telemetry, sessionId: saved.sessionId, modelRecordId: saved.modelRecordId });
+
+      // Final response dispatch to the React frontend
+      res.status(200).json({ 
+        status: "success", 
+        content: fullReplyText, 
+        session_id: saved.sessionId, 
+        model_info: modelUsed,
+        citations,
+        user_record_id: saved.userRecordId,
+        model_record_id: saved.modelRecordId
+      });
+
+    } catch (dbErr) {
+      recordChatTelemetry(telemetry);
+      sysLogger("ERROR", "Data Persistence Failure in Kanpur Cluster.", dbErr.message);
+      return formatErrorResponse(res, 500, "Database Write Error: Could not save chat history.");
+    }
+  } else {
+    // If all tiers (Local + Cloud) failed to produce a response
+    if (req.generation.signal.aborted) {
+      recordChatTelemetry({ ...telemetry, aborted: true });
+      return formatErrorResponse(res, 503, "Server restarting: the reply was interrupted. Please resend.");
+    }
+    recordChatTelemetry(telemetry);
+    return formatErrorResponse(res, 500, "System Exhaustion: All AI engines are currently unavailable.");
+  }
+}); // <--- THIS FINALLY CLOSES THE app.post("/api/chat") ROUTE
+
+/**
+ * @function relayChatStream
+ * @description Streaming variant of /api/chat (request body `stream: true`).
+ * Writes newline-delimited JSON events to the browser:
+ *   { type: "model", model_info }          -> a tier started answering
+ *   { type: "fallback", model_info, from } -> previous tier died mid-answer, discard partial text
+ *   { type: "chunk", text }                -> next slice of the reply
+ *   { type: "done", session_id, model_info, citations, user_record_id, model_record_id }
+ *   { type: "error", message }
+ * The reply is only written to chat_records once a tier finishes cleanly.
+ */
+async function relayChatStream(req, res, { fullAiPrompt, prompt, mode, session_id, user_name, currentUserId, model, params, documentExcerpts, images, turnAnchor, isSignedIn, requestStartedAt }) {
+  res.status(200);
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("X-Accel-Buffering", "no"); // Stops Render's proxy from buffering chunks
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    if (!res.writableEnded) res.write(`${JSON.stringify(event)}\n`);
+  };
+
+  // Stop burning tokens if the browser tab is closed mid-reply (or a shutdown outlasts its grace period)
+  const clientGone = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) clientGone.abort();
+  });
+  const serverStopping = req.generation.signal;
+  serverStopping.addEventListener("abort", () => clientGone.abort(), { once: true });
+
+  // Announce each tier the first time it produces output. A second tier
+  // producing output means the previous one died mid-answer.
+  let announcedTier = null;
+  const onToken = (text, tier) => {
+    if (tier !== announcedTier) {
+      sendEvent(announcedTier
+        ? { type: "fallback", model_info: tier.label, from: announcedTier.label }
+        : { type: "model", model_info: tier.label });
+      announcedTier = tier;
+    }
+    sendEvent({ type: "chunk", text });
+  };
+
+  const waterfall = await runWaterfall(fullAiPrompt, {
+    stream: true,
+    onToken,
+    signal: clientGone.signal,
+    tiers: resolveTierOrder(model),
+    params,
+    images,
+    purpose: "Stream"
+  });
+  const { text: fullReplyText, tier: answeringTier } = waterfall;
+  const modelUsed = answeringTier ? answeringTier.label : "none";
+  const telemetry = { req, userId: currentUserId, sessionId: session_id, fullAiPrompt, waterfall, startedAt: requestStartedAt, streamed: true };
+
+  if (clientGone.signal.aborted) {
+    // Tokens were spent even though the tab closed, so it still counts
+    recordChatTelemetry({ ...telemetry, aborted: true });
+    if (serverStopping.aborted && !res.writableEnded) {
+      sendEvent({ type: "error", message: "Server restarting: the reply was interrupted. Please resend." });
+      return res.end();
+    }
+    sysLogger("WARN", "Stream: Client disconnected before the reply completed.");
+    return;
+  }
+
+  if (!fullReplyText) {
+    recordChatTelemetry(telemetry);
+    sendEvent({ type: "error", message: "System Exhaustion: All AI engines are currently unavailable." });
+    return res.end();
+  }
+
+  const citations = citeDocumentChunks(fullReplyText, documentExcerpts);
+  try {
+    const saved = await persistChatTurn({
+      sessionId: session_id,
+      userId: currentUserId,
+      userName: user_name,
+      prompt,
+      reply: fullReplyText,
+      mode,
+      modelUsed,
+      citations,
+      images,
+      ...turnAnchor,
+      rememberFacts: isSignedIn
+    });
+    recordChatTelemetry({ ...telemetry, sessionId: saved.sessionId, modelRecordId: saved.modelRecordId });
+    sendEvent({
+      type: "done",
+      session_id: saved.sessionId,
+      model_info: modelUsed,
+      citations,
+      user_record_id: saved.userRecordId,
+      model_record_id: saved.modelRecordId
+    });
+  } catch (dbErr) {
+    recordChatTelemetry(telemetry);
+    sysLogger("ERROR", "Data Persistence Failure in Kanpur Cluster.", dbErr.message);
+    sendEvent({ type: "error", message: "Database Write Error: Could not save chat history." });
+  }
+  res.end();
+}
+
+/* ======================================================================
+ * 📂 13. SESSION REPOSITORY & HISTORY CRUD
+ * ====================================================================== */
+
+/**
+ * @route GET /api/sessions
+ * @desc Retrieves all chat headers for the authenticated user.
+ */
+app.get("/api/sessions", authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json(await storage.sessions.listForUser(req.user.id));
+  } catch (err) {
+    formatErrorResponse(res, 500, "Repository Fetch Failure.", err);
+  }
+});
+
+/**
+ * @function buildHistoryPayload
+ * @description The active branch of a session as chat bubbles. Each record
+ * carries `branch: { index, count, siblings }` so the feed can flip between
+ * alternative prompts/replies (1/3, 2/3...).
+ */
+async function buildHistoryPayload(sessionId) {
+  const tree = await loadSessionTree(sessionId);
+  const path = walkActivePath(tree, tree.leafId);
+
+  // Re-attach pasted/uploaded images to the user messages they were sent with
+  const imageRes = await pool.query(
+    `SELECT i.record_id, i.mime_type, i.data FROM chat_record_images i
+     JOIN chat_records r ON r.record_id = i.record_id
+     WHERE r.session_id = $1 ORDER BY i.image_id ASC`,
+    [sessionId]
+  );
+  const imagesByRecord = new Map();
+  for (const image of imageRes.rows) {
+    const list = imagesByRecord.get(String(image.record_id)) || [];
+    list.push({ mime_type: image.mime_type, data: image.data });
+    imagesByRecord.set(String(image.record_id), list);
+  }
+
+  // CRITICAL FIX: Mapping message_text to 'text' for frontend bubble rendering
+  return path.map((record) => {
+    const siblings = tree.children.get(record.parent_record_id ? String(record.parent_record_id) : "root")
+      .filter((sibling) => sibling.role === record.role)
+      .map((sibling) => sibling.record_id);
+
+    return {
+      record_id: record.record_id,
+      parent_record_id: record.parent_record_id,
+      role: record.role,
+      text: record.message_text,
+      model_used: record.model_used,
+      citations: record.citations,
+      timestamp: record.timestamp,
+      branch: {
+        index: siblings.findIndex((id) => String(id) === String(record.record_id)),
+        count: siblings.length,
+        siblings
+      },
+      ...(imagesByRecord.has(String(record.record_id)) && { images: imagesByRecord.get(String(record.record_id)) })
+    };
+  });
+}
+
+/**
+ * @route GET /api/chat/:id
+ * @desc Syncs history (active branch only). Uses ALIAS 'text' to match React state keys.
+ */
+app.get("/api/chat/:id", authenticateToken, async (req, res) => {
+  const sessionId = req.params.id;
+  try {
+    // Ownership check: Ensure Avneesh or the Guest owns this session
+    const check = await storage.sessions.findById(sessionId);
+    if (!check || check.user_id !== req.user.id) {
+      return formatErrorResponse(res, 403, "Access Denied: Session ownership mismatch.");
+    }
+
+    res.status(200).json(await buildHistoryPayload(sessionId));
+  } catch (err) {
+    formatErrorResponse(res, 500, "History Sync Failure.", err);
+  }
+});
+
+/**
+ * @route PUT /api/sessions/:id/branch
+ * @desc Switches the visible branch to `record_id` (one of the alternatives of
+ * a message), landing on that branch's newest turn. Returns the new history.
+ */
+app.put("/api/sessions/:id/branch", authenticateToken, async (req, res) => {
+  const sessionId = req.params.id;
+  try {
+    const check = await storage.sessions.findById(sessionId);
+    if (!check || check.user_id !== req.user.id) {
+      return formatErrorResponse(res, 403, "Access Denied: Session ownership mismatch.");
+    }
+
+    const tree = await loadSessionTree(sessionId);
+    if (!tree.byId.has(String(req.body.record_id))) {
+      return formatErrorResponse(res, 404, "Message not found in this session.");
+    }
+
+    const leafId = newestDescendant(tree, req.body.record_id);
+    await storage.sessions.setActiveLeaf(sessionId, leafId);
+
+    // A summary that reaches past the fork point describes the branch we just left
+    const forkPoint = tree.byId.get(String(tree.byId.get(String(req.body.record_id)).parent_record_id));
+    if (tree.summaryThrough && (!forkPoint || tree.summaryThrough > forkPoint.timestamp)) {
+      await storage.sessions.clearContextSummary(sessionId);
+    }
+    res.status(200).json(await buildHistoryPayload(sessionId));
+  } catch (err) {
+    formatErrorResponse(res, 500, "Branch Switch Failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/sessions/:id
+ * @desc Permanently purges a session from the cluster.
+ */
+app.delete("/api/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    await storage.sessions.delete(req.params.id, req.user.id);
+    res.json({ status: "success", message: "Session successfully purged from cluster." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Purge Operation Failed.", err);
+  }
+});
+
+/**
+ * @route PUT /api/sessions/:id
+ * @desc Updates the title of a specific session in CockroachDB
+ */
+/**
+ * @route PUT /api/sessions/:id
+ * @desc Updates session title in the Kanpur Nagar Cluster
+ */
+app.put("/api/sessions/:id", authenticateToken, async (req, res) => {
+  const { session_name } = req.body;
+  const sessionId = req.params.id;
+
+  try {
+    // Verify ownership before updating to secure Avneesh's data
+    const renamed = await storage.sessions.rename(sessionId, req.user.id, session_name);
+
+    if (!renamed) {
+      return formatErrorResponse(res, 404, "Session not found or access denied.");
+    }
+
+    sysLogger("SUCCESS", `Session ${sessionId} renamed.`, { session_name });
+    res.json({ status: "success", message: "Title updated." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Database Rename Error.", err);
+  }
+});
+
+/**
+ * @function parseSearchTerms
+ * @description Splits a search query into lowercase terms; "quoted phrases" stay whole.
+ */
+const parseSearchTerms = (q) =>
+  [...(q || "").matchAll(/"([^"]+)"|(\S+)/g)]
+    .map((m) => (m[1] || m[2]).trim().toLowerCase())
+    .filter((term) => term.length >= 2)
+    .slice(0, CONFIG.SEARCH_MAX_TERMS);
+
+// ILIKE treats % and _ as wildcards; searching for them literally needs escaping
+const toLikePattern = (term) => `%${term.replace(/[\\%_]/g, "\\$&")}%`;
+
+/**
+ * @function buildSearchSnippet
+ * @description A window of `text` around the first hit, plus `[start, end)`
+ * ranges of every term inside it so the client can <mark> them safely.
+ */
+const buildSearchSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const firstHit = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0));
+  const start = Number.isFinite(firstHit) ? Math.max(0, firstHit - CONFIG.SEARCH_SNIPPET_LEAD) : 0;
+  const end = Math.min(text.length, start + CONFIG.SEARCH_SNIPPET_CHARS);
+
+  const prefix = start > 0 ? "…" : "";
+  const snippet = `${prefix}${text.substring(start, end)}${end < text.length ? "…" : ""}`;
+
+  const window = lower.substring(start, end);
+  const highlights = [];
+  for (const term of terms) {
+    let at = window.indexOf(term);
+    while (at >= 0) {
+      highlights.push([at + prefix.length, at + prefix.length + term.length]);
+      at = window.indexOf(term, at + term.length);
+    }
+  }
+  // Overlapping terms ("dock", "docker") collapse into one range
+  const merged = [];
+  for (const range of highlights.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push(range);
+  }
+  return { snippet, highlights: merged };
+};
+
+/**
+ * @route GET /api/search
+ * @desc Searches the caller's messages and session titles. Every term must
+ * match. Query: q (required), mode, model, role, from, to (ISO dates; a bare
+ * `to` date includes that whole day), limit, offset. Messages from inactive
+ * branches are included too.
+ */
+app.get("/api/search", authenticateToken, async (req, res) => {
+  const { q, mode, model, role, from, to } = req.query;
+  // A repeated parameter (?q=a&q=b) arrives as an array
+  if ([q, mode, model, role, from, to].some((value) => value !== undefined && typeof value !== "string")) {
+    return formatErrorResponse(res, 400, "Each search parameter may be given only once.");
+  }
+  const terms = parseSearchTerms(q);
+  if (terms.length === 0) return formatErrorResponse(res, 400, "Search needs at least one term of 2+ characters.");
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || CONFIG.SEARCH_PAGE_SIZE, 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  const fromDate = from ? new Date(from) : null;
+  let toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return formatErrorResponse(res, 400, "from/to must be ISO dates.");
+  }
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+
+  const params = [req.user.id];
+  const where = ["s.user_id = $1"];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  for (const term of terms) where.push(`r.message_text ILIKE ${addParam(toLikePattern(term))}`);
+  if (mode) where.push(`r.mode = ${addParam(mode)}`);
+  if (model) where.push(`r.model_used = ${addParam(model)}`);
+  if (role) where.push(`r.role = ${addParam(role)}`);
+  if (fromDate) where.push(`r.timestamp >= ${addParam(fromDate)}`);
+  if (toDate) where.push(`r.timestamp < ${addParam(toDate)}`);
+
+  try {
+    const messageRes = await pool.query(
+      `SELECT r.record_id, r.session_id, s.session_name, r.role, r.mode, r.model_used, r.message_text, r.timestamp
+       FROM chat_records r
+       JOIN chat_sessions s ON s.session_id = r.session_id
+       WHERE ${where.join(" AND ")}
+       ORDER BY r.timestamp DESC
+       LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}`,
+      params
+    );
+
+    // Title matches only make sense when no message-level filter is set
+    let sessions = [];
+    if (!mode && !model && !role && offset === 0) {
+      const titleParams = [req.user.id, ...terms.map(toLikePattern)];
+      const titleWhere = terms.map((_, i) => `session_name ILIKE $${i + 2}`);
+      if (fromDate) titleWhere.push(`created_at >= $${titleParams.push(fromDate)}`);
+      if (toDate) titleWhere.push(`created_at < $${titleParams.push(toDate)}`);
+      const titleRes = await pool.query(
+        `SELECT session_id, session_name, created_at FROM chat_sessions
+         WHERE user_id = $1 AND ${titleWhere.join(" AND ")}
+         ORDER BY created_at DESC LIMIT 20`,
+        titleParams
+      );
+      sessions = titleRes.rows.map((session) => ({ ...session, ...buildSearchSnippet(session.session_name, terms) }));
+    }
+
+    res.status(200).json({
+      query: terms,
+      sessions,
+      messages: messageRes.rows.map(({ message_text, ...row }) => ({ ...row, ...buildSearchSnippet(message_text, terms) })),
+      has_more: messageRes.rows.length === limit
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Search Failure.", err);
+  }
+});
+
+/* ======================================================================
+ * 🩺 14. AI TIER DIAGNOSTICS
+ * ====================================================================== */
+
+/**
+ * @function checkProviderHealth
+ * @description Cached health probe per adapter instance (tiers often share one).
+ */
+const providerHealthCache = new Map();
+const checkProviderHealth = async (adapter) => {
+  const cached = providerHealthCache.get(adapter);
+  if (cached && Date.now() - cached.checkedAt < CONFIG.HEALTH_CACHE_TTL) return cached.result;
+
+  const result = await adapter.health({ timeoutMs: 5000 });
+  providerHealthCache.set(adapter, { result, checkedAt: Date.now() });
+  return result;
+};
+
+/**
+ * @function listLocalOllamaModels
+ * @description Everything the local Ollama node has pulled (via /api/tags).
+ * The last good answer is kept so pinning still validates while the node naps.
+ */
+let knownLocalModels = [];
+const listLocalOllamaModels = async () => {
+  const ollamaTier = AI_CHAIN.find((tier) => tier.provider === "ollama");
+  if (!ollamaTier) return [];
+
+  try {
+    knownLocalModels = await ollamaTier.adapter.listModels({ timeoutMs: 5000 });
+  } catch (err) {
+    sysLogger("WARN", "Model Catalog: Local Ollama node did not answer /api/tags.", err.message);
+  }
+  return knownLocalModels;
+};
+
+// Pulled Ollama models have no `vision` flag in AI_WATERFALL, so guess from the name
+const VISION_MODEL_PATTERN = /llava|vision|moondream|minicpm-v|gemma3|qwen2\.5vl/i;
+
+/**
+ * @function resolveTierOrder
+ * @description Applies a user's model pin. "auto" (or anything unknown) keeps
+ * the configured waterfall; a known tier id or pulled Ollama model goes first
+ * and the rest of the chain stays behind it as fallback.
+ */
+const resolveTierOrder = (preferredModel) => {
+  if (!preferredModel || preferredModel === "auto") return AI_CHAIN;
+
+  let pinned = AI_CHAIN.find((tier) => tier.id === preferredModel);
+
+  // A pulled-but-unconfigured Ollama model rides on the local tier's adapter and breaker
+  if (!pinned && knownLocalModels.some((m) => m.id === preferredModel)) {
+    const ollamaTier = AI_CHAIN.find((tier) => tier.provider === "ollama");
+    if (ollamaTier) {
+      pinned = { ...ollamaTier, id: preferredModel, label: `Ollama (${preferredModel})`, vision: VISION_MODEL_PATTERN.test(preferredModel) };
+    }
+  }
+
+  if (!pinned) return AI_CHAIN;
+  return [pinned, ...AI_CHAIN.filter((tier) => tier.id !== pinned.id)];
+};
+
+/**
+ * @route GET /api/models
+ * @desc Model catalog for the header picker: pulled local models plus every
+ * waterfall tier with live availability and recent latency.
+ */
+app.get("/api/models", async (req, res) => {
+  try {
+    const [localModels, tiers] = await Promise.all([
+      listLocalOllamaModels(),
+      Promise.all(AI_CHAIN.map(async (tier) => {
+        const health = await checkProviderHealth(tier.adapter);
+        const breaker = tier.breaker.snapshot();
+        const latencies = tier.latencies || [];
+
+        return {
+          id: tier.id,
+          label: tier.label,
+          provider: tier.provider,
+          priority: tier.priority,
+          local: Boolean(tier.local),
+          vision: Boolean(tier.vision),
+          context_tokens: tier.contextTokens || CONFIG.DEFAULT_CONTEXT_TOKENS,
+          available: health.ok && breaker.state !== "open",
+          health: health.detail,
+          breaker: breaker.state,
+          latency_ms: {
+            last: latencies.length ? latencies[latencies.length - 1] : null,
+            avg: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            samples: latencies.length
+          }
+        };
+      }))
+    ]);
+
+    res.status(200).json({ local_models: localModels, tiers });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Model Catalog Failure.", err);
+  }
+});
+
+/**
+ * @route GET /api/breakers
+ * @desc Live circuit-breaker state for every tier in the waterfall.
+ */
+app.get("/api/breakers", (req, res) => {
+  res.status(200).json(AI_CHAIN.map((tier) => ({
+    id: tier.id,
+    label: tier.label,
+    provider: tier.provider,
+    priority: tier.priority,
+    ...tier.breaker.snapshot()
+  })));
+});
+
+/* ======================================================================
+ * 🧠 15. LONG-TERM USER MEMORY (LOCAL EMBEDDING RETRIEVAL)
+ * ====================================================================== */
+
+/**
+ * @function embedTexts
+ * @description Embeds texts with the local embedding model. Returns null when
+ * no local node is configured or it is offline, so callers can degrade gracefully.
+ */
+const embedTexts = async (texts) => {
+  const tier = AI_CHAIN.find((t) => t.provider === CONFIG.EMBEDDING_PROVIDER && t.adapter.embed);
+  if (!tier || texts.length === 0) return null;
+
+  try {
+    return await tier.adapter.embed(texts, { model: CONFIG.EMBEDDING_MODEL, timeoutMs: CONFIG.EMBEDDING_TIMEOUT });
+  } catch (err) {
+    sysLogger("WARN", "Embeddings: Local model unavailable, using keyword recall.", err.message);
+    return null;
+  }
+};
+
+/**
+ * @function scoreRelevance
+ * @description Cosine similarity when both sides are embedded, otherwise
+ * word-overlap (Jaccard) so retrieval stays usable while Ollama is offline.
+ */
+const scoreRelevance = (queryText, queryVector, text, vector) => {
+  if (queryVector && Array.isArray(vector) && vector.length === queryVector.length) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += vector[i] * queryVector[i];
+      normA += queryVector[i] * queryVector[i];
+      normB += vector[i] * vector[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  const words = (text) => new Set(text.toLowerCase().match(/[a-z0-9]{3,}/g) || []);
+  const a = words(queryText);
+  const b = words(text);
+  const shared = [...a].filter((w) => b.has(w)).length;
+  return shared / (a.size + b.size - shared || 1);
+};
+
+/**
+ * @function recallMemories
+ * @description Top MEMORY_TOP_K facts about the user relevant to `queryText`.
+ */
+const recallMemories = async (userId, queryText) => {
+  const result = await pool.query(
+    "SELECT memory_id, fact, embedding FROM user_memories WHERE user_id = $1",
+    [userId]
+  );
+  if (result.rows.length === 0) return [];
+
+  const [queryVector] = (await embedTexts([queryText])) || [];
+  return result.rows
+    .map((memory) => ({ fact: memory.fact, score: scoreRelevance(queryText, queryVector, memory.fact, memory.embedding) }))
+    .filter((m) => m.score >= (queryVector ? CONFIG.MEMORY_MIN_SCORE : CONFIG.MEMORY_MIN_KEYWORD_SCORE))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CONFIG.MEMORY_TOP_K)
+    .map((m) => m.fact);
+};
+
+/**
+ * @function storeMemory
+ * @description Embeds and stores one fact. Near-duplicates of an existing
+ * memory are skipped. Returns the new memory_id, or null if skipped.
+ */
+const storeMemory = async (userId, fact, { source = "explicit", sessionId = null } = {}) => {
+  const [vector] = (await embedTexts([fact])) || [];
+
+  const existing = await pool.query("SELECT fact, embedding FROM user_memories WHERE user_id = $1", [userId]);
+  if (existing.rows.length >= CONFIG.MEMORY_MAX_PER_USER) return null;
+  const isDuplicate = existing.rows.some((memory) =>
+    memory.fact.toLowerCase() === fact.toLowerCase() || scoreRelevance(fact, vector, memory.fact, memory.embedding) >= CONFIG.MEMORY_DUPLICATE_SCORE
+  );
+  if (isDuplicate) return null;
+
+  const result = await pool.query(
+    `INSERT INTO user_memories (user_id, fact, embedding, source, session_id)
+     VALUES ($1, $2, $3, $4, $5) RETURNING memory_id`,
+    [userId, fact, vector ? JSON.stringify(vector) : null, source, sessionId]
+  );
+  return result.rows[0].memory_id;
+};
+
+/**
+ * @function extractMemories
+ * @description Background pass after each signed-in turn: asks the waterfall
+ * for durable facts about the user and stores the new ones.
+ */
+async function extractMemories(userId, sessionId, prompt, reply) {
+  if (!CONFIG.MEMORY_EXTRACTION) return;
+
+  const work = beginWork("memory");
+  try {
+    const extractionPrompt = `Extract durable facts about the USER (name, preferences, projects, goals, background) from this exchange.
+User: ${prompt.substring(0, 2000)}
+Assistant: ${reply.substring(0, 1000)}
+Reply with a JSON array of short third-person sentences, e.g. ["Prefers Python over Java"]. Reply [] if there is nothing worth remembering.`;
+
+    const { text } = await runWaterfall(extractionPrompt, {
+      timeoutMs: CONFIG.SUMMARY_TIMEOUT,
+      signal: work.signal,
+      purpose: `Memory Extractor (${sessionId})`
+    });
+    const match = text.match(/\[[\s\S]*\]/);
+    if (!match) return;
+
+    const facts = JSON.parse(match[0])
+      .filter((fact) => typeof fact === "string" && fact.trim())
+      .map((fact) => fact.trim().substring(0, 300));
+
+    let stored = 0;
+    for (const fact of facts) {
+      if (await storeMemory(userId, fact, { source: "extracted", sessionId })) stored += 1;
+    }
+    if (stored) sysLogger("SUCCESS", `Memory: ${stored} new fact(s) remembered for user ${userId}.`);
+  } catch (err) {
+    sysLogger("ERROR", "Memory extraction failure.", err.message);
+  } finally {
+    work.done();
+  }
+}
+
+/**
+ * @route GET /api/memories
+ * @desc Lists everything the bot remembers about the caller.
+ */
+app.get("/api/memories", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "SELECT memory_id, fact, source, session_id, created_at, updated_at FROM user_memories WHERE user_id = $1 ORDER BY created_at DESC",
+      [req.user.id]
+    );
+    res.status(200).json(result.rows);
+  } catch (err) {
+    formatErrorResponse(res, 500, "Memory Fetch Failure.", err);
+  }
+});
+
+/**
+ * @route POST /api/memories
+ * @desc Explicitly teaches the bot a fact.
+ */
+app.post("/api/memories", authenticateToken, async (req, res) => {
+  if (typeof req.body.fact !== "string") return formatErrorResponse(res, 400, "Memory must be 1-300 characters.");
+  const fact = req.body.fact.trim();
+  if (!fact || fact.length > 300) return formatErrorResponse(res, 400, "Memory must be 1-300 characters.");
+
+  try {
+    const memoryId = await storeMemory(req.user.id, fact);
+    if (!memoryId) return formatErrorResponse(res, 409, "Already remembered (or memory is full).");
+    res.status(201).json({ status: "success", memory_id: memoryId });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Memory Write Failure.", err);
+  }
+});
+
+/**
+ * @route PUT /api/memories/:id
+ * @desc Edits a fact and re-embeds it.
+ */
+app.put("/api/memories/:id", authenticateToken, async (req, res) => {
+  if (typeof req.body.fact !== "string") return formatErrorResponse(res, 400, "Memory must be 1-300 characters.");
+  const fact = req.body.fact.trim();
+  if (!fact || fact.length > 300) return formatErrorResponse(res, 400, "Memory must be 1-300 characters.");
+
+  try {
+    const [vector] = (await embedTexts([fact])) || [];
+    const result = await pool.query(
+      `UPDATE user_memories SET fact = $1, embedding = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE memory_id = $3 AND user_id = $4`,
+      [fact, vector ? JSON.stringify(vector) : null, req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) return formatErrorResponse(res, 404, "Memory not found or access denied.");
+    res.json({ status: "success", message: "Memory updated." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Memory Update Failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/memories/:id
+ * @desc Forgets a single fact.
+ */
+app.delete("/api/memories/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM user_memories WHERE memory_id = $1 AND user_id = $2", [req.params.id, req.user.id]);
+    if (result.rowCount === 0) return formatErrorResponse(res, 404, "Memory not found or access denied.");
+    res.json({ status: "success", message: "Memory forgotten." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Memory Purge Failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/memories
+ * @desc Forgets everything about the caller.
+ */
+app.delete("/api/memories", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM user_memories WHERE user_id = $1", [req.user.id]);
+    res.json({ status: "success", message: `${result.rowCount} memories forgotten.` });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Memory Purge Failure.", err);
+  }
+});
+
+/* ======================================================================
+ * 📎 16. SESSION ATTACHMENTS (DOCUMENT RETRIEVAL & CITATIONS)
+ * ====================================================================== */
+
+/**
+ * @function recallDocumentChunks
+ * @description Top DOCUMENT_TOP_K chunks from the session's attachments for
+ * `queryText`, numbered [1]..[n] for the prompt. Every chunk is a candidate:
+ * the user attached these files to this conversation on purpose.
+ */
+const recallDocumentChunks = async (sessionId, queryText) => {
+  const result = await pool.query(
+    `SELECT c.attachment_id, c.chunk_index, c.section, c.content, c.embedding, a.filename
+     FROM attachment_chunks c
+     JOIN session_attachments a ON a.attachment_id = c.attachment_id
+     WHERE a.session_id = $1
+     ORDER BY a.created_at ASC, c.chunk_index ASC`,
+    [sessionId]
+  );
+  if (result.rows.length === 0) return [];
+
+  const [queryVector] = (await embedTexts([queryText])) || [];
+  return result.rows
+    .map((chunk, order) => ({ ...chunk, order, score: scoreRelevance(queryText, queryVector, chunk.content, chunk.embedding) }))
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, CONFIG.DOCUMENT_TOP_K)
+    .map((chunk, i) => ({
+      n: i + 1,
+      attachment_id: chunk.attachment_id,
+      filename: chunk.filename,
+      section: chunk.section,
+      content: chunk.content
+    }));
+};
+
+/**
+ * @function citeDocumentChunks
+ * @description Citations for a reply: the excerpts it referenced as [n], or
+ * every excerpt it was shown if the model did not cite explicitly.
+ */
+const citeDocumentChunks = (reply, excerpts) => {
+  if (!reply || excerpts.length === 0) return [];
+
+  const referenced = new Set([...reply.matchAll(/\[(\d+)\]/g)].map((m) => Number(m[1])));
+  const cited = excerpts.filter((doc) => referenced.has(doc.n));
+  return (cited.length ? cited : excerpts).map(({ n, attachment_id, filename, section }) => ({ n, attachment_id, filename, section }));
+};
+
+/**
+ * @function embedChunks
+ * @description Embeds chunk contents in EMBEDDING_BATCH-sized requests.
+ * Returns null for every chunk if the local model is unavailable.
+ */
+const embedChunks = async (chunks) => {
+  const vectors = [];
+  for (let i = 0; i < chunks.length; i += CONFIG.EMBEDDING_BATCH) {
+    const batch = await embedTexts(chunks.slice(i, i + CONFIG.EMBEDDING_BATCH).map((c) => c.content));
+    if (!batch) return chunks.map(() => null);
+    vectors.push(...batch);
+  }
+  return vectors;
+};
+
+/**
+ * @route POST /api/attachments
+ * @desc Uploads a document (base64 `data`) to a session, creating the session
+ * if `session_id` is omitted. The file is parsed, chunked and indexed.
+ */
+app.post("/api/attachments", authenticateToken, async (req, res) => {
+  const { session_id, filename, data } = req.body;
+  if (typeof filename !== "string" || !filename || typeof data !== "string") {
+    return formatErrorResponse(res, 400, "Attachment requires a filename and base64 data.");
+  }
+  const mimeType = String(req.body.mime_type ?? "");
+
+  const buffer = Buffer.from(data, "base64");
+  if (buffer.length === 0) return formatErrorResponse(res, 400, "Attachment is empty.");
+  if (buffer.length > CONFIG.ATTACHMENT_MAX_BYTES) {
+    return formatErrorResponse(res, 413, `Attachment exceeds ${CONFIG.ATTACHMENT_MAX_BYTES / (1024 * 1024)}MB.`);
+  }
+
+  let kind;
+  let chunks;
+  try {
+    kind = detectDocumentKind(filename, mimeType);
+    if (!kind) return formatErrorResponse(res, 415, `Unsupported file type: ${filename}`);
+
+    const parsed = await parseDocument({ filename, mimeType, buffer });
+    chunks = chunkSections(parsed.sections, {
+      maxChars: CONFIG.ATTACHMENT_CHUNK_CHARS,
+      overlap: CONFIG.ATTACHMENT_CHUNK_OVERLAP
+    });
+  } catch (err) {
+    sysLogger("WARN", `Attachments: Could not parse ${filename}.`, err.message);
+    return formatErrorResponse(res, 422, `Could not read ${filename}: ${err.message}`);
+  }
+  if (chunks.length === 0) return formatErrorResponse(res, 422, `No readable text found in ${filename}.`);
+  if (chunks.length > CONFIG.ATTACHMENT_MAX_CHUNKS) {
+    return formatErrorResponse(res, 413, `${filename} is too long (${chunks.length} chunks, max ${CONFIG.ATTACHMENT_MAX_CHUNKS}).`);
+  }
+
+  try {
+    let activeSessionId = session_id;
+    if (activeSessionId) {
+      const check = await storage.sessions.findById(activeSessionId);
+      if (!check || check.user_id !== req.user.id) {
+        return formatErrorResponse(res, 403, "Access Denied: Session ownership mismatch.");
+      }
+    } else {
+      activeSessionId = (await storage.sessions.create(req.user.id, filename.substring(0, 60))).session_id;
+    }
+
+    const vectors = await embedChunks(chunks);
+    const attachmentRes = await pool.query(
+      `INSERT INTO session_attachments (session_id, user_id, filename, mime_type, size_bytes, kind)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING attachment_id, created_at`,
+      [activeSessionId, req.user.id, filename, mimeType || null, buffer.length, kind]
+    );
+    const attachmentId = attachmentRes.rows[0].attachment_id;
+
+    for (let i = 0; i < chunks.length; i++) {
+      await pool.query(
+        `INSERT INTO attachment_chunks (attachment_id, chunk_index, section, content, embedding)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [attachmentId, i, chunks[i].section, chunks[i].content, vectors[i] ? JSON.stringify(vectors[i]) : null]
+      );
+    }
+
+    sysLogger("SUCCESS", `Attachments: ${filename} indexed into ${chunks.length} chunk(s) for session ${activeSessionId}.`);
+    res.status(201).json({
+      status: "success",
+      session_id: activeSessionId,
+      attachment: {
+        attachment_id: attachmentId,
+        filename,
+        mime_type: mimeType || null,
+        size_bytes: buffer.length,
+        kind,
+        chunk_count: chunks.length,
+        created_at: attachmentRes.rows[0].created_at
+      }
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Attachment Write Failure.", err);
+  }
+});
+
+/**
+ * @route GET /api/sessions/:id/attachments
+ * @desc Lists the documents attached to a session.
+ */
+app.get("/api/sessions/:id/attachments", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.attachment_id, a.filename, a.mime_type, a.size_bytes, a.kind, a.created_at,
+       (SELECT COUNT(*) FROM attachment_chunks c WHERE c.attachment_id = a.attachment_id) AS chunk_count
+       FROM session_attachments a
+       WHERE a.session_id = $1 AND a.user_id = $2
+       ORDER BY a.created_at ASC`,
+      [req.params.id, req.user.id]
+    );
+    res.status(200).json(result.rows);
+  } catch (err) {
+    formatErrorResponse(res, 500, "Attachment Fetch Failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/attachments/:id
+ * @desc Removes a document (and its chunks) from its session.
+ */
+app.delete("/api/attachments/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM session_attachments WHERE attachment_id = $1 AND user_id = $2",
+      [req.params.id, req.user.id]
+    );
+    if (result.rowCount === 0) return formatErrorResponse(res, 404, "Attachment not found or access denied.");
+    res.json({ status: "success", message: "Attachment removed." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Attachment Purge Failure.", err);
+  }
+});
+
+/* ======================================================================
+ * 📤 17. TRANSCRIPT EXPORT & IMPORT
+ * ====================================================================== */
+
+const EXPORT_FORMATS = {
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  pdf: { contentType: "application/pdf", extension: "pdf" }
+};
+
+/**
+ * @function loadSessionForExport
+ * @description `{ session, messages }` for the exporters, or null if the
+ * caller does not own the session. JSON keeps every branch; the readable
+ * formats only show the active one.
+ */
+async function loadSessionForExport(sessionId, userId, { allBranches = false } = {}) {
+  const session = await storage.sessions.findOwned(sessionId, userId);
+  if (!session) return null;
+
+  const tree = await loadSessionTree(sessionId);
+  const messages = allBranches ? [...tree.byId.values()] : walkActivePath(tree, tree.leafId);
+  return { session, messages };
+}
+
+/**
+ * @route GET /api/sessions/:id/export
+ * @desc Downloads one session. ?format=md (default) | json | html | pdf
+ */
+app.get("/api/sessions/:id/export", authenticateToken, async (req, res) => {
+  if (req.query.format !== undefined && typeof req.query.format !== "string") {
+    return formatErrorResponse(res, 400, "Give a single export format.");
+  }
+  const format = (req.query.format || "md").toLowerCase();
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return formatErrorResponse(res, 400, `Unknown export format: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(", ")}.`);
+  }
+
+  try {
+    const transcript = await loadSessionForExport(req.params.id, req.user.id, { allBranches: format === "json" });
+    if (!transcript) return formatErrorResponse(res, 404, "Session not found or access denied.");
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${exportFilename(transcript.session, extension)}"`);
+
+    if (format === "pdf") return writePdf(transcript, res);
+    if (format === "json") return res.status(200).send(JSON.stringify(toJson(transcript), null, 2));
+    res.status(200).send(format === "html" ? toHtml(transcript) : toMarkdown(transcript));
+  } catch (err) {
+    formatErrorResponse(res, 500, "Export Failure.", err);
+  }
+});
+
+/**
+ * @route GET /api/export
+ * @desc "Export all my data": a zip with the account profile, every session
+ * (JSON + Markdown), custom personas and long-term memories.
+ */
+app.get("/api/export", authenticateToken, async (req, res) => {
+  try {
+    const [account, sessions, personaRes, memoryRes] = await Promise.all([
+      storage.users.findById(req.user.id),
+      storage.sessions.listForUser(req.user.id, { oldestFirst: true }),
+      pool.query(
+        "SELECT name, emoji, system_instruction, generation_params, theme_color, is_shared, created_at FROM personas WHERE user_id = $1",
+        [req.user.id]
+      ),
+      pool.query("SELECT fact, source, created_at FROM user_memories WHERE user_id = $1 ORDER BY created_at ASC", [req.user.id])
+    ]);
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="avneesh-bot-export-${new Date().toISOString().substring(0, 10)}.zip"`);
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (err) => {
+      sysLogger("ERROR", "Bulk export archive failure.", err.message);
+      res.destroy(err);
+    });
+    archive.pipe(res);
+
+    const { id, username, email, created_at } = account;
+    archive.append(JSON.stringify({ id, username, email, created_at }, null, 2), { name: "account.json" });
+    archive.append(JSON.stringify(personaRes.rows, null, 2), { name: "personas.json" });
+    archive.append(JSON.stringify(memoryRes.rows, null, 2), { name: "memories.json" });
+
+    for (const { session_id } of sessions) {
+      const full = await loadSessionForExport(session_id, req.user.id, { allBranches: true });
+      const active = await loadSessionForExport(session_id, req.user.id);
+      archive.append(JSON.stringify(toJson(full), null, 2), { name: `sessions/${exportFilename(full.session, "json")}` });
+      archive.append(toMarkdown(active), { name: `sessions/${exportFilename(active.session, "md")}` });
+    }
+
+    await archive.finalize();
+    sysLogger("SUCCESS", `Bulk export: ${sessions.length} session(s) zipped for user ${req.user.id}.`);
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    formatErrorResponse(res, 500, "Bulk Export Failure.", err);
+  }
+});
+
+/**
+ * @function importSession
+ * @description Inserts one normalized session (see transcripts/import.js) in a
+ * transaction, remapping record ids so branches and the active leaf survive.
+ */
+async function importSession(userId, userName, imported) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const sessionRes = await client.query(
+      `INSERT INTO chat_sessions (user_id, session_name, is_summarized, created_at)
+       VALUES ($1, $2, TRUE, COALESCE($3, CURRENT_TIMESTAMP)) RETURNING session_id`,
+      [userId, imported.session_name.substring(0, 200), imported.created_at]
+    );
+    const sessionId = sessionRes.rows[0].session_id;
+
+    const newIds = new Map();
+    for (const message of imported.messages) {
+      const recordRes = await client.query(
+        `INSERT INTO chat_records (session_id, user_id, user_name, role, message_text, mode, model_used, citations, parent_record_id, timestamp)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, CURRENT_TIMESTAMP)) RETURNING record_id`,
+        [
+          sessionId, userId, userName, message.role, message.text, message.mode, message.model_used,
+          message.citations ? JSON.stringify(message.citations) : null,
+          message.parent_key ? newIds.get(message.parent_key) : null,
+          message.timestamp
+        ]
+      );
+      newIds.set(message.key, recordRes.rows[0].record_id);
+    }
+
+    const leafKey = newIds.has(imported.active_key) ? imported.active_key : imported.messages[imported.messages.length - 1].key;
+    await client.query("UPDATE chat_sessions SET active_leaf_id = $1 WHERE session_id = $2", [newIds.get(leafKey), sessionId]);
+    await client.query("COMMIT");
+    return { session_id: sessionId, session_name: imported.session_name, messages: imported.messages.length };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * @route POST /api/sessions/import
+ * @desc Recreates sessions from `{ data }`: our JSON export (single, array or
+ * bulk) or ChatGPT's conversations.json.
+ */
+app.post("/api/sessions/import", authenticateToken, async (req, res) => {
+  let sessions;
+  try {
+    sessions = normalizeImport(req.body.data);
+  } catch (err) {
+    return formatErrorResponse(res, 422, err.message);
+  }
+
+  if (sessions.length > CONFIG.IMPORT_MAX_SESSIONS) {
+    return formatErrorResponse(res, 413, `Too many conversations (${sessions.length}, max ${CONFIG.IMPORT_MAX_SESSIONS}).`);
+  }
+  const oversized = sessions.find((s) => s.messages.length > CONFIG.IMPORT_MAX_MESSAGES);
+  if (oversized) {
+    return formatErrorResponse(res, 413, `"${oversized.session_name}" has more than ${CONFIG.IMPORT_MAX_MESSAGES} messages.`);
+  }
+
+  try {
+    const imported = [];
+    for (const session of sessions) {
+      imported.push(await importSession(req.user.id, req.user.username, session));
+    }
+    sysLogger("SUCCESS", `Import: ${imported.length} conversation(s) recreated for user ${req.user.id}.`);
+    res.status(201).json({ status: "success", imported });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Import Failure.", err);
+  }
+});
+
+/* ======================================================================
+ * 🔗 18. PUBLIC SHARE LINKS (READ-ONLY SNAPSHOTS)
+ * ====================================================================== */
+
+/**
+ * @route POST /api/sessions/:id/shares
+ * @desc Snapshots the session's active branch behind a random token.
+ * Body: { expires_in_hours? } (omit for a link that never expires).
+ */
+app.post("/api/sessions/:id/shares", authenticateToken, async (req, res) => {
+  const hours = req.body.expires_in_hours;
+  if (hours !== undefined && hours !== null && hours !== "" && !(Number(hours) > 0 && Number(hours) <= CONFIG.SHARE_MAX_HOURS)) {
+    return formatErrorResponse(res, 400, `expires_in_hours must be between 1 and ${CONFIG.SHARE_MAX_HOURS}.`);
+  }
+
+  try {
+    const transcript = await loadSessionForExport(req.params.id, req.user.id);
+    if (!transcript) return formatErrorResponse(res, 404, "Session not found or access denied.");
+    if (transcript.messages.length === 0) return formatErrorResponse(res, 400, "Nothing to share yet.");
+
+    // Snapshot only what the public page shows: no ids, emails or images
+    const snapshot = transcript.messages.map((message) => ({
+      role: message.role,
+      text: message.message_text,
+      model_used: message.role === "model" ? message.model_used : null,
+      citations: message.citations || null,
+      timestamp: message.timestamp
+    }));
+    const shareToken = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = hours ? new Date(Date.now() + Number(hours) * 60 * 60 * 1000) : null;
 
-  if (session_id) {
-    try {
-      const history = await pool.query(
-        "SELECT role, message_text FROM chat_records WHERE session_id = $1 ORDER BY timestamp DESC LIMIT $2", 
-        [session_id, CONFIG.CONTEXT_WINDOW] // CONFIG.CONTEXT_WINDOW = 15
-      );
-      // Re-order for chronological AI flow: [Oldest -> Newest]
-      chatContext = history.rows.reverse().map(msg => 
-        `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.message_text}`
-      ).join("\n");
-    } catch (err) {
-      sysLogger("ERROR", "Memory retrieval failure.", err.message);
-    }
+    const result = await pool.query(
+      `INSERT INTO session_shares (share_token, session_id, user_id, title, snapshot, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING share_token, title, created_at, expires_at`,
+      [shareToken, req.params.id, req.user.id, transcript.session.session_name, JSON.stringify(snapshot), expiresAt]
+    );
+    sysLogger("SUCCESS", `Share link created for session ${req.params.id}.`);
+    res.status(201).json({ status: "success", share: { ...result.rows[0], path: `/share/${shareToken}` } });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Share Creation Failure.", err);
   }
+});
 
-  // 2. Build the Multi-Part Prompt for the AI Engines
-  const systemInstruction = getSystemPrompt(mode, user_name);
-  const fullAiPrompt = `
-    INSTRUCTIONS: ${systemInstruction}
-    
-    RECENT MEMORY (LAST 15 TURNS):
-    ${chatContext || "New session initialized in Kanpur Nagar."}
-    
-    CURRENT INPUT FROM ${user_name || 'User'}:
-    ${prompt}
-  `;
+/**
+ * @route GET /api/sessions/:id/shares
+ * @desc The owner's active (unrevoked, unexpired) links for a session.
+ */
+app.get("/api/sessions/:id/shares", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT share_token, title, created_at, expires_at, view_count FROM session_shares
+       WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       ORDER BY created_at DESC`,
+      [req.params.id, req.user.id]
+    );
+    res.status(200).json(result.rows.map((share) => ({ ...share, path: `/share/${share.share_token}` })));
+  } catch (err) {
+    formatErrorResponse(res, 500, "Share Fetch Failure.", err);
+  }
+});
+
+/**
+ * @route DELETE /api/shares/:token
+ * @desc Revokes a link immediately.
+ */
+app.delete("/api/shares/:token", authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE session_shares SET revoked_at = CURRENT_TIMESTAMP WHERE share_token = $1 AND user_id = $2 AND revoked_at IS NULL",
+      [req.params.token, req.user.id]
+    );
+    if (result.rowCount === 0) return formatErrorResponse(res, 404, "Share link not found or access denied.");
+    res.json({ status: "success", message: "Share link revoked." });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Share Revoke Failure.", err);
+  }
+});
 
-  let fullReplyText = "";
-  let modelUsed = "none";
+/**
+ * @route GET /api/shared/:token
+ * @desc PUBLIC (no auth): the read-only snapshot behind a share link.
+ */
+app.get("/api/shared/:token", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE session_shares SET view_count = view_count + 1
+       WHERE share_token = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       RETURNING title, snapshot, created_at, expires_at, user_id`,
+      [req.params.token]
+    );
+    if (result.rows.length === 0) return formatErrorResponse(res, 404, "This share link is invalid, expired or revoked.");
+
+    const share = result.rows[0];
+    const owner = await storage.users.findById(share.user_id);
+    res.status(200).json({
+      title: share.title,
+      shared_by: owner ? owner.username : "Unknown",
+      created_at: share.created_at,
+      expires_at: share.expires_at,
+      messages: share.snapshot
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Shared Session Fetch Failure.", err);
+  }
+});
 
-  // ----------------------------------------------------------------------
-  // TIER 1: PRIMARY (Local Laptop Node via Ngrok)
-  // ----------------------------------------------------------------------
-  if (CONFIG.OLLAMA_URL) {
-    const controller = new AbortController();
-    // 45s Timeout for Lenovo IdeaPad Slim 3 thermal/processing overhead
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.OLLAMA_TIMEOUT); 
+/* ======================================================================
+ * 📈 19. USAGE TELEMETRY
+ * ====================================================================== */
 
-    try {
-      sysLogger("INFO", "Tier 1: Engaging local Llama 3.1 engine...");
-      const response = await fetch(`${CONFIG.OLLAMA_URL}/api/generate`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json", "ngrok-skip-browser-warning": "true" },
-        body: JSON.stringify({
-          model: CONFIG.OLLAMA_MODEL,
-          prompt: fullAiPrompt,
-          stream: false,
-        }),
-        signal: controller.signal
-      });
+/**
+ * @function recordChatTelemetry
+ * @description Stores one chat turn's waterfall trace and feeds the daily
+ * quota counters. Fire-and-forget: telemetry never fails a chat.
+ * Token counts are estimates (estimateTokens), not provider-reported usage.
+ */
+async function recordChatTelemetry({ req, userId, sessionId, modelRecordId = null, fullAiPrompt, waterfall, startedAt, streamed, aborted = false }) {
+  const { text, tier, attempts } = waterfall;
+  const promptTokens = tier ? estimateTokens(fullAiPrompt(tier)) : null;
+  const completionTokens = text ? estimateTokens(text) : 0;
+  const outcome = aborted ? "aborted" : text ? "success" : "failed";
+
+  if (text) recordChatUsage(req.quotaSubjects, promptTokens + completionTokens);
+
+  try {
+    await pool.query(
+      `INSERT INTO chat_telemetry
+         (user_id, session_id, record_id, model_used, outcome, attempts, prompt_tokens, completion_tokens, total_ms, streamed)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [userId, sessionId || null, modelRecordId, tier ? tier.label : null, outcome, JSON.stringify(attempts), promptTokens, completionTokens, Date.now() - startedAt, streamed]
+    );
+  } catch (err) {
+    sysLogger("ERROR", "Telemetry write failure.", err.message);
+  }
+}
 
-      clearTimeout(timeoutId);
+/**
+ * @route GET /api/usage
+ * @desc The caller's usage over the last `days` (default 30, max 90):
+ * daily totals, per-model aggregates, per-tier attempt outcomes and the most
+ * recent turns with their fallback path.
+ */
+app.get("/api/usage", authenticateToken, async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 90);
+  const params = [req.user.id, days - 1];
+  const windowFilter = "user_id = $1 AND created_at >= CURRENT_DATE - $2::INT";
 
-      if (response.ok) {
-        const data = await response.json();
-        fullReplyText = data.response;
-        modelUsed = `Ollama (${CONFIG.OLLAMA_MODEL})`;
-        sysLogger("SUCCESS", "Tier 1 local response synchronized.");
+  try {
+    const [daily, models, traces] = await Promise.all([
+      pool.query(
+        `SELECT CAST(created_at::DATE AS TEXT) AS day,
+                COUNT(*) AS requests,
+                COUNT(*) FILTER (WHERE outcome = 'success') AS replies,
+                COUNT(*) FILTER (WHERE outcome = 'failed') AS failures,
+                COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                AVG(total_ms) AS avg_ms
+         FROM chat_telemetry WHERE ${windowFilter}
+         GROUP BY day ORDER BY day ASC`,
+        params
+      ),
+      pool.query(
+        `SELECT model_used,
+                COUNT(*) AS replies,
+                COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                AVG(total_ms) AS avg_ms,
+                MAX(total_ms) AS max_ms
+         FROM chat_telemetry WHERE ${windowFilter} AND model_used IS NOT NULL
+         GROUP BY model_used ORDER BY replies DESC`,
+        params
+      ),
+      pool.query(
+        `SELECT telemetry_id, session_id, model_used, outcome, attempts, prompt_tokens, completion_tokens, total_ms, streamed, created_at
+         FROM chat_telemetry WHERE ${windowFilter}
+         ORDER BY created_at DESC LIMIT $3`,
+        [...params, CONFIG.USAGE_TRACE_LIMIT]
+      )
+    ]);
+    const num = (value) => (value === null ? null : Math.round(Number(value)));
+
+    // Per-tier outcome counts come from the JSON traces (bounded by USAGE_TRACE_LIMIT)
+    const tiers = new Map();
+    for (const trace of traces.rows) {
+      for (const attempt of trace.attempts || []) {
+        if (!tiers.has(attempt.tier)) tiers.set(attempt.tier, { tier: attempt.tier, attempts: 0, outcomes: {}, total_latency_ms: 0 });
+        const entry = tiers.get(attempt.tier);
+        entry.attempts += 1;
+        entry.outcomes[attempt.outcome] = (entry.outcomes[attempt.outcome] || 0) + 1;
+        entry.total_latency_ms += attempt.latency_ms || 0;
       }
-    } catch (e) {
-      sysLogger("WARN", "Tier 1 timeout or offline. Initiating cloud cascade...");
     }
+
+    res.json({
+      days,
+      daily: daily.rows.map((row) => ({
+        day: row.day,
+        requests: num(row.requests),
+        replies: num(row.replies),
+        failures: num(row.failures),
+        prompt_tokens: num(row.prompt_tokens),
+        completion_tokens: num(row.completion_tokens),
+        avg_ms: num(row.avg_ms)
+      })),
+      models: models.rows.map((row) => ({
+        model_used: row.model_used,
+        replies: num(row.replies),
+        prompt_tokens: num(row.prompt_tokens),
+        completion_tokens: num(row.completion_tokens),
+        avg_ms: num(row.avg_ms),
+        max_ms: num(row.max_ms)
+      })),
+      tiers: [...tiers.values()].map(({ total_latency_ms, ...entry }) => ({
+        ...entry,
+        avg_latency_ms: entry.attempts ? Math.round(total_latency_ms / entry.attempts) : 0
+      })),
+      recent: traces.rows.slice(0, 20)
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Usage lookup failure.", err);
   }
+});
 
-  // Waterfall logic for Tier 2-4 follows in the final part...
-  // ----------------------------------------------------------------------
-  // ☁️ 11. TIER 2-4: CLOUD CASCADE (Gemini Multi-Model Waterfall)
-  // ----------------------------------------------------------------------
-  // If local Tier 1 failed, we cascade through your AI Studio models
-  if (!fullReplyText && ai) {
-    for (const tier of AI_WATERFALL) {
-      try {
-        sysLogger("INFO", `Attempting Cloud Cascade Tier: ${tier.label}...`);
-        
-        // Initializing the specific model from your 2026 AI Studio list
-        const model = ai.getGenerativeModel({ model: tier.id });
-        
-        const result = await model.generateContent(fullAiPrompt);
-        const geminiResponse = await result.response;
-        fullReplyText = geminiResponse.text();
-
-        if (fullReplyText) {
-          modelUsed = tier.label;
-          sysLogger("SUCCESS", `${tier.label} resolved the request successfully.`);
-          break; // Exit the waterfall once we have a valid response
-        }
-      } catch (err) {
-        sysLogger("ERROR", `${tier.label} node failed or rate-limited. Cascading down...`);
-        // The loop continues to the next model in the AI_WATERFALL list
-      }
+/* ======================================================================
+ * 🛡️ 20. ADMINISTRATION (role = 'admin')
+ * ====================================================================== */
+
+/**
+ * @middleware requireAdmin
+ * @description Runs after authenticateToken. The role is read from the
+ * database on every call, so demotions take effect immediately.
+ */
+const requireAdmin = async (req, res, next) => {
+  try {
+    const admin = await storage.users.findById(req.user.id);
+    if (!admin || admin.role !== "admin" || admin.disabled_at) {
+      sysLogger("WARN", `Admin route refused for user ${req.user.id}: ${req.path}`);
+      return formatErrorResponse(res, 403, "Admin access required.");
     }
+    next();
+  } catch (err) {
+    formatErrorResponse(res, 500, "Admin check failure.", err);
   }
+};
 
-  // ----------------------------------------------------------------------
-  // 💾 12. DATA PERSISTENCE & FINAL DISPATCH (FIXES EMPTY BUBBLES)
-  // ----------------------------------------------------------------------
-  if (fullReplyText) {
-    try {
-      let activeSessionId = session_id;
-      
-      // If this is a brand new chat, initialize the session in CockroachDB
-      if (!activeSessionId) {
-        const sessionRes = await pool.query(
-          "INSERT INTO chat_sessions (user_id, session_name) VALUES ($1, 'New Conversation') RETURNING session_id",
-          [currentUserId]
-        );
-        activeSessionId = sessionRes.rows[0].session_id;
-        
-        // Trigger the background worker to summarize this later with Ollama
-        summarizeSessionWaterfall(activeSessionId);
-      }
+/**
+ * @route GET /api/admin/overview
+ * @desc ADMIN: headline counts for the dashboard.
+ */
+app.get("/api/admin/overview", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [users, sessions, messages, backlog] = await Promise.all([
+      pool.query(`
+        SELECT COUNT(*) FILTER (WHERE NOT is_guest) AS accounts,
+               COUNT(*) FILTER (WHERE is_guest) AS guests,
+               COUNT(*) FILTER (WHERE disabled_at IS NOT NULL) AS disabled,
+               COUNT(*) FILTER (WHERE role = 'admin') AS admins
+        FROM users
+      `),
+      storage.sessions.countAll(),
+      storage.records.countModelRepliesToday(),
+      storage.sessions.countUnsummarized()
+    ]);
+    const count = (value) => Number(value || 0);
+
+    res.json({
+      accounts: count(users.rows[0].accounts),
+      guests: count(users.rows[0].guests),
+      disabled: count(users.rows[0].disabled),
+      admins: count(users.rows[0].admins),
+      sessions,
+      replies_today: messages,
+      summarizer_backlog: backlog
+    });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Overview failure.", err);
+  }
+});
 
-      const saveQ = `INSERT INTO chat_records (session_id, user_id, user_name, role, message_text, mode, model_used) VALUES ($1, $2, $3, $4, $5, $6, $7)`;
-      
-      // Save User Input for future context retrieval
-      await pool.query(saveQ, [activeSessionId, currentUserId, user_name, "user", prompt, mode, "user-input"]);
-      
-      // Save AI Response (Standardized to message_text column)
-      await pool.query(saveQ, [activeSessionId, currentUserId, user_name, "model", fullReplyText, mode, modelUsed]);
+/**
+ * @route GET /api/admin/users
+ * @desc ADMIN: lists accounts (and guests with `guests=1`), newest first.
+ * Query: q (matches username/email), limit, offset.
+ */
+app.get("/api/admin/users", authenticateToken, requireAdmin, async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 200);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  const params = [limit, offset, utcDay()];
+  const filters = [];
+
+  if (req.query.guests !== "1") filters.push("u.is_guest = FALSE");
+  if (req.query.q) {
+    params.push(toLikePattern(String(req.query.q).trim()));
+    filters.push(`(u.username ILIKE $${params.length} OR u.email ILIKE $${params.length})`);
+  }
 
-      // Final response dispatch to the React frontend
-      res.status(200).json({ 
-        status: "success", 
-        content: fullReplyText, 
-        session_id: activeSessionId, 
-        model_info: modelUsed 
-      });
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.username, u.email, u.role, u.is_guest, u.disabled_at, u.created_at, u.last_seen_at,
+              u.email_verified_at IS NOT NULL AS email_verified,
+              (SELECT COUNT(*) FROM chat_sessions s WHERE s.user_id = u.id) AS session_count,
+              COALESCE(d.messages, 0) AS messages_today, COALESCE(d.tokens, 0) AS tokens_today,
+              l.requests_per_minute, l.messages_per_day, l.tokens_per_day
+       FROM users u
+       LEFT JOIN usage_daily d ON d.subject = 'user:' || u.id::TEXT AND d.day = $3
+       LEFT JOIN user_limits l ON l.user_id = u.id
+       ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+       ORDER BY u.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      params
+    );
 
-    } catch (dbErr) {
-      sysLogger("ERROR", "Data Persistence Failure in Kanpur Cluster.", dbErr.message);
-      return formatErrorResponse(res, 500, "Database Write Error: Could not save chat history.");
+    res.json(result.rows.map((row) => ({
+      ...row,
+      email: row.is_guest ? null : row.email,
+      session_count: Number(row.session_count),
+      messages_today: Number(row.messages_today),
+      tokens_today: Number(row.tokens_today),
+      tokens_per_day: row.tokens_per_day === null ? null : Number(row.tokens_per_day)
+    })));
+  } catch (err) {
+    formatErrorResponse(res, 500, "User listing failure.", err);
+  }
+});
+
+/**
+ * @route PATCH /api/admin/users/:id
+ * @desc ADMIN: { disabled: boolean } and/or { role: "admin" | "user" }.
+ * Disabling revokes the account's refresh tokens. Admins can't lock themselves out.
+ */
+app.patch("/api/admin/users/:id", authenticateToken, requireAdmin, async (req, res) => {
+  const { disabled, role } = req.body;
+  if (disabled === undefined && role === undefined) return formatErrorResponse(res, 400, "Nothing to update.");
+  if (role !== undefined && !["admin", "user"].includes(role)) return formatErrorResponse(res, 400, "Role must be 'admin' or 'user'.");
+  if (String(req.params.id) === String(req.user.id) && (disabled === true || role === "user")) {
+    return formatErrorResponse(res, 400, "You can't disable or demote your own account.");
+  }
+
+  try {
+    const user = await storage.users.updateAdminFlags(req.params.id, { disabled, role });
+    if (!user) return formatErrorResponse(res, 404, "User not found.");
+
+    if (disabled === true) {
+      await pool.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'suspended' WHERE user_id = $1 AND revoked_at IS NULL",
+        [req.params.id]
+      );
     }
-  } else {
-    // If all tiers (Local + Cloud) failed to produce a response
-    return formatErrorResponse(res, 500, "System Exhaustion: All AI engines are currently unavailable.");
+    sysLogger("WARN", `Admin ${req.user.id} updated user ${req.params.id}: ${JSON.stringify({ disabled, role })}`);
+    res.json({ status: "success", user });
+  } catch (err) {
+    formatErrorResponse(res, 500, "User update failure.", err);
   }
-}); // <--- THIS FINALLY CLOSES THE app.post("/api/chat") ROUTE
+});
 
-/* ======================================================================
- * 📂 13. SESSION REPOSITORY & HISTORY CRUD
- * ====================================================================== */
+/**
+ * @route DELETE /api/admin/users/:id/usage
+ * @desc ADMIN: resets today's quota counters for one account or guest.
+ */
+app.delete("/api/admin/users/:id/usage", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await pool.query("DELETE FROM usage_daily WHERE subject = $1 AND day = $2", [`user:${req.params.id}`, utcDay()]);
+    minuteWindows.delete(`user:${req.params.id}`);
+    sysLogger("INFO", `Admin ${req.user.id} reset today's usage for user ${req.params.id}.`);
+    res.json({ status: "success" });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Usage reset failure.", err);
+  }
+});
 
 /**
- * @route GET /api/sessions
- * @desc Retrieves all chat headers for the authenticated user.
+ * @route PUT /api/admin/users/:id/limits
+ * @desc ADMIN: raise (or lower) one account's limits. Body keys
+ * requests_per_minute, messages_per_day, tokens_per_day; null = back to default.
  */
-app.get("/api/sessions", authenticateToken, async (req, res) => {
+app.put("/api/admin/users/:id/limits", authenticateToken, requireAdmin, async (req, res) => {
+  const fields = ["requests_per_minute", "messages_per_day", "tokens_per_day"];
+  const values = fields.map((field) => {
+    const value = req.body[field];
+    return value === null || value === undefined || value === "" ? null : Number(value);
+  });
+  if (values.some((value) => value !== null && (!Number.isInteger(value) || value < 0))) {
+    return formatErrorResponse(res, 400, "Limits must be non-negative whole numbers (0 = unlimited) or null.");
+  }
+
   try {
     const result = await pool.query(
-      "SELECT session_id, session_name, created_at FROM chat_sessions WHERE user_id = $1 ORDER BY created_at DESC",
-      [req.user.id]
+      `INSERT INTO user_limits (user_id, requests_per_minute, messages_per_day, tokens_per_day, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+         requests_per_minute = EXCLUDED.requests_per_minute,
+         messages_per_day = EXCLUDED.messages_per_day,
+         tokens_per_day = EXCLUDED.tokens_per_day,
+         updated_at = NOW()
+       RETURNING user_id, requests_per_minute, messages_per_day, tokens_per_day`,
+      [req.params.id, ...values]
     );
-    res.status(200).json(result.rows);
+    sysLogger("INFO", `Limits for user ${req.params.id} set by admin ${req.user.id}.`);
+    res.json({ status: "success", limits: result.rows[0] });
   } catch (err) {
-    formatErrorResponse(res, 500, "Repository Fetch Failure.", err);
+    formatErrorResponse(res, 500, "Could not save limits.", err);
   }
 });
 
 /**
- * @route GET /api/chat/:id
- * @desc Syncs history. Uses ALIAS 'text' to match React state keys.
+ * @route DELETE /api/admin/users/:id/limits
+ * @desc ADMIN: drop an account's override so the defaults apply again.
  */
-app.get("/api/chat/:id", authenticateToken, async (req, res) => {
-  const sessionId = req.params.id;
+app.delete("/api/admin/users/:id/limits", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    // Ownership check: Ensure Avneesh or the Guest owns this session
-    const check = await pool.query("SELECT user_id FROM chat_sessions WHERE session_id = $1", [sessionId]);
-    if (check.rows.length === 0 || check.rows[0].user_id !== req.user.id) {
-      return formatErrorResponse(res, 403, "Access Denied: Session ownership mismatch.");
-    }
+    await pool.query("DELETE FROM user_limits WHERE user_id = $1", [req.params.id]);
+    res.json({ status: "success" });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Could not reset limits.", err);
+  }
+});
+
+/**
+ * @route GET /api/admin/models
+ * @desc ADMIN: replies per model (chat_records.model_used) over the last
+ * `days` (default 7), with a per-day breakdown for the traffic chart.
+ */
+app.get("/api/admin/models", authenticateToken, requireAdmin, async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 7, 1), 90);
 
-    // CRITICAL FIX: Mapping message_text to 'text' for frontend bubble rendering
+  try {
     const result = await pool.query(
-      "SELECT role, message_text AS text, timestamp FROM chat_records WHERE session_id = $1 ORDER BY timestamp ASC",
-      [sessionId]
+      `SELECT model_used, CAST(timestamp::DATE AS TEXT) AS day, COUNT(*) AS replies
+       FROM chat_records
+       WHERE role = 'model' AND timestamp >= CURRENT_DATE - $1::INT
+       GROUP BY model_used, day
+       ORDER BY day ASC`,
+      [days - 1]
     );
-    res.status(200).json(result.rows);
+
+    const totals = new Map();
+    for (const row of result.rows) {
+      const model = row.model_used || "unknown";
+      if (!totals.has(model)) totals.set(model, { model_used: model, replies: 0, by_day: [] });
+      const entry = totals.get(model);
+      entry.replies += Number(row.replies);
+      entry.by_day.push({ day: row.day, replies: Number(row.replies) });
+    }
+
+    res.json({ days, models: [...totals.values()].sort((a, b) => b.replies - a.replies) });
   } catch (err) {
-    formatErrorResponse(res, 500, "History Sync Failure.", err);
+    formatErrorResponse(res, 500, "Model traffic failure.", err);
   }
 });
 
 /**
- * @route DELETE /api/sessions/:id
- * @desc Permanently purges a session from the cluster.
+ * @route GET /api/admin/summarizer
+ * @desc ADMIN: the title/summary backlog (sessions with is_summarized = FALSE).
  */
-app.delete("/api/sessions/:id", authenticateToken, async (req, res) => {
+app.get("/api/admin/summarizer", authenticateToken, requireAdmin, async (req, res) => {
   try {
-    await pool.query("DELETE FROM chat_sessions WHERE session_id = $1 AND user_id = $2", [req.params.id, req.user.id]);
-    res.json({ status: "success", message: "Session successfully purged from cluster." });
+    const [pending, oldest] = await Promise.all([
+      storage.sessions.countUnsummarized(),
+      pool.query(
+        `SELECT s.session_id, s.session_name, s.created_at, u.username
+         FROM chat_sessions s LEFT JOIN users u ON u.id = s.user_id
+         WHERE s.is_summarized = FALSE
+         ORDER BY s.created_at ASC
+         LIMIT 20`
+      )
+    ]);
+    res.json({ pending, oldest: oldest.rows });
   } catch (err) {
-    formatErrorResponse(res, 500, "Purge Operation Failed.", err);
+    formatErrorResponse(res, 500, "Summarizer backlog failure.", err);
   }
 });
 
 /**
- * @route PUT /api/sessions/:id
- * @desc Updates the title of a specific session in CockroachDB
+ * @route POST /api/admin/summarizer/run
+ * @desc ADMIN: summarizes the oldest pending sessions now instead of waiting
+ * for the background worker. Body: { limit } (default 5, max 20).
  */
+app.post("/api/admin/summarizer/run", authenticateToken, requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.body.limit) || 5, 1), 20);
+
+  try {
+    const pending = await storage.sessions.listUnsummarized(limit);
+    for (const row of pending) await summarizeSessionWaterfall(row.session_id);
+    res.json({ status: "success", processed: pending.length });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Summarizer run failure.", err);
+  }
+});
+
 /**
- * @route PUT /api/sessions/:id
- * @desc Updates session title in the Kanpur Nagar Cluster
+ * @route DELETE /api/admin/guests/:id
+ * @desc ADMIN: deletes one guest identity and everything it created.
  */
-app.put("/api/sessions/:id", authenticateToken, async (req, res) => {
-  const { session_name } = req.body;
-  const sessionId = req.params.id;
+app.delete("/api/admin/guests/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!(await storage.users.deleteGuest(req.params.id))) return formatErrorResponse(res, 404, "Guest not found.");
+    guestLastTouched.delete(String(req.params.id));
+    sysLogger("WARN", `Admin ${req.user.id} purged guest ${req.params.id}.`);
+    res.json({ status: "success", purged: 1 });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Guest purge failure.", err);
+  }
+});
+
+/**
+ * @route POST /api/admin/guests/purge
+ * @desc ADMIN: bulk-deletes guests idle for at least `idle_hours` (default 24,
+ * minimum GUEST_TOUCH_INTERVAL), ahead of the GUEST_TTL_DAYS sweep.
+ */
+app.post("/api/admin/guests/purge", authenticateToken, requireAdmin, async (req, res) => {
+  const idleHours = Number(req.body.idle_hours ?? 24);
+  // last_seen_at lags by up to GUEST_TOUCH_INTERVAL, so a shorter window would catch guests still online
+  const minHours = CONFIG.GUEST_TOUCH_INTERVAL / (60 * 60 * 1000);
+  if (!Number.isFinite(idleHours) || idleHours < minHours) {
+    return formatErrorResponse(res, 400, `idle_hours must be a number of at least ${minHours}.`);
+  }
 
   try {
-    // Verify ownership before updating to secure Avneesh's data
-    const result = await pool.query(
-      "UPDATE chat_sessions SET session_name = $1 WHERE session_id = $2 AND user_id = $3 RETURNING *",
-      [session_name, sessionId, req.user.id]
-    );
+    const purged = await storage.users.deleteIdleGuests(idleHours);
+    purged.forEach((id) => guestLastTouched.delete(String(id)));
+    sysLogger("WARN", `Admin ${req.user.id} purged ${purged.length} guest(s) idle ${idleHours}h+.`);
+    res.json({ status: "success", purged: purged.length });
+  } catch (err) {
+    formatErrorResponse(res, 500, "Guest purge failure.", err);
+  }
+});
 
-    if (result.rowCount === 0) {
-      return formatErrorResponse(res, 404, "Session not found or access denied.");
-    }
+/* ======================================================================
+ * ❤️ 21. HEALTH & READINESS PROBES
+ * ====================================================================== */
 
-    sysLogger("SUCCESS", `Session ${sessionId} renamed to: ${session_name}`);
-    res.json({ status: "success", message: "Title updated." });
+/**
+ * @route GET /healthz
+ * @desc Liveness: the process is up and the event loop answers.
+ */
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok", uptime_s: Math.round(process.uptime()) });
+});
+
+/**
+ * @function withReadyTimeout
+ * @description Rejects when `promise` outlasts READY_CHECK_TIMEOUT.
+ */
+const withReadyTimeout = async (promise) => {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("timeout")), CONFIG.READY_CHECK_TIMEOUT);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * @function isTierUsable
+ * @description A tier counts once its breaker is not open and its provider
+ * passed the (cached) health check /api/models uses. A breaker alone stays
+ * closed until real traffic fails, so it can't vouch for an unreachable node.
+ */
+const isTierUsable = async (tier) => {
+  if (tier.breaker.snapshot().state === "open") return false;
+  try {
+    return Boolean((await withReadyTimeout(checkProviderHealth(tier.adapter))).ok);
   } catch (err) {
-    formatErrorResponse(res, 500, "Database Rename Error.", err);
+    return false;
+  }
+};
+
+/**
+ * @route GET /readyz
+ * @desc Readiness: schema synced, database answering, at least one AI tier
+ * usable (breaker not open, provider healthy), and not draining. 503 lists
+ * what failed.
+ */
+app.get("/readyz", async (req, res) => {
+  const checks = {
+    accepting: !lifecycle.draining,
+    schema: lifecycle.databaseReady,
+    database: false,
+    ai_tier: false,
+  };
+
+  const [database, tiers] = await Promise.allSettled([
+    withReadyTimeout(pool.query("SELECT 1")),
+    Promise.all(AI_CHAIN.map(isTierUsable)),
+  ]);
+  checks.database = database.status === "fulfilled";
+  if (!checks.database) sysLogger("WARN", "Readiness: database ping failed.", database.reason.message);
+  checks.ai_tier = tiers.status === "fulfilled" && tiers.value.some(Boolean);
+
+  const ready = Object.values(checks).every(Boolean);
+  res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not_ready", checks });
+});
+
+/* ======================================================================
+ * 📊 22. PROMETHEUS METRICS
+ * ====================================================================== */
+
+metrics.gauge("db_pool_connections", "pg pool clients by state (total, idle, waiting).", ["state"], () => [
+  { labels: { state: "total" }, value: pool.totalCount },
+  { labels: { state: "idle" }, value: pool.idleCount },
+  { labels: { state: "waiting" }, value: pool.waitingCount },
+]);
+
+metrics.gauge("tier_breaker_open", "1 while a tier's circuit breaker is open or half-open.", ["tier"], () =>
+  AI_CHAIN.map((tier) => ({ labels: { tier: tier.label }, value: tier.breaker.snapshot().state === "closed" ? 0 : 1 }))
+);
+
+metrics.gauge("summarizer_backlog_sessions", "Sessions still waiting for a generated title.", [], async () => {
+  return [{ value: await storage.sessions.countUnsummarized() }];
+});
+
+/**
+ * @middleware requireMetricsToken
+ * @description Prometheus scrapes with `Authorization: Bearer <METRICS_TOKEN>`.
+ * Without METRICS_TOKEN configured the endpoint does not exist.
+ */
+const requireMetricsToken = (req, res, next) => {
+  if (!CONFIG.METRICS_TOKEN) return res.status(404).end();
+
+  const supplied = Buffer.from((req.headers["authorization"] || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(CONFIG.METRICS_TOKEN);
+  if (supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+    sysLogger("WARN", "Metrics scrape refused: bad token.");
+    return formatErrorResponse(res, 401, "Metrics token required.");
+  }
+  next();
+};
+
+/**
+ * @route GET /metrics
+ * @desc Prometheus text exposition of HTTP, waterfall, summarizer and pool metrics.
+ */
+app.get("/metrics", requireMetricsToken, async (req, res) => {
+  try {
+    res.set("Content-Type", metrics.contentType);
+    res.send(await metrics.render());
+  } catch (err) {
+    formatErrorResponse(res, 500, "Metrics render failure.", err);
   }
 });
 
 /* ======================================================================
- * 🏁 14. FRONTEND HOSTING & SYSTEM BOOTSTRAP
+ * 🏁 23. FRONTEND HOSTING & SYSTEM BOOTSTRAP
  * ====================================================================== */
 
 // Serve static assets from your Vite/React build folder
@@ -716,13 +3882,50 @@ const server = app.listen(CONFIG.PORT, () => {
   sysLogger("SUCCESS", "--------------------------------------------------");
 });
 
-// Graceful Shutdown: Protect your CockroachDB connection pool
-process.on("SIGTERM", () => {
-  sysLogger("WARN", "SIGTERM received. Cleaning up Kanpur cluster connections...");
-  pool.end(() => {
-    server.close(() => {
-      sysLogger("INFO", "Server process terminated cleanly.");
-      process.exit(0);
-    });
-  });
-});
\ No newline at end of file
+/**
+ * @function gracefulShutdown
+ * @description Drain order: stop accepting connections and recurring jobs,
+ * wait up to SHUTDOWN_GRACE_MS for in-flight generations, abort whatever is
+ * left (clients get an "interrupted" error), then close the remaining sockets
+ * and only then the pool. A second signal exits immediately.
+ */
+const gracefulShutdown = async (signal) => {
+  if (lifecycle.draining) {
+    sysLogger("WARN", `${signal} received again. Exiting without waiting.`);
+    process.exit(1);
+  }
+  lifecycle.draining = true;
+  sysLogger("WARN", `${signal} received. Draining ${lifecycle.inFlight.size} in-flight generation(s)...`);
+
+  lifecycle.timers.forEach((timer) => clearInterval(timer));
+  const serverClosed = new Promise((resolve) => server.close(resolve));
+  if (server.closeIdleConnections) server.closeIdleConnections();
+
+  const deadline = Date.now() + CONFIG.SHUTDOWN_GRACE_MS;
+  while (lifecycle.inFlight.size > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+
+  if (lifecycle.inFlight.size > 0) {
+    sysLogger("WARN", `Grace period over. Aborting ${lifecycle.inFlight.size} generation(s).`);
+    lifecycle.inFlight.forEach((entry) => entry.controller.abort());
+    // Give aborted handlers a moment to tell their clients and record telemetry
+    const abortDeadline = Date.now() + 3000;
+    while (lifecycle.inFlight.size > 0 && Date.now() < abortDeadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  if (server.closeAllConnections) server.closeAllConnections();
+  await serverClosed;
+  try {
+    await pool.end();
+  } catch (err) {
+    sysLogger("ERROR", "Pool shutdown failure.", err.message);
+  }
+  sysLogger("INFO", "Server process terminated cleanly.");
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
+process.on("SIGINT", () => gracefulShutdown("SIGINT"));
\ No newline at end of file
@@ -0,0 +1,46 @@
+/**
+ * @file storage/index.js
+ * @description Database backends. Every driver returns a pg.Pool-shaped handle
+ * (`query`, `connect`, `end`, `dialect`), and createStorage wraps it with the
+ * user / session / record repositories.
+ * Built in:
+ *   postgres — Postgres or CockroachDB over DATABASE_URL (production)
+ *   sqlite   — an embedded file (SQLITE_PATH, or ":memory:"), for local
+ *              development and CI with no database server
+ */
+import { createPostgresDatabase } from "./postgres.js";
+import { createSqliteDatabase } from "./sqlite.js";
+import { createRepositories } from "./repositories.js";
+
+const DRIVER_FACTORIES = {
+  postgres: createPostgresDatabase,
+  sqlite: createSqliteDatabase,
+};
+
+/**
+ * @function registerStorageDriver
+ * @description Plugs in an extra backend. `factory(options)` must return a
+ * pg.Pool-compatible handle.
+ */
+export const registerStorageDriver = (driver, factory) => {
+  DRIVER_FACTORIES[driver] = factory;
+};
+
+/**
+ * @function createStorage
+ * @description Builds `{ driver, db, users, sessions, records, close() }`.
+ * `db` is the raw handle for queries the repositories don't cover
+ * (reports, multi-table transactions).
+ */
+export const createStorage = (driver, options = {}) => {
+  const factory = DRIVER_FACTORIES[driver];
+  if (!factory) throw new Error(`Unknown storage driver: ${driver}`);
+  const db = factory(options);
+
+  return {
+    driver,
+    db,
+    ...createRepositories(db),
+    close: () => db.end(),
+  };
+};
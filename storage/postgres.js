@@ -0,0 +1,15 @@
+/**
+ * @file storage/postgres.js
+ * @description Postgres / CockroachDB backend: a plain pg.Pool, tagged with
+ * its dialect so shared code can branch on the rare statement that differs.
+ */
+import pg from "pg";
+
+// ✅ ESSENTIAL: Prevents JavaScript from corrupting large CockroachDB IDs
+pg.types.setTypeParser(20, (val) => val);
+
+export const createPostgresDatabase = ({ connectionString, ssl = { rejectUnauthorized: false }, ...poolOptions } = {}) => {
+  const pool = new pg.Pool({ connectionString, ssl, ...poolOptions });
+  pool.dialect = "postgres";
+  return pool;
+};
@@ -0,0 +1,250 @@
+/**
+ * @file storage/repositories.js
+ * @description Users, sessions and records behind named methods, so routes
+ * don't carry SQL for the everyday single-table reads and writes. Statements
+ * are written once, in Postgres SQL; the SQLite driver rewrites them (see
+ * ./sqlite-dialect.js). Reports, joins and multi-table transactions still
+ * go through `storage.db` directly.
+ *
+ * Methods resolve to a row (or null), a list of rows, a number or nothing.
+ */
+
+const first = (result) => result.rows[0] || null;
+
+const createUserRepository = (db) => ({
+  findById: async (id) => first(await db.query("SELECT * FROM users WHERE id = $1", [id])),
+
+  findByEmail: async (email) => first(await db.query("SELECT * FROM users WHERE email = $1", [email])),
+
+  async isEmailTaken(email, exceptId = null) {
+    const result = await db.query("SELECT id FROM users WHERE email = $1 AND id IS DISTINCT FROM $2", [email, exceptId]);
+    return result.rows.length > 0;
+  },
+
+  create: async ({ username, email, passwordHash, role = "user" }) =>
+    first(
+      await db.query(
+        "INSERT INTO users (username, email, password, role) VALUES ($1, $2, $3, $4) RETURNING id, username, email",
+        [username, email, passwordHash, role]
+      )
+    ),
+
+  createGuest: async ({ username, email, passwordHash }) =>
+    first(
+      await db.query(
+        `INSERT INTO users (username, email, password, is_guest, last_seen_at)
+         VALUES ($1, $2, $3, TRUE, NOW()) RETURNING id, username`,
+        [username, email, passwordHash]
+      )
+    ),
+
+  async touchLastSeen(id) {
+    await db.query("UPDATE users SET last_seen_at = NOW() WHERE id = $1", [id]);
+  },
+
+  /** Refreshes a guest's last_seen_at; null if `id` is not (or no longer) a guest. */
+  renewGuest: async (id) =>
+    first(await db.query("UPDATE users SET last_seen_at = NOW() WHERE id = $1 AND is_guest = TRUE RETURNING id, username", [id])),
+
+  /** `username` / `email` left undefined keep their value; `resetVerification` clears email_verified_at. */
+  updateProfile: async (id, { username, email, resetVerification = false }) =>
+    first(
+      await db.query(
+        `UPDATE users SET
+           username = COALESCE($1, username),
+           email = COALESCE($2, email),
+           email_verified_at = CASE WHEN $3 THEN NULL ELSE email_verified_at END
+         WHERE id = $4
+         RETURNING id, username, email, email_verified_at`,
+        [username ?? null, email ?? null, resetVerification, id]
+      )
+    ),
+
+  async setPassword(id, passwordHash, { markVerified = false } = {}) {
+    await db.query(
+      `UPDATE users SET password = $1,
+         email_verified_at = CASE WHEN $2 THEN COALESCE(email_verified_at, NOW()) ELSE email_verified_at END
+       WHERE id = $3`,
+      [passwordHash, markVerified, id]
+    );
+  },
+
+  async markEmailVerified(id) {
+    await db.query("UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $1", [id]);
+  },
+
+  /** `disabled` / `role` left undefined keep their value. */
+  updateAdminFlags: async (id, { disabled, role }) =>
+    first(
+      await db.query(
+        `UPDATE users SET
+           disabled_at = CASE WHEN $1::BOOL IS NULL THEN disabled_at WHEN $1 THEN COALESCE(disabled_at, NOW()) ELSE NULL END,
+           role = COALESCE($2, role)
+         WHERE id = $3
+         RETURNING id, username, role, disabled_at`,
+        [disabled === undefined ? null : Boolean(disabled), role ?? null, id]
+      )
+    ),
+
+  async promoteAdmins(emails) {
+    if (emails.length === 0) return;
+    await db.query("UPDATE users SET role = 'admin' WHERE LOWER(email) = ANY($1) AND role <> 'admin'", [emails]);
+  },
+
+  async delete(id) {
+    await db.query("DELETE FROM users WHERE id = $1", [id]);
+  },
+
+  async deleteGuest(id) {
+    const result = await db.query("DELETE FROM users WHERE id = $1 AND is_guest = TRUE RETURNING id", [id]);
+    return result.rows.length > 0;
+  },
+
+  /** Deletes guests idle for at least `idleHours`; resolves to their ids. */
+  async deleteIdleGuests(idleHours) {
+    const result = await db.query(
+      `DELETE FROM users
+       WHERE is_guest = TRUE AND COALESCE(last_seen_at, created_at) < NOW() - ($1 * INTERVAL '1 hour')
+       RETURNING id`,
+      [idleHours]
+    );
+    return result.rows.map((row) => row.id);
+  },
+});
+
+const createSessionRepository = (db) => ({
+  findById: async (sessionId) => first(await db.query("SELECT * FROM chat_sessions WHERE session_id = $1", [sessionId])),
+
+  /** The session header if `userId` owns it, otherwise null. */
+  findOwned: async (sessionId, userId) =>
+    first(
+      await db.query(
+        "SELECT session_id, session_name, created_at, active_leaf_id FROM chat_sessions WHERE session_id = $1 AND user_id = $2",
+        [sessionId, userId]
+      )
+    ),
+
+  listForUser: async (userId, { oldestFirst = false } = {}) =>
+    (
+      await db.query(
+        `SELECT session_id, session_name, created_at FROM chat_sessions WHERE user_id = $1
+         ORDER BY created_at ${oldestFirst ? "ASC" : "DESC"}`,
+        [userId]
+      )
+    ).rows,
+
+  create: async (userId, name = "New Conversation") =>
+    first(
+      await db.query("INSERT INTO chat_sessions (user_id, session_name) VALUES ($1, $2) RETURNING session_id", [userId, name])
+    ),
+
+  /** Null when the session doesn't exist or belongs to someone else. */
+  rename: async (sessionId, userId, name) =>
+    first(
+      await db.query("UPDATE chat_sessions SET session_name = $1 WHERE session_id = $2 AND user_id = $3 RETURNING *", [
+        name,
+        sessionId,
+        userId,
+      ])
+    ),
+
+  async delete(sessionId, userId) {
+    await db.query("DELETE FROM chat_sessions WHERE session_id = $1 AND user_id = $2", [sessionId, userId]);
+  },
+
+  /** A generated title also takes the session off the summarizer's backlog. */
+  async setTitle(sessionId, title) {
+    await db.query("UPDATE chat_sessions SET session_name = $1, is_summarized = TRUE WHERE session_id = $2", [title, sessionId]);
+  },
+
+  async setActiveLeaf(sessionId, recordId) {
+    await db.query("UPDATE chat_sessions SET active_leaf_id = $1 WHERE session_id = $2", [recordId, sessionId]);
+  },
+
+  /** Stores the running summary, covering everything up to `throughRecordId`. */
+  async setContextSummary(sessionId, summary, throughRecordId) {
+    await db.query(
+      `UPDATE chat_sessions SET context_summary = $1,
+       summary_through = (SELECT timestamp FROM chat_records WHERE record_id = $2)
+       WHERE session_id = $3`,
+      [summary, throughRecordId, sessionId]
+    );
+  },
+
+  /** Drops the running summary; with `reaching`, only if it covers that timestamp. */
+  async clearContextSummary(sessionId, { reaching = null } = {}) {
+    await db.query(
+      `UPDATE chat_sessions SET context_summary = NULL, summary_through = NULL
+       WHERE session_id = $1 AND ($2::TIMESTAMP IS NULL OR summary_through >= $2)`,
+      [sessionId, reaching]
+    );
+  },
+
+  /** Oldest sessions still waiting for a generated title. */
+  listUnsummarized: async (limit) =>
+    (
+      await db.query("SELECT session_id FROM chat_sessions WHERE is_summarized = FALSE ORDER BY created_at ASC LIMIT $1", [
+        limit,
+      ])
+    ).rows,
+
+  countAll: async () => Number(first(await db.query("SELECT COUNT(*) AS total FROM chat_sessions")).total),
+
+  countUnsummarized: async () =>
+    Number(first(await db.query("SELECT COUNT(*) AS pending FROM chat_sessions WHERE is_summarized = FALSE")).pending),
+});
+
+const createRecordRepository = (db) => ({
+  /** Every record of a session, oldest first (all branches). */
+  listForSession: async (sessionId) =>
+    (
+      await db.query(
+        `SELECT record_id, parent_record_id, role, user_name, message_text, mode, model_used, citations, timestamp
+         FROM chat_records WHERE session_id = $1 ORDER BY timestamp ASC, record_id ASC`,
+        [sessionId]
+      )
+    ).rows,
+
+  /** The first `limit` messages of a session, for title generation. */
+  listOpening: async (sessionId, limit) =>
+    (
+      await db.query("SELECT message_text FROM chat_records WHERE session_id = $1 ORDER BY timestamp ASC LIMIT $2", [
+        sessionId,
+        limit,
+      ])
+    ).rows,
+
+  findById: async (recordId) =>
+    first(await db.query("SELECT record_id, parent_record_id, message_text FROM chat_records WHERE record_id = $1", [recordId])),
+
+  findInSession: async (recordId, sessionId) =>
+    first(
+      await db.query("SELECT record_id, parent_record_id, role, timestamp FROM chat_records WHERE record_id = $1 AND session_id = $2", [
+        recordId,
+        sessionId,
+      ])
+    ),
+
+  /** Resolves to the new record_id. */
+  async insert({ sessionId, userId, userName, role, text, mode, modelUsed, citations = null, parentRecordId = null }) {
+    const result = await db.query(
+      `INSERT INTO chat_records (session_id, user_id, user_name, role, message_text, mode, model_used, citations, parent_record_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING record_id`,
+      [sessionId, userId, userName, role, text, mode, modelUsed, citations, parentRecordId]
+    );
+    return result.rows[0].record_id;
+  },
+
+  countModelRepliesToday: async () =>
+    Number(first(await db.query("SELECT COUNT(*) AS today FROM chat_records WHERE role = 'model' AND timestamp >= CURRENT_DATE")).today),
+});
+
+/**
+ * @function createRepositories
+ * @description `{ users, sessions, records }` over one database handle.
+ */
+export const createRepositories = (db) => ({
+  users: createUserRepository(db),
+  sessions: createSessionRepository(db),
+  records: createRecordRepository(db),
+});
@@ -0,0 +1,157 @@
+/**
+ * @file storage/sqlite-dialect.js
+ * @description Rewrites the Postgres/CockroachDB SQL used in this codebase
+ * into SQLite, and converts values in both directions so callers see what
+ * node-pg would have given them (Dates, parsed JSON, real booleans).
+ *
+ * This covers the constructs the server and migrations actually use — it is
+ * not a general translator. Supported: `$n` parameters, NOW(), CURRENT_DATE,
+ * CURRENT_TIMESTAMP, `NOW() ± ($n * INTERVAL '1 unit')`, `NOW() - INTERVAL 'n unit'`,
+ * `CURRENT_DATE - $n`, `::` casts, ILIKE, `= ANY($n)`, FOR UPDATE,
+ * SERIAL keys, `UPDATE t alias SET`, DROP … CASCADE.
+ */
+
+const SQLITE_NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now')";
+
+const shiftedNow = (sign, amount, unit) => {
+  const seconds = unit.toLowerCase() === "millisecond";
+  const value = seconds ? `(${amount}) / 1000.0` : amount;
+  return `strftime('%Y-%m-%d %H:%M:%f', 'now', '${sign}' || (${value}) || ' ${seconds ? "second" : unit.toLowerCase()}s')`;
+};
+
+const REWRITES = [
+  [/\s+FOR UPDATE\b/gi, ""],
+  [
+    /NOW\(\)\s*([+-])\s*\(\s*(\$\d+)\s*\*\s*INTERVAL\s*'1 (day|hour|minute|second|millisecond)'\s*\)/gi,
+    (_, sign, param, unit) => shiftedNow(sign, param, unit),
+  ],
+  [
+    /NOW\(\)\s*([+-])\s*INTERVAL\s*'(\d+) (day|hour|minute|second)s?'/gi,
+    (_, sign, amount, unit) => shiftedNow(sign, amount, unit),
+  ],
+  [/CURRENT_DATE\s*-\s*(\$\d+)(?:::INT)?/gi, (_, param) => `date('now', '-' || (${param}) || ' days')`],
+  [/\bCURRENT_DATE\b/g, "date('now')"],
+  [/\bNOW\(\)/gi, SQLITE_NOW],
+  [/CAST\(([\w.]+)::DATE AS TEXT\)/gi, "date($1)"],
+  [/([\w.]+)::TEXT\b/gi, "CAST($1 AS TEXT)"],
+  [/(\$\d+|[\w.]+)::(INT8|INT|BOOL|BOOLEAN|JSONB|DATE|TIMESTAMP)\b/gi, "$1"],
+  [/\s+ILIKE\s+(\$\d+)/gi, " LIKE $1 ESCAPE '\\'"],
+  [/=\s*ANY\((\$\d+)\)/gi, "IN (SELECT value FROM json_each($1))"],
+  [/\bSERIAL PRIMARY KEY\b/gi, "INTEGER PRIMARY KEY AUTOINCREMENT"],
+  [/DEFAULT CURRENT_TIMESTAMP\b/gi, `DEFAULT (${SQLITE_NOW})`],
+  [/\bCURRENT_TIMESTAMP\b/g, SQLITE_NOW],
+  [/^(\s*DROP TABLE[^;]*?)\s+CASCADE/i, "$1"],
+  [/^(\s*UPDATE\s+\w+)\s+(?!SET\b)(\w+)\s+SET\b/i, "$1 AS $2 SET"],
+];
+
+/**
+ * @function bindParameters
+ * @description Swaps `$n` placeholders (outside string literals) for `?` and
+ * lays the values out in order of appearance, so `$1` may be reused.
+ */
+const bindParameters = (sql, params) => {
+  const values = [];
+  let text = "";
+  let inString = false;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+    if (char === "'") inString = !inString;
+    if (!inString && char === "$" && /\d/.test(sql[i + 1] || "")) {
+      let digits = "";
+      while (/\d/.test(sql[i + 1] || "")) digits += sql[++i];
+      values.push(toSqliteValue(params[Number(digits) - 1]));
+      text += "?";
+      continue;
+    }
+    text += char;
+  }
+  return { text, values };
+};
+
+const pad = (n, width = 2) => String(n).padStart(width, "0");
+
+// The same layout SQLITE_NOW produces, so stored timestamps compare as text
+export const toSqliteTimestamp = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.${pad(date.getUTCMilliseconds(), 3)}`;
+
+// Only Date instances become timestamps: strings pass through untouched, since
+// a message or memory that happens to look like a date must be stored as typed.
+// Callers with timestamp strings (imports) turn them into Dates first.
+const toSqliteValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return toSqliteTimestamp(value);
+  if (typeof value === "object") return JSON.stringify(value); // arrays (for ANY) and JSONB objects
+  return value;
+};
+
+/**
+ * @function translateQuery
+ * @description `{ text, values }` ready for better-sqlite3.
+ */
+export const translateQuery = (sql, params = []) => {
+  const rewritten = REWRITES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), sql);
+  return bindParameters(rewritten, params);
+};
+
+// Columns node-pg would hand back as parsed JSON or booleans
+const JSON_COLUMNS = new Set(["attempts", "citations", "embedding", "snapshot", "generation_params"]);
+const BOOLEAN_COLUMNS = new Set([
+  "is_summarized",
+  "is_shared",
+  "is_guest",
+  "streamed",
+  "email_verified",
+  "expired",
+  "just_rotated",
+]);
+const isTimestampColumn = (name) => name === "timestamp" || name === "summary_through" || name.endsWith("_at");
+
+/**
+ * @function fromSqliteRow
+ * @description Timestamps become Dates, JSON columns are parsed and 0/1
+ * flags become booleans. Everything else passes through.
+ */
+export const fromSqliteRow = (row) => {
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null) continue;
+    if (BOOLEAN_COLUMNS.has(column)) {
+      row[column] = Boolean(value);
+    } else if (JSON_COLUMNS.has(column) && typeof value === "string") {
+      try {
+        row[column] = JSON.parse(value);
+      } catch {
+        // Leave malformed JSON as text rather than failing the whole query
+      }
+    } else if (isTimestampColumn(column) && typeof value === "string") {
+      const parsed = new Date(value.includes("T") ? value : `${value.replace(" ", "T")}Z`);
+      if (!Number.isNaN(parsed.getTime())) row[column] = parsed;
+    }
+  }
+  return row;
+};
+
+/**
+ * @function splitAlterColumns
+ * @description Postgres' `ALTER TABLE t ADD COLUMN IF NOT EXISTS a …, ADD
+ * COLUMN IF NOT EXISTS b …` (or the DROP COLUMN IF EXISTS equivalent) as
+ * `{ table, action: "add" | "drop", columns: [{ name, definition }] }`, or
+ * null for any other statement. SQLite changes one column per ALTER and has
+ * no IF [NOT] EXISTS there, so the adapter checks each column itself.
+ */
+export const splitAlterColumns = (sql) => {
+  const match = sql
+    .trim()
+    .replace(/;$/, "")
+    .match(/^ALTER TABLE\s+(\w+)\s+((ADD COLUMN IF NOT EXISTS|DROP COLUMN IF EXISTS)[\s\S]+)$/i);
+  if (!match) return null;
+
+  const keyword = match[3].replace(/ /g, "\\s+");
+  const columns = match[2]
+    .split(new RegExp(`,\\s*${keyword}\\s+`, "i"))
+    .map((part) => part.replace(new RegExp(`^${keyword}\\s+`, "i"), "").trim())
+    .map((definition) => ({ name: definition.split(/\s+/)[0], definition }));
+  return { table: match[1], action: /^ADD/i.test(match[3]) ? "add" : "drop", columns };
+};
@@ -0,0 +1,119 @@
+/**
+ * @file storage/sqlite.js
+ * @description Embedded SQLite backend (better-sqlite3) behind a pg.Pool-shaped
+ * handle: `query(sql, params)` -> `{ rows, rowCount }`, `connect()` -> client
+ * with `query` / `release`, `end()`. SQL is written for Postgres and rewritten
+ * by ./sqlite-dialect.js.
+ *
+ * There is one connection. A checked-out client (transactions, migrations)
+ * holds it exclusively; pool queries wait their turn, which keeps interleaved
+ * async requests from landing inside someone else's transaction.
+ */
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { translateQuery, fromSqliteRow, splitAlterColumns } from "./sqlite-dialect.js";
+
+export const createSqliteDatabase = ({ filename = ":memory:" } = {}) => {
+  if (filename !== ":memory:") fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  const alterColumns = ({ table, action, columns }) => {
+    const existing = new Set(db.prepare(`SELECT name FROM pragma_table_info('${table}')`).all().map((row) => row.name));
+    for (const column of columns) {
+      if (action === "add" && !existing.has(column.name)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${translateQuery(column.definition).text}`);
+      } else if (action === "drop" && existing.has(column.name)) {
+        db.exec(`ALTER TABLE ${table} DROP COLUMN ${column.name}`);
+      }
+    }
+    return { rows: [], rowCount: 0 };
+  };
+
+  const run = (sql, params = []) => {
+    const statement = sql.trim();
+
+    if (/^(BEGIN|COMMIT|ROLLBACK)\b/i.test(statement)) {
+      const isBegin = /^BEGIN/i.test(statement);
+      if (isBegin !== db.inTransaction) db.exec(statement.split(/\s/)[0]);
+      return { rows: [], rowCount: 0 };
+    }
+
+    const alteration = splitAlterColumns(statement);
+    if (alteration) return alterColumns(alteration);
+
+    const { text, values } = translateQuery(statement, params);
+    const prepared = db.prepare(text);
+    if (prepared.reader) {
+      const rows = prepared.all(values).map(fromSqliteRow);
+      return { rows, rowCount: rows.length };
+    }
+    const info = prepared.run(values);
+    return { rows: [], rowCount: info.changes };
+  };
+
+  // Single-connection mutex (FIFO)
+  let held = false;
+  const queue = [];
+  const acquire = () =>
+    new Promise((resolve) => {
+      if (!held) {
+        held = true;
+        resolve();
+      } else {
+        queue.push(resolve);
+      }
+    });
+  const releaseLock = () => {
+    const next = queue.shift();
+    if (next) next();
+    else held = false;
+  };
+
+  return {
+    dialect: "sqlite",
+
+    async query(sql, params) {
+      await acquire();
+      try {
+        return run(sql, params);
+      } finally {
+        releaseLock();
+      }
+    },
+
+    async connect() {
+      await acquire();
+      let released = false;
+      return {
+        dialect: "sqlite",
+        query: async (sql, params) => run(sql, params),
+        release() {
+          if (released) return;
+          released = true;
+          // A client handed back mid-transaction must not leak it to the next caller
+          if (db.inTransaction) db.exec("ROLLBACK");
+          releaseLock();
+        },
+      };
+    },
+
+    async end() {
+      db.close();
+    },
+
+    // pg.Pool's stats, for /metrics
+    get totalCount() {
+      return 1;
+    },
+    get idleCount() {
+      return held ? 0 : 1;
+    },
+    get waitingCount() {
+      return queue.length;
+    },
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * @file test/redact.test.js
+ * @description What the log redactor masks inside free text, and what it keeps.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { redactText, redactValue } from "../logging/redact.js";
+
+test("base64url tokens (refresh, verify/reset, share) and hex secrets are masked", () => {
+  const share = crypto.randomBytes(24).toString("base64url");
+  const refresh = crypto.randomBytes(48).toString("base64url");
+  const hash = crypto.createHash("sha256").update("x").digest("hex");
+
+  assert.equal(redactText(`GET /api/shared/${share}`), "GET /api/shared/[REDACTED]");
+  assert.equal(redactText(`refresh ${refresh} hash ${hash}`), "refresh [REDACTED] hash [REDACTED]");
+});
+
+test("UUIDs, routes and ordinary words survive", () => {
+  const requestId = crypto.randomUUID();
+  const line = `request ${requestId} GET /api/sessions/12/export?format=json internationalization`;
+  assert.equal(redactText(line), line);
+});
+
+test("emails, bearer headers and sensitive fields", () => {
+  assert.equal(redactText("login ann@example.test"), "login [email]");
+  assert.equal(redactText("Authorization: Bearer abc.def"), "Authorization: Bearer [REDACTED]");
+  assert.deepEqual(redactValue({ prompt: "secret plans", route: "/api/chat" }), { prompt: "[REDACTED]", route: "/api/chat" });
+});
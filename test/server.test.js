@@ -0,0 +1,349 @@
+/**
+ * @file test/server.test.js
+ * @description Boots server.js on an in-memory SQLite database with a fake
+ * Ollama node behind it, then walks the HTTP API: accounts and refresh
+ * tokens, chat (plain, streamed, branched), sessions, sharing, guests,
+ * personas, memories, usage and the admin console.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const ADMIN_EMAIL = "admin@example.test";
+const METRICS_TOKEN = "metrics-test-token";
+
+/** A stand-in Ollama node: fixed replies, streamed word by word, and flat embeddings. */
+const startFakeOllama = () => {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      if (req.url === "/api/tags") {
+        return res.end(JSON.stringify({ models: [{ name: "llama3.1:latest", size: 1, modified_at: "2024-05-01T00:00:00Z" }] }));
+      }
+      if (req.url === "/api/embed") {
+        const { input } = JSON.parse(body);
+        return res.end(JSON.stringify({ embeddings: [].concat(input).map(() => [0.1, 0.2, 0.3]) }));
+      }
+      if (req.url === "/api/generate") {
+        const { stream } = JSON.parse(body);
+        if (!stream) return res.end(JSON.stringify({ response: "Hello from the fake node.", done: true }));
+        for (const word of ["Streamed ", "hello ", "back."]) res.write(`${JSON.stringify({ response: word, done: false })}\n`);
+        return res.end(`${JSON.stringify({ response: "", done: true })}\n`);
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+};
+
+const freePort = () =>
+  new Promise((resolve) => {
+    const probe = http.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+let ollama;
+let child;
+let baseUrl;
+let output = "";
+
+const api = async (method, path, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Plain-text bodies (metrics, NDJSON streams) stay strings
+  }
+  return { status: response.status, data };
+};
+
+const signUp = async (username, email = `${username}@example.test`) => {
+  const register = await api("POST", "/api/register", { body: { username, email, password: "correct horse" } });
+  assert.equal(register.status, 201, JSON.stringify(register.data));
+  const login = await api("POST", "/api/login", { body: { email, password: "correct horse" } });
+  assert.equal(login.status, 200, JSON.stringify(login.data));
+  return login.data;
+};
+
+const chat = (token, body) => api("POST", "/api/chat", { token, body: { mode: "casual", user_name: "Tester", ...body } });
+
+test.before(async () => {
+  ollama = await startFakeOllama();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_DRIVER: "sqlite",
+      SQLITE_PATH: ":memory:",
+      OLLAMA_URL: `http://127.0.0.1:${ollama.address().port}`,
+      GEMINI_API_KEY: "",
+      OPENAI_COMPAT_URL: "",
+      AI_CHAIN: "",
+      // Left unset: with the console transport verification defaults to off
+      REQUIRE_EMAIL_VERIFICATION: "",
+      MAIL_TRANSPORT: "console",
+      MEMORY_EXTRACTION: "off",
+      ADMIN_EMAILS: ADMIN_EMAIL,
+      METRICS_TOKEN,
+      LOG_FORMAT: "json",
+      LOG_LEVEL: "error",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  const deadline = Date.now() + 20000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      if ((await fetch(`${baseUrl}/readyz`)).status === 200) return;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`Server did not become ready:\n${output}`);
+});
+
+test.after(async () => {
+  if (child && child.exitCode === null) {
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    child.kill("SIGTERM");
+    await exited;
+  }
+  if (ollama) await new Promise((resolve) => ollama.close(resolve));
+});
+
+test("probes: healthz, readyz with a usable AI tier, metrics behind a token", async () => {
+  assert.equal((await api("GET", "/healthz")).status, 200);
+
+  const ready = await api("GET", "/readyz");
+  assert.equal(ready.status, 200);
+  assert.equal(ready.data.checks.ai_tier, true);
+
+  assert.equal((await api("GET", "/metrics")).status, 401);
+  const metrics = await api("GET", "/metrics", { token: METRICS_TOKEN });
+  assert.equal(metrics.status, 200);
+  assert.match(metrics.data, /^# HELP /m);
+});
+
+test("accounts: register, profile, refresh rotation, grace, revocation", async () => {
+  await signUp("carol");
+  const again = await api("POST", "/api/register", { body: { username: "x", email: "carol@example.test", password: "p" } });
+  assert.equal(again.status, 400);
+  assert.equal((await api("POST", "/api/login", { body: { email: "carol@example.test", password: "wrong" } })).status, 401);
+
+  const { token, refresh_token } = await signUp("dave");
+  const me = await api("GET", "/api/me", { token });
+  assert.equal(me.status, 200);
+  assert.equal(me.data.username, "dave");
+
+  const renamed = await api("PATCH", "/api/me", { token, body: { username: "david" } });
+  assert.equal(renamed.status, 200);
+
+  // Rotation hands out a new pair; the old refresh token is spent
+  const rotated = await api("POST", "/api/refresh", { body: { refresh_token } });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.data.refresh_token, refresh_token);
+
+  // A second tab replaying the token it just lost the race for gets 409, not a logout
+  assert.equal((await api("POST", "/api/refresh", { body: { refresh_token } })).status, 409);
+  assert.equal((await api("POST", "/api/refresh", { body: { refresh_token: rotated.data.refresh_token } })).status, 200);
+
+  // Logged-out tokens never get the grace window
+  const fresh = await api("POST", "/api/login", { body: { email: "dave@example.test", password: "correct horse" } });
+  await api("POST", "/api/logout", { body: { refresh_token: fresh.data.refresh_token } });
+  const afterLogout = await api("POST", "/api/refresh", { body: { refresh_token: fresh.data.refresh_token } });
+  assert.equal(afterLogout.status, 401);
+
+  assert.equal((await api("POST", "/api/refresh", { body: { refresh_token: "not-a-token" } })).status, 401);
+  assert.equal((await api("POST", "/api/refresh", { body: {} })).status, 400);
+});
+
+test("chat: reply, stream, regenerate into a branch, switch back, rename, search", async () => {
+  const { token } = await signUp("erin");
+
+  const first = await chat(token, { prompt: "Say hello" });
+  assert.equal(first.status, 200, JSON.stringify(first.data));
+  assert.equal(first.data.content, "Hello from the fake node.");
+  const sessionId = first.data.session_id;
+  assert.ok(sessionId);
+
+  const streamed = await chat(token, { prompt: "Stream please", session_id: sessionId, stream: true });
+  assert.equal(streamed.status, 200);
+  const events = streamed.data.trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(events.filter((e) => e.type === "chunk").map((e) => e.text).join(""), "Streamed hello back.");
+  const done = events.at(-1);
+  assert.equal(done.type, "done");
+  assert.equal(done.session_id, sessionId);
+
+  let history = await api("GET", `/api/chat/${sessionId}`, { token });
+  assert.equal(history.status, 200);
+  assert.deepEqual(history.data.map((m) => m.role), ["user", "model", "user", "model"]);
+
+  // Regenerating the first reply forks the conversation at that turn
+  const regenerated = await chat(token, { session_id: sessionId, regenerate_record_id: first.data.model_record_id });
+  assert.equal(regenerated.status, 200, JSON.stringify(regenerated.data));
+  history = await api("GET", `/api/chat/${sessionId}`, { token });
+  assert.equal(history.data.length, 2);
+  assert.equal(history.data[1].branch.count, 2);
+
+  const switched = await api("PUT", `/api/sessions/${sessionId}/branch`, { token, body: { record_id: first.data.model_record_id } });
+  assert.equal(switched.status, 200);
+  assert.equal(switched.data.length, 4);
+
+  assert.equal((await api("PUT", `/api/sessions/${sessionId}`, { token, body: { session_name: "Greetings" } })).status, 200);
+  const sessions = await api("GET", "/api/sessions", { token });
+  assert.equal(sessions.data.find((s) => s.session_id === sessionId).session_name, "Greetings");
+
+  const search = await api("GET", `/api/search?q=${encodeURIComponent("stream")}`, { token });
+  assert.equal(search.status, 200);
+  assert.ok(search.data.messages.some((m) => m.session_id === sessionId));
+  assert.equal((await api("GET", "/api/search?q=ab&q=cd", { token })).status, 400);
+});
+
+test("chat: sessions that don't exist or belong to someone else are refused before generating", async () => {
+  const { token } = await signUp("frank");
+  const missing = await chat(token, { prompt: "hi", session_id: 999999 });
+  assert.equal(missing.status, 404);
+
+  const other = await signUp("grace");
+  const theirs = await chat(other.token, { prompt: "mine" });
+  assert.equal((await chat(token, { prompt: "hi", session_id: theirs.data.session_id })).status, 403);
+  assert.equal((await api("GET", `/api/chat/${theirs.data.session_id}`, { token })).status, 403);
+});
+
+test("sessions: export, re-import, share and view the share", async () => {
+  const { token } = await signUp("heidi");
+  const { data } = await chat(token, { prompt: "Remember this conversation" });
+
+  const exported = await api("GET", `/api/sessions/${data.session_id}/export?format=json`, { token });
+  assert.equal(exported.status, 200);
+  assert.equal((await api("GET", `/api/sessions/${data.session_id}/export?format=md&format=json`, { token })).status, 400);
+  assert.equal((await api("GET", `/api/sessions/${data.session_id}/export?format=constructor`, { token })).status, 400);
+  const imported = await api("POST", "/api/sessions/import", { token, body: { data: exported.data } });
+  assert.equal(imported.status, 201, JSON.stringify(imported.data));
+  assert.equal((await api("GET", "/api/sessions", { token })).data.length, 2);
+  assert.equal((await api("POST", "/api/sessions/import", { token, body: { data: { nope: true } } })).status, 422);
+
+  const share = await api("POST", `/api/sessions/${data.session_id}/shares`, { token, body: { expires_in_hours: 1 } });
+  assert.equal(share.status, 201);
+  const shared = await api("GET", `/api/shared/${share.data.share.share_token}`);
+  assert.equal(shared.status, 200);
+  assert.equal(shared.data.shared_by, "heidi");
+  assert.equal(shared.data.messages.length, 2);
+  assert.equal((await api("GET", "/api/shared/nope")).status, 404);
+});
+
+test("attachments: upload into a new session, reject bad metadata", async () => {
+  const { token } = await signUp("kate");
+  const data = Buffer.from("Deploys run every Tuesday.\n").toString("base64");
+
+  const uploaded = await api("POST", "/api/attachments", { token, body: { filename: "notes.txt", mime_type: null, data } });
+  assert.equal(uploaded.status, 201, JSON.stringify(uploaded.data));
+  const listed = await api("GET", `/api/sessions/${uploaded.data.session_id}/attachments`, { token });
+  assert.deepEqual(listed.data.map((a) => a.filename), ["notes.txt"]);
+
+  assert.equal((await api("POST", "/api/attachments", { token, body: { filename: "blob.xyz", mime_type: null, data } })).status, 415);
+  assert.equal((await api("POST", "/api/attachments", { token, body: { filename: 5, data } })).status, 400);
+});
+
+test("guests: create, renew, chat, merge into an account", async () => {
+  const guest = await api("POST", "/api/guest");
+  assert.equal(guest.status, 201);
+  const renewed = await api("POST", "/api/guest", { token: guest.data.token });
+  assert.equal(renewed.data.renewed, true);
+  assert.equal(renewed.data.userId, guest.data.userId);
+
+  const guestChat = await chat(guest.data.token, { prompt: "Hi as a guest" });
+  assert.equal(guestChat.status, 200);
+
+  const { token } = await signUp("ivan");
+  const merged = await api("POST", "/api/guest/merge", { token, body: { guest_token: guest.data.token } });
+  assert.equal(merged.status, 200, JSON.stringify(merged.data));
+  assert.deepEqual((await api("GET", "/api/sessions", { token })).data.map((s) => s.session_id), [guestChat.data.session_id]);
+  assert.equal((await api("POST", "/api/guest/merge", { token, body: { guest_token: guest.data.token } })).status, 404);
+});
+
+test("personas, memories, quota and usage", async () => {
+  const { token } = await signUp("judy");
+
+  const persona = await api("POST", "/api/personas", { token, body: { name: "Pirate", system_instruction: "Talk like a pirate." } });
+  assert.equal(persona.status, 201);
+  assert.ok((await api("GET", "/api/personas", { token })).data.some((p) => p.key === persona.data.key));
+  assert.equal((await chat(token, { prompt: "Ahoy", mode: persona.data.key })).status, 200);
+  assert.equal((await api("POST", "/api/personas", { token, body: { name: "" } })).status, 400);
+  assert.equal((await api("POST", "/api/personas", { token, body: { name: 5, system_instruction: "x" } })).status, 400);
+  assert.equal((await api("PUT", `/api/personas/${persona.data.persona_id}`, { token, body: { name: "P", system_instruction: ["x"] } })).status, 400);
+
+  const memory = await api("POST", "/api/memories", { token, body: { fact: "Prefers metric units." } });
+  assert.equal(memory.status, 201);
+  assert.deepEqual((await api("GET", "/api/memories", { token })).data.map((m) => m.fact), ["Prefers metric units."]);
+  assert.equal((await api("POST", "/api/memories", { token, body: { fact: 5 } })).status, 400);
+  assert.equal((await api("PUT", `/api/memories/${memory.data.memory_id}`, { token, body: { fact: ["x"] } })).status, 400);
+
+  const quota = await api("GET", "/api/quota", { token });
+  assert.equal(quota.status, 200);
+  assert.equal(quota.data.used.messages, 1);
+
+  const usage = await api("GET", "/api/usage?days=7", { token });
+  assert.equal(usage.status, 200);
+});
+
+test("admin console", async () => {
+  const admin = await signUp("root", ADMIN_EMAIL);
+  const { token: userToken } = await signUp("mallory");
+  const me = await api("GET", "/api/me", { token: userToken });
+  const malloryId = me.data.id;
+
+  assert.equal((await api("GET", "/api/admin/overview", { token: userToken })).status, 403);
+  const overview = await api("GET", "/api/admin/overview", { token: admin.token });
+  assert.equal(overview.status, 200);
+
+  const users = await api("GET", "/api/admin/users?q=mallo", { token: admin.token });
+  assert.equal(users.status, 200);
+  assert.deepEqual(users.data.map((u) => u.username), ["mallory"]);
+
+  const limits = await api("PUT", `/api/admin/users/${malloryId}/limits`, { token: admin.token, body: { messages_per_day: 1 } });
+  assert.equal(limits.status, 200, JSON.stringify(limits.data));
+  assert.equal((await chat(userToken, { prompt: "one" })).status, 200);
+  assert.equal((await chat(userToken, { prompt: "two" })).status, 429);
+
+  const disabled = await api("PATCH", `/api/admin/users/${malloryId}`, { token: admin.token, body: { disabled: true } });
+  assert.equal(disabled.status, 200);
+  assert.equal((await api("POST", "/api/login", { body: { email: "mallory@example.test", password: "correct horse" } })).status, 403);
+
+  assert.equal((await api("GET", "/api/admin/models?days=7", { token: admin.token })).status, 200);
+  assert.equal((await api("GET", "/api/admin/summarizer", { token: admin.token })).status, 200);
+
+  for (const idle_hours of [0, -1, "abc", 0.0001]) {
+    const purge = await api("POST", "/api/admin/guests/purge", { token: admin.token, body: { idle_hours } });
+    assert.equal(purge.status, 400, `idle_hours=${idle_hours}`);
+  }
+  const purge = await api("POST", "/api/admin/guests/purge", { token: admin.token, body: { idle_hours: 24 } });
+  assert.equal(purge.status, 200);
+  assert.equal(purge.data.purged, 0);
+});
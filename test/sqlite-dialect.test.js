@@ -0,0 +1,171 @@
+/**
+ * @file test/sqlite-dialect.test.js
+ * @description The Postgres -> SQLite rewrites, one per query shape the
+ * routes and migrations use, plus value conversion in both directions.
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { translateQuery, fromSqliteRow, splitAlterColumns, toSqliteTimestamp } from "../storage/sqlite-dialect.js";
+
+const SQLITE_NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now')";
+const sql = (text) => translateQuery(text).text;
+
+test("$n placeholders become positional ? in order of appearance, reusing values", () => {
+  const { text, values } = translateQuery("SELECT * FROM t WHERE a = $2 AND b = $1 AND c = $2", ["one", "two"]);
+  assert.equal(text, "SELECT * FROM t WHERE a = ? AND b = ? AND c = ?");
+  assert.deepEqual(values, ["two", "one", "two"]);
+});
+
+test("$n inside a string literal is left alone", () => {
+  const { text, values } = translateQuery("SELECT '$1 off' AS label, $1 AS v", [5]);
+  assert.equal(text, "SELECT '$1 off' AS label, ? AS v");
+  assert.deepEqual(values, [5]);
+});
+
+test("NOW(), CURRENT_TIMESTAMP and DEFAULT CURRENT_TIMESTAMP share one layout", () => {
+  assert.equal(sql("UPDATE users SET last_seen_at = NOW() WHERE id = $1"), `UPDATE users SET last_seen_at = ${SQLITE_NOW} WHERE id = ?`);
+  assert.equal(sql("WHERE expires_at > CURRENT_TIMESTAMP"), `WHERE expires_at > ${SQLITE_NOW}`);
+  assert.equal(sql("created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP"), `created_at TIMESTAMP DEFAULT (${SQLITE_NOW})`);
+});
+
+test("NOW() ± ($n * INTERVAL '1 unit') becomes a strftime modifier", () => {
+  assert.equal(
+    sql("VALUES (NOW() + ($5 * INTERVAL '1 day'))"),
+    "VALUES (strftime('%Y-%m-%d %H:%M:%f', 'now', '+' || (?) || ' days'))"
+  );
+  assert.equal(
+    sql("WHERE locked_at < NOW() - ($1 * INTERVAL '1 millisecond')"),
+    "WHERE locked_at < strftime('%Y-%m-%d %H:%M:%f', 'now', '-' || ((?) / 1000.0) || ' seconds')"
+  );
+  assert.match(sql("NOW() + ($4 * INTERVAL '1 minute')"), /' minutes'\)$/);
+  assert.match(sql("NOW() - ($1 * INTERVAL '1 hour')"), /'-' \|\| \(\?\) \|\| ' hours'\)$/);
+});
+
+test("NOW() - INTERVAL 'n unit' with a literal amount", () => {
+  assert.equal(
+    sql("WHERE revoked_at < NOW() - INTERVAL '1 day'"),
+    "WHERE revoked_at < strftime('%Y-%m-%d %H:%M:%f', 'now', '-' || (1) || ' days')"
+  );
+});
+
+test("CURRENT_DATE and CURRENT_DATE - $n (with or without ::INT)", () => {
+  assert.equal(sql("timestamp >= CURRENT_DATE"), "timestamp >= date('now')");
+  assert.equal(sql("created_at >= CURRENT_DATE - $2::INT"), "created_at >= date('now', '-' || (?) || ' days')");
+  assert.equal(sql("created_at >= CURRENT_DATE - $1"), "created_at >= date('now', '-' || (?) || ' days')");
+});
+
+test("casts: ::DATE AS TEXT, ::TEXT, and the ones SQLite can drop", () => {
+  assert.equal(sql("SELECT CAST(created_at::DATE AS TEXT) AS day"), "SELECT date(created_at) AS day");
+  assert.equal(sql("'user:' || u.id::TEXT"), "'user:' || CAST(u.id AS TEXT)");
+  assert.equal(sql("CASE WHEN $1::BOOL IS NULL THEN 1 END"), "CASE WHEN ? IS NULL THEN 1 END");
+  assert.equal(sql("$2::TIMESTAMP IS NULL"), "? IS NULL");
+  assert.equal(sql("$1::JSONB"), "?");
+  assert.equal(sql("tokens::INT8"), "tokens");
+});
+
+test("ILIKE gets LIKE with the backslash escape toLikePattern relies on", () => {
+  assert.equal(sql("r.message_text ILIKE $2"), "r.message_text LIKE ? ESCAPE '\\'");
+});
+
+test("= ANY($n) reads the bound array through json_each", () => {
+  const { text, values } = translateQuery("WHERE subject = ANY($2)", ["2024-01-01", ["user:1", "ip:x"]]);
+  assert.equal(text, "WHERE subject IN (SELECT value FROM json_each(?))");
+  assert.deepEqual(values, ['["user:1","ip:x"]']);
+});
+
+test("FOR UPDATE is dropped (the single connection already serialises)", () => {
+  assert.equal(sql("SELECT id FROM users WHERE id = $1 FOR UPDATE"), "SELECT id FROM users WHERE id = ?");
+});
+
+test("DDL: SERIAL keys, DROP TABLE … CASCADE", () => {
+  assert.equal(sql("id SERIAL PRIMARY KEY,"), "id INTEGER PRIMARY KEY AUTOINCREMENT,");
+  assert.equal(sql("DROP TABLE IF EXISTS users CASCADE;"), "DROP TABLE IF EXISTS users;");
+});
+
+test("UPDATE with a table alias gets AS", () => {
+  assert.equal(sql("UPDATE chat_records r SET parent_record_id = 1"), "UPDATE chat_records AS r SET parent_record_id = 1");
+  assert.equal(sql("UPDATE users SET role = 'admin'"), "UPDATE users SET role = 'admin'");
+});
+
+test("RETURNING, ON CONFLICT, FILTER and IS DISTINCT FROM pass through unchanged", () => {
+  const statements = [
+    "INSERT INTO t (a) VALUES (?) ON CONFLICT (a) DO NOTHING RETURNING a",
+    "SELECT COUNT(*) FILTER (WHERE is_guest) AS guests FROM users",
+    "WHERE family_id IS DISTINCT FROM ?",
+  ];
+  for (const statement of statements) assert.equal(sql(statement), statement);
+});
+
+test("bound values: booleans, Dates and objects convert; strings never do", () => {
+  const when = new Date(Date.UTC(2024, 4, 1, 10, 0, 0, 5));
+  const { values } = translateQuery("SELECT $1, $2, $3, $4, $5, $6, $7, $8", [
+    true,
+    false,
+    when,
+    "2024-05-01T10:00:00.005Z",
+    "2024-05-01T15:30:00+05:30",
+    { temperature: 0.2 },
+    undefined,
+    "2024-05-01T10:00 is not a timestamp",
+  ]);
+  assert.deepEqual(values, [
+    1,
+    0,
+    "2024-05-01 10:00:00.005",
+    "2024-05-01T10:00:00.005Z",
+    "2024-05-01T15:30:00+05:30",
+    '{"temperature":0.2}',
+    null,
+    "2024-05-01T10:00 is not a timestamp",
+  ]);
+  assert.equal(toSqliteTimestamp(when), "2024-05-01 10:00:00.005");
+});
+
+test("fromSqliteRow: timestamps, JSON columns and flags come back like node-pg's", () => {
+  const row = fromSqliteRow({
+    created_at: "2024-05-01 10:00:00.005",
+    timestamp: "2024-05-01 10:00:00",
+    citations: '[{"n":1}]',
+    attempts: "not json",
+    is_guest: 1,
+    streamed: 0,
+    message_text: "2024-05-01 10:00:00",
+    revoked_at: null,
+  });
+  assert.deepEqual(row.created_at, new Date("2024-05-01T10:00:00.005Z"));
+  assert.deepEqual(row.timestamp, new Date("2024-05-01T10:00:00Z"));
+  assert.deepEqual(row.citations, [{ n: 1 }]);
+  assert.equal(row.attempts, "not json");
+  assert.equal(row.is_guest, true);
+  assert.equal(row.streamed, false);
+  assert.equal(row.message_text, "2024-05-01 10:00:00");
+  assert.equal(row.revoked_at, null);
+});
+
+test("splitAlterColumns: multi-column ADD / DROP … IF [NOT] EXISTS", () => {
+  assert.deepEqual(
+    splitAlterColumns(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS is_guest BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP;
+    `),
+    {
+      table: "users",
+      action: "add",
+      columns: [
+        { name: "is_guest", definition: "is_guest BOOLEAN DEFAULT FALSE" },
+        { name: "last_seen_at", definition: "last_seen_at TIMESTAMP" },
+      ],
+    }
+  );
+  assert.deepEqual(splitAlterColumns("ALTER TABLE users DROP COLUMN IF EXISTS role, DROP COLUMN IF EXISTS disabled_at;"), {
+    table: "users",
+    action: "drop",
+    columns: [
+      { name: "role", definition: "role" },
+      { name: "disabled_at", definition: "disabled_at" },
+    ],
+  });
+  assert.equal(splitAlterColumns("ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP;"), null);
+  assert.equal(splitAlterColumns("SELECT 1"), null);
+});
@@ -0,0 +1,281 @@
+/**
+ * @file test/storage.test.js
+ * @description The SQLite backend end to end: migrations up and down, the
+ * user / session / record repositories, and the raw query shapes the routes
+ * send through `storage.db` (ON CONFLICT, FILTER, ANY, ILIKE, date maths,
+ * transactions).
+ */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createStorage } from "../storage/index.js";
+import { migrateUp, migrateDown, migrationStatus, loadMigrations } from "../migrations/runner.js";
+
+const freshStorage = async () => {
+  const storage = createStorage("sqlite", { filename: ":memory:" });
+  await migrateUp(storage.db);
+  return storage;
+};
+
+const createUser = (storage, name, extra = {}) =>
+  storage.users.create({ username: name, email: `${name}@example.test`, passwordHash: "hash", ...extra });
+
+test("createStorage rejects unknown drivers", () => {
+  assert.throws(() => createStorage("mongo"), /Unknown storage driver: mongo/);
+});
+
+test("migrations apply, revert completely and re-apply", async () => {
+  const storage = createStorage("sqlite", { filename: ":memory:" });
+  const migrations = await loadMigrations();
+
+  assert.deepEqual(await migrateUp(storage.db), migrations.map((m) => m.version));
+  assert.ok((await migrationStatus(storage.db)).every((row) => row.state === "applied"));
+  assert.deepEqual(await migrateUp(storage.db), []);
+
+  await migrateDown(storage.db, { steps: migrations.length });
+  const tables = await storage.db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  assert.deepEqual(tables.rows.map((row) => row.name).sort(), ["schema_migrations", "schema_migrations_lock"]);
+
+  await migrateUp(storage.db);
+  const columns = await storage.db.query("SELECT name FROM pragma_table_info('users')");
+  assert.ok(columns.rows.some((row) => row.name === "email_verified_at"));
+  await storage.close();
+});
+
+test("users repository", async () => {
+  const storage = await freshStorage();
+  const { users } = storage;
+
+  const ann = await createUser(storage, "ann", { role: "admin" });
+  assert.deepEqual(ann, { id: 1, username: "ann", email: "ann@example.test" });
+  assert.equal((await users.findByEmail("ann@example.test")).role, "admin");
+  assert.equal(await users.findById(999), null);
+
+  assert.equal(await users.isEmailTaken("ann@example.test"), true);
+  assert.equal(await users.isEmailTaken("ann@example.test", ann.id), false);
+
+  const updated = await users.updateProfile(ann.id, { username: "anne", resetVerification: true });
+  assert.equal(updated.username, "anne");
+  assert.equal(updated.email, "ann@example.test");
+  assert.equal(updated.email_verified_at, null);
+
+  await users.setPassword(ann.id, "new-hash", { markVerified: true });
+  const verified = await users.findById(ann.id);
+  assert.equal(verified.password, "new-hash");
+  assert.ok(verified.email_verified_at instanceof Date);
+
+  const suspended = await users.updateAdminFlags(ann.id, { disabled: true });
+  assert.ok(suspended.disabled_at instanceof Date);
+  assert.equal(suspended.role, "admin");
+  const restored = await users.updateAdminFlags(ann.id, { disabled: false, role: "user" });
+  assert.equal(restored.disabled_at, null);
+  assert.equal(restored.role, "user");
+  assert.equal(await users.updateAdminFlags(999, { role: "user" }), null);
+
+  await users.promoteAdmins(["ANN@example.test".toLowerCase()]);
+  assert.equal((await users.findById(ann.id)).role, "admin");
+
+  await users.delete(ann.id);
+  assert.equal(await users.findById(ann.id), null);
+  await storage.close();
+});
+
+test("guest identities: renew, idle sweep, single delete", async () => {
+  const storage = await freshStorage();
+  const { users } = storage;
+
+  const fresh = await users.createGuest({ username: "Guest User", email: "guest-1@guest.local", passwordHash: "x" });
+  const idle = await users.createGuest({ username: "Guest User", email: "guest-2@guest.local", passwordHash: "x" });
+  const account = await createUser(storage, "bob");
+  assert.equal((await users.findById(fresh.id)).is_guest, true);
+
+  assert.deepEqual(await users.renewGuest(fresh.id), { id: fresh.id, username: "Guest User" });
+  assert.equal(await users.renewGuest(account.id), null);
+
+  await storage.db.query("UPDATE users SET last_seen_at = NOW() - ($1 * INTERVAL '1 hour') WHERE id = $2", [30, idle.id]);
+  assert.deepEqual(await users.deleteIdleGuests(24), [idle.id]);
+  assert.deepEqual(await users.deleteIdleGuests(24), []);
+
+  assert.equal(await users.deleteGuest(account.id), false);
+  assert.equal(await users.deleteGuest(fresh.id), true);
+  await storage.close();
+});
+
+test("sessions and records repositories", async () => {
+  const storage = await freshStorage();
+  const { sessions, records } = storage;
+  const ann = await createUser(storage, "ann");
+  const bob = await createUser(storage, "bob");
+
+  const first = await sessions.create(ann.id);
+  const second = await sessions.create(ann.id, "Notes.pdf");
+  assert.equal((await sessions.findById(first.session_id)).session_name, "New Conversation");
+  assert.equal(await sessions.findOwned(first.session_id, bob.id), null);
+  assert.equal((await sessions.findOwned(second.session_id, ann.id)).session_name, "Notes.pdf");
+
+  const newestFirst = await sessions.listForUser(ann.id);
+  assert.deepEqual(newestFirst.map((s) => s.session_id), [second.session_id, first.session_id]);
+  assert.deepEqual((await sessions.listForUser(ann.id, { oldestFirst: true })).map((s) => s.session_id), [first.session_id, second.session_id]);
+
+  const turn = { sessionId: first.session_id, userId: ann.id, userName: "ann", mode: "casual" };
+  const promptId = await records.insert({ ...turn, role: "user", text: "hello", modelUsed: "user-input" });
+  const replyId = await records.insert({
+    ...turn,
+    role: "model",
+    text: "hi there",
+    modelUsed: "Ollama",
+    citations: JSON.stringify([{ n: 1, filename: "a.txt" }]),
+    parentRecordId: promptId,
+  });
+  await sessions.setActiveLeaf(first.session_id, replyId);
+
+  const history = await records.listForSession(first.session_id);
+  assert.deepEqual(history.map((r) => r.record_id), [promptId, replyId]);
+  assert.deepEqual(history[1].citations, [{ n: 1, filename: "a.txt" }]);
+  assert.ok(history[0].timestamp instanceof Date);
+  assert.deepEqual((await records.listOpening(first.session_id, 1)).map((r) => r.message_text), ["hello"]);
+  assert.equal((await records.findById(replyId)).parent_record_id, promptId);
+  assert.equal(await records.findInSession(replyId, second.session_id), null);
+  assert.equal((await records.findInSession(replyId, first.session_id)).role, "model");
+  assert.equal(await records.countModelRepliesToday(), 1);
+
+  await sessions.setContextSummary(first.session_id, "they said hello", promptId);
+  let session = await sessions.findById(first.session_id);
+  assert.equal(session.active_leaf_id, replyId);
+  assert.equal(session.context_summary, "they said hello");
+  assert.deepEqual(session.summary_through, history[0].timestamp);
+
+  // Only a summary reaching the given point is dropped
+  await sessions.clearContextSummary(first.session_id, { reaching: new Date(Date.now() + 60000) });
+  assert.equal((await sessions.findById(first.session_id)).context_summary, "they said hello");
+  await sessions.clearContextSummary(first.session_id, { reaching: history[0].timestamp });
+  session = await sessions.findById(first.session_id);
+  assert.equal(session.context_summary, null);
+  assert.equal(session.summary_through, null);
+
+  assert.equal(await sessions.countAll(), 2);
+  assert.equal(await sessions.countUnsummarized(), 2);
+  assert.deepEqual((await sessions.listUnsummarized(1)).map((s) => s.session_id), [first.session_id]);
+  await sessions.setTitle(first.session_id, "Greetings");
+  assert.equal(await sessions.countUnsummarized(), 1);
+  assert.equal((await sessions.findById(first.session_id)).is_summarized, true);
+
+  assert.equal(await sessions.rename(first.session_id, bob.id, "Stolen"), null);
+  assert.equal((await sessions.rename(first.session_id, ann.id, "Renamed")).session_name, "Renamed");
+
+  await sessions.delete(first.session_id, bob.id);
+  assert.ok(await sessions.findById(first.session_id));
+  await sessions.delete(first.session_id, ann.id);
+  assert.equal(await sessions.findById(first.session_id), null);
+  assert.deepEqual(await records.listForSession(first.session_id), [], "records cascade with their session");
+  await storage.close();
+});
+
+test("Date parameters sort and compare with NOW()-written timestamps; ISO-looking text stays as typed", async () => {
+  const storage = await freshStorage();
+  const ann = await createUser(storage, "ann");
+  const { session_id } = await storage.sessions.create(ann.id);
+
+  await storage.db.query(
+    "INSERT INTO chat_records (session_id, role, message_text, timestamp) VALUES ($1, 'user', 'imported', $2)",
+    [session_id, new Date(Date.now() - 60000)]
+  );
+  await storage.db.query("INSERT INTO chat_records (session_id, role, message_text) VALUES ($1, 'user', 'live')", [session_id]);
+
+  const ordered = await storage.records.listForSession(session_id);
+  assert.deepEqual(ordered.map((r) => r.message_text), ["imported", "live"]);
+  const later = await storage.db.query("SELECT message_text FROM chat_records WHERE timestamp >= $1", [new Date(Date.now() - 30000)]);
+  assert.deepEqual(later.rows.map((r) => r.message_text), ["live"]);
+
+  const dateLike = "2024-05-01T10:00:00.000Z";
+  const recordId = await storage.records.insert({ sessionId: session_id, userId: ann.id, role: "user", text: dateLike });
+  assert.equal((await storage.records.findById(recordId)).message_text, dateLike);
+  await storage.close();
+});
+
+test("raw route query shapes run on SQLite", async () => {
+  const storage = await freshStorage();
+  const { db } = storage;
+  const ann = await createUser(storage, "ann");
+  await storage.users.createGuest({ username: "Guest User", email: "guest-1@guest.local", passwordHash: "x" });
+
+  // Daily usage upsert + ANY() lookup (quota middleware)
+  const upsert = `INSERT INTO usage_daily (subject, day, messages, tokens) VALUES ($1, $2, 1, $3)
+                  ON CONFLICT (subject, day) DO UPDATE SET messages = usage_daily.messages + 1, tokens = usage_daily.tokens + $3`;
+  await db.query(upsert, ["user:1", "2024-05-01", 10]);
+  await db.query(upsert, ["user:1", "2024-05-01", 5]);
+  const usage = await db.query("SELECT subject, messages, tokens FROM usage_daily WHERE day = $1 AND subject = ANY($2)", [
+    "2024-05-01",
+    ["user:1", "ip:127.0.0.1"],
+  ]);
+  assert.deepEqual(usage.rows, [{ subject: "user:1", messages: 2, tokens: 15 }]);
+
+  // FILTER aggregates (admin overview)
+  const overview = await db.query(`
+    SELECT COUNT(*) FILTER (WHERE NOT is_guest) AS accounts, COUNT(*) FILTER (WHERE is_guest) AS guests
+    FROM users
+  `);
+  assert.deepEqual(overview.rows[0], { accounts: 1, guests: 1 });
+
+  // ILIKE with an escaped pattern, and ::TEXT concatenation in a join (admin users)
+  const found = await db.query(
+    `SELECT u.username, COALESCE(d.messages, 0) AS messages_today FROM users u
+     LEFT JOIN usage_daily d ON d.subject = 'user:' || u.id::TEXT AND d.day = $2
+     WHERE u.username ILIKE $1 OR u.email ILIKE $1`,
+    ["%AN\\_%", "2024-05-01"]
+  );
+  assert.deepEqual(found.rows, []);
+  const foundPlain = await db.query("SELECT username FROM users WHERE username ILIKE $1", ["%AN%"]);
+  assert.deepEqual(foundPlain.rows, [{ username: "ann" }]);
+
+  // Per-day grouping over a window (usage page, admin traffic)
+  const { session_id } = await storage.sessions.create(ann.id);
+  await storage.records.insert({ sessionId: session_id, userId: ann.id, role: "model", text: "a", modelUsed: "Ollama" });
+  const traffic = await db.query(
+    `SELECT model_used, CAST(timestamp::DATE AS TEXT) AS day, COUNT(*) AS replies FROM chat_records
+     WHERE role = 'model' AND timestamp >= CURRENT_DATE - $1::INT GROUP BY model_used, day`,
+    [6]
+  );
+  assert.deepEqual(traffic.rows, [{ model_used: "Ollama", day: new Date().toISOString().substring(0, 10), replies: 1 }]);
+
+  // Token expiry arithmetic and IS DISTINCT FROM (refresh tokens)
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 day'))`,
+    [ann.id, "h1", "fam-a", 30]
+  );
+  await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 day'))`,
+    [ann.id, "h2", "fam-b", 30]
+  );
+  const live = await db.query("SELECT token_hash, expires_at < NOW() AS expired FROM refresh_tokens WHERE token_hash = $1", ["h1"]);
+  assert.equal(live.rows[0].expired, false);
+  const revoked = await db.query(
+    "UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'password_change' WHERE user_id = $1 AND revoked_at IS NULL AND family_id IS DISTINCT FROM $2",
+    [ann.id, "fam-a"]
+  );
+  assert.equal(revoked.rowCount, 1);
+  const grace = await db.query(
+    `SELECT revoked_reason = 'rotated' AND revoked_at > NOW() - ($1 * INTERVAL '1 millisecond') AS just_rotated
+     FROM refresh_tokens WHERE token_hash = $2`,
+    [10000, "h2"]
+  );
+  assert.equal(grace.rows[0].just_rotated, false);
+  await storage.close();
+});
+
+test("transactions: a checked-out client holds the connection and ROLLBACK undoes its writes", async () => {
+  const storage = await freshStorage();
+  const ann = await createUser(storage, "ann");
+
+  const client = await storage.db.connect();
+  await client.query("BEGIN");
+  await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [ann.id]);
+  await client.query("UPDATE users SET username = $1 WHERE id = $2", ["changed", ann.id]);
+
+  // Pool queries wait for the client instead of landing inside its transaction
+  const waiting = storage.users.findById(ann.id);
+  await client.query("ROLLBACK");
+  client.release();
+
+  assert.equal((await waiting).username, "ann");
+  await storage.close();
+});
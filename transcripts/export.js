@@ -0,0 +1,139 @@
+/**
+ * @file transcripts/export.js
+ * @description Renders a session transcript as Markdown, structured JSON,
+ * standalone HTML or PDF. Every renderer takes the same
+ * `{ session, messages }` shape built by server.js (messages are the active
+ * branch for the human-readable formats and every record for JSON).
+ */
+import PDFDocument from "pdfkit";
+
+export const EXPORT_FORMAT_ID = "avneesh-bot.session";
+export const EXPORT_FORMAT_VERSION = 1;
+
+const speaker = (message) => (message.role === "user" ? message.user_name || "User" : "Avneesh AI");
+const stamp = (value) => (value ? new Date(value).toISOString().replace("T", " ").substring(0, 16) : "");
+
+/**
+ * @function exportFilename
+ * @description Safe download name, e.g. "docker-networking-42.md".
+ */
+export const exportFilename = (session, extension) => {
+  const slug = (session.session_name || "conversation")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 50) || "conversation";
+  return `${slug}-${session.session_id}.${extension}`;
+};
+
+/**
+ * @function toMarkdown
+ */
+export const toMarkdown = ({ session, messages }) => {
+  const lines = [`# ${session.session_name || "Conversation"}`, "", `_Exported ${stamp(new Date())} UTC_`, ""];
+  for (const message of messages) {
+    const meta = [stamp(message.timestamp), message.role === "model" ? message.model_used : null, message.mode]
+      .filter(Boolean)
+      .join(" · ");
+    lines.push(`### ${speaker(message)}${meta ? ` — ${meta}` : ""}`, "", message.message_text, "");
+  }
+  return lines.join("\n");
+};
+
+/**
+ * @function toJson
+ * @description The lossless format (branches included). transcripts/import.js reads it back.
+ */
+export const toJson = ({ session, messages }) => ({
+  format: EXPORT_FORMAT_ID,
+  version: EXPORT_FORMAT_VERSION,
+  exported_at: new Date().toISOString(),
+  session: {
+    session_id: session.session_id,
+    session_name: session.session_name,
+    created_at: session.created_at,
+    active_leaf_id: session.active_leaf_id || null,
+  },
+  messages: messages.map((message) => ({
+    record_id: message.record_id,
+    parent_record_id: message.parent_record_id || null,
+    role: message.role,
+    text: message.message_text,
+    mode: message.mode,
+    model_used: message.model_used,
+    citations: message.citations || null,
+    timestamp: message.timestamp,
+  })),
+});
+
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * @function toHtml
+ * @description Single self-contained page (inline CSS, no scripts).
+ */
+export const toHtml = ({ session, messages }) => {
+  const title = escapeHtml(session.session_name || "Conversation");
+  const bubbles = messages.map((message) => `
+    <article class="msg ${message.role === "user" ? "user" : "model"}">
+      <header><strong>${escapeHtml(speaker(message))}</strong>
+        <span>${escapeHtml([stamp(message.timestamp), message.role === "model" ? message.model_used : null].filter(Boolean).join(" · "))}</span>
+      </header>
+      <div class="text">${escapeHtml(message.message_text)}</div>
+    </article>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+  body { margin: 0; padding: 32px 16px; background: #0d1117; color: #e6edf3; font: 15px/1.55 system-ui, sans-serif; }
+  main { max-width: 820px; margin: 0 auto; }
+  h1 { font-size: 1.4rem; }
+  .msg { margin: 14px 0; padding: 12px 16px; border-radius: 12px; border: 1px solid #30363d; background: #161b22; }
+  .msg.user { background: #1f2a37; }
+  .msg header { display: flex; justify-content: space-between; gap: 12px; margin-bottom: 6px; font-size: 0.8rem; color: #8b949e; }
+  .msg header strong { color: #e6edf3; }
+  .text { white-space: pre-wrap; word-break: break-word; }
+</style>
+</head>
+<body>
+<main>
+  <h1>${title}</h1>
+  <p style="color:#8b949e">Exported ${escapeHtml(stamp(new Date()))} UTC · ${messages.length} messages</p>${bubbles}
+</main>
+</body>
+</html>
+`;
+};
+
+// The built-in PDF fonts only cover Latin-1; emoji and other scripts would print as garbage
+const toPdfText = (text) => String(text ?? "").replace(/[^\t\n\r\x20-\x7e\xa0-\xff]/g, "?");
+
+/**
+ * @function writePdf
+ * @description Streams the transcript as a PDF into `output` (e.g. an Express response).
+ */
+export const writePdf = ({ session, messages }, output) => {
+  const doc = new PDFDocument({ margin: 50, info: { Title: toPdfText(session.session_name || "Conversation") } });
+  doc.pipe(output);
+
+  doc.font("Helvetica-Bold").fontSize(18).text(toPdfText(session.session_name || "Conversation"));
+  doc.font("Helvetica").fontSize(9).fillColor("#666666").text(`Exported ${stamp(new Date())} UTC`).moveDown();
+
+  for (const message of messages) {
+    const meta = [stamp(message.timestamp), message.role === "model" ? message.model_used : null].filter(Boolean).join(" · ");
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#000000").text(toPdfText(speaker(message)), { continued: Boolean(meta) });
+    if (meta) doc.font("Helvetica").fontSize(9).fillColor("#666666").text(`  ${toPdfText(meta)}`);
+    doc.font("Helvetica").fontSize(10).fillColor("#111111").text(toPdfText(message.message_text)).moveDown(0.8);
+  }
+
+  doc.end();
+};
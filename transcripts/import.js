@@ -0,0 +1,131 @@
+/**
+ * @file transcripts/import.js
+ * @description Normalizes uploaded transcripts into sessions ready to insert.
+ * Understands our own JSON export (one session, an array of them, or the
+ * "export all my data" bundle) and ChatGPT's `conversations.json`.
+ *
+ * Output: [{ session_name, created_at, active_key, messages: [{ key, parent_key,
+ * role: "user" | "model", text, mode, model_used, citations, timestamp }] }]
+ * with parents always listed before their children.
+ */
+import { EXPORT_FORMAT_ID } from "./export.js";
+
+const fromEpochSeconds = (value) => (value ? new Date(value * 1000) : null);
+
+// Exported timestamps are ISO strings; unreadable ones fall back to "now" on insert
+const fromIsoString = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * @function orderParentsFirst
+ * @description Drops messages whose parent is missing (re-rooting them) and
+ * sorts so every parent precedes its children.
+ */
+const orderParentsFirst = (messages) => {
+  const byKey = new Map(messages.map((m) => [m.key, m]));
+  const ordered = [];
+  const placed = new Set();
+
+  const place = (message, depth = 0) => {
+    if (placed.has(message.key) || depth > messages.length) return;
+    if (message.parent_key && !byKey.has(message.parent_key)) message.parent_key = null;
+    if (message.parent_key && !placed.has(message.parent_key)) place(byKey.get(message.parent_key), depth + 1);
+    placed.add(message.key);
+    ordered.push(message);
+  };
+
+  messages.forEach((message) => place(message));
+  return ordered;
+};
+
+const fromOwnSession = (bundle) => ({
+  session_name: bundle.session?.session_name || "Imported Conversation",
+  created_at: fromIsoString(bundle.session?.created_at),
+  active_key: bundle.session?.active_leaf_id ? String(bundle.session.active_leaf_id) : null,
+  messages: orderParentsFirst((bundle.messages || [])
+    .filter((m) => (m.role === "user" || m.role === "model") && typeof m.text === "string" && m.text.trim())
+    .map((m, i) => ({
+      key: String(m.record_id ?? `m${i}`),
+      parent_key: m.parent_record_id ? String(m.parent_record_id) : null,
+      role: m.role,
+      text: m.text,
+      mode: m.mode || "casual",
+      model_used: m.role === "user" ? "user-input" : m.model_used || "imported",
+      citations: m.citations || null,
+      timestamp: fromIsoString(m.timestamp),
+    }))),
+});
+
+/**
+ * @function fromChatGptConversation
+ * @description ChatGPT stores each conversation as a `mapping` tree that also
+ * contains system/tool nodes. Those are skipped and their children re-parented
+ * to the nearest kept ancestor, so edits/regenerations survive as branches.
+ */
+const fromChatGptConversation = (conversation) => {
+  const mapping = conversation.mapping || {};
+  const textOf = (node) => {
+    const content = node.message?.content;
+    if (!content) return "";
+    if (Array.isArray(content.parts)) return content.parts.filter((p) => typeof p === "string").join("\n").trim();
+    return typeof content.text === "string" ? content.text.trim() : "";
+  };
+  const isKept = (node) => {
+    const role = node?.message?.author?.role;
+    return (role === "user" || role === "assistant") && textOf(node) !== "";
+  };
+  const keptAncestor = (nodeId) => {
+    let current = nodeId ? mapping[nodeId] : null;
+    while (current && !isKept(current)) current = current.parent ? mapping[current.parent] : null;
+    return current ? current.id : null;
+  };
+
+  const messages = Object.values(mapping)
+    .filter(isKept)
+    .map((node) => ({
+      key: node.id,
+      parent_key: keptAncestor(node.parent),
+      role: node.message.author.role === "user" ? "user" : "model",
+      text: textOf(node),
+      mode: "casual",
+      model_used: node.message.author.role === "user"
+        ? "user-input"
+        : `ChatGPT (${node.message.metadata?.model_slug || "unknown"})`,
+      citations: null,
+      timestamp: fromEpochSeconds(node.message.create_time || conversation.create_time),
+    }));
+
+  return {
+    session_name: conversation.title || "Imported ChatGPT Conversation",
+    created_at: fromEpochSeconds(conversation.create_time),
+    active_key: keptAncestor(conversation.current_node),
+    messages: orderParentsFirst(messages),
+  };
+};
+
+const isChatGptConversation = (item) => item && typeof item === "object" && item.mapping && typeof item.mapping === "object";
+const isOwnSession = (item) => item && item.format === EXPORT_FORMAT_ID;
+
+/**
+ * @function normalizeImport
+ * @description Detects the format and returns normalized sessions.
+ * Throws with a readable message when nothing recognizable is found.
+ */
+export const normalizeImport = (data) => {
+  const items = Array.isArray(data) ? data : Array.isArray(data?.sessions) ? data.sessions : [data];
+
+  const sessions = items
+    .map((item) => {
+      if (isOwnSession(item)) return fromOwnSession(item);
+      if (isChatGptConversation(item)) return fromChatGptConversation(item);
+      return null;
+    })
+    .filter((session) => session && session.messages.length > 0);
+
+  if (sessions.length === 0) {
+    throw new Error("No conversations found. Expected an Avneesh Bot JSON export or ChatGPT conversations.json.");
+  }
+  return sessions;
+};